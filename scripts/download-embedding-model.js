@@ -0,0 +1,42 @@
+// scripts/download-embedding-model.js - Fetch the local embedding model ahead of time
+// ================================================================
+//
+// The transformers embedding provider downloads its model from the Hugging
+// Face hub on first use. Run this once at build or deploy time instead, then
+// start the server with the same LOCAL_EMBEDDING_MODEL_DIR so it loads the
+// model from disk and never reaches the hub:
+//
+//   LOCAL_EMBEDDING_MODEL_DIR=./models npm run download-embedding-model
+//   LOCAL_EMBEDDING_MODEL_DIR=./models npm start
+//
+// LOCAL_EMBEDDING_MODEL picks the model, as it does for the server.
+
+const path = require('path');
+
+const LOCAL_EMBEDDING_MODEL = process.env.LOCAL_EMBEDDING_MODEL || 'Xenova/all-MiniLM-L6-v2';
+const LOCAL_EMBEDDING_MODEL_DIR = process.env.LOCAL_EMBEDDING_MODEL_DIR;
+
+async function main() {
+    if (!LOCAL_EMBEDDING_MODEL_DIR) {
+        throw new Error('Set LOCAL_EMBEDDING_MODEL_DIR to the directory the server will load models from');
+    }
+
+    const { pipeline, env } = require('@huggingface/transformers');
+    const modelDir = path.resolve(LOCAL_EMBEDDING_MODEL_DIR);
+
+    // The file cache stores "<model>/<file>", the layout localModelPath reads
+    env.cacheDir = modelDir;
+    env.allowLocalModels = false;
+
+    console.log(`Downloading ${LOCAL_EMBEDDING_MODEL} into ${modelDir}...`);
+    const extractor = await pipeline('feature-extraction', LOCAL_EMBEDDING_MODEL);
+
+    // One embedding proves the files are complete before anything relies on them
+    const output = await extractor('physician survey', { pooling: 'mean', normalize: true });
+    console.log(`Model ready (${output.data.length} dimensions)`);
+}
+
+main().catch(error => {
+    console.error('Model download failed:', error.message);
+    process.exit(1);
+});
@@ -4,20 +4,52 @@
 const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const XLSX = require('xlsx');
+const { SavBufferReader } = require('sav-reader');
+const multer = require('multer');
+const JSZip = require('jszip');
+const mammoth = require('mammoth');
+const pdfParse = require('pdf-parse');
 const app = express();
 
-// Middleware
-app.use(cors());
-app.use(express.json({ limit: '50mb' })); // Increased for RAG documents
-
 // Environment variables
 const PORT = process.env.PORT || 3000;
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY; // Optional for embeddings
+const ANTHROPIC_BASE_URL = process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com';
+const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
+const AZURE_OPENAI_API_KEY = process.env.AZURE_OPENAI_API_KEY;
+const AZURE_OPENAI_ENDPOINT = process.env.AZURE_OPENAI_ENDPOINT; // https://<resource>.openai.azure.com
+const AZURE_OPENAI_API_VERSION = process.env.AZURE_OPENAI_API_VERSION || '2024-02-01';
+const LOCAL_LLM_BASE_URL = process.env.LOCAL_LLM_BASE_URL; // OpenAI-compatible server, e.g. http://localhost:11434/v1
+const LOCAL_LLM_API_KEY = process.env.LOCAL_LLM_API_KEY;
+const LLM_PROVIDER = process.env.LLM_PROVIDER || 'anthropic'; // default completion provider for new workspaces
+const EMBEDDING_PROVIDER = process.env.EMBEDDING_PROVIDER || (LLM_PROVIDER === 'mock' ? 'mock' : 'openai');
+const LOCAL_EMBEDDING_MODEL = process.env.LOCAL_EMBEDDING_MODEL || 'Xenova/all-MiniLM-L6-v2'; // transformers.js sentence model
+const LOCAL_EMBEDDING_MODEL_DIR = process.env.LOCAL_EMBEDDING_MODEL_DIR; // pre-downloaded models; disables hub downloads
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'file'; // 'file' or 'memory'
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const API_TOKENS = process.env.API_TOKENS || ''; // "user:role:token[:workspace|workspace],..."
+const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true'; // local development only
+const CORS_ORIGINS = process.env.CORS_ORIGINS || '*'; // comma-separated list of allowed origins
+
+// Middleware
+app.use(cors({
+    origin: CORS_ORIGINS === '*' ? '*' : CORS_ORIGINS.split(',').map(origin => origin.trim())
+}));
+app.use(express.json({ limit: '50mb' })); // Increased for RAG documents
+app.use(authenticate);
+app.use(resolveWorkspace);
+app.use(trackUsageContext);
+app.use('/admin', authorizeAdminRoute);
 
-// Enhanced admin settings with RAG capabilities
-let adminSettings = {
-    systemPrompt: `You are an expert pharmaceutical market research analyst specializing in physician survey data analysis and executive summary generation.
+const DEFAULT_WORKSPACE_ID = 'default';
+
+const DEFAULT_SYSTEM_PROMPT = `You are an expert pharmaceutical market research analyst specializing in physician survey data analysis and executive summary generation.
 
 Your task is to analyze the provided survey data and generate a compelling executive summary with the following characteristics:
 
@@ -34,711 +66,5988 @@ Focus on:
 - Competitive dynamics
 - Future prescribing intentions
 
-Format your response as a professional executive summary with clear headers and bullet points.`,
-    claudeModel: 'claude-sonnet-4-latest',
-    maxTokens: 4000,
-    temperature: 0.7,
-    ragEnabled: true,
-    similarityThreshold: 0.7,
-    maxTrainingExamples: 5
-};
+Format your response as a professional executive summary with clear headers and bullet points.`;
+
+const DEFAULT_TEMPLATE_ID = 'executive-summary';
+
+// Built-in analysis templates seeded into every workspace. The executive
+// summary leaves prompt and budgets unset so it follows the workspace's
+// versioned system prompt and model settings.
+const BUILT_IN_TEMPLATES = [
+    {
+        id: DEFAULT_TEMPLATE_ID,
+        name: 'Executive Summary',
+        description: 'Timeline-based executive summary with quantified insights and recommendations',
+        systemPrompt: null,
+        maxTokens: null,
+        temperature: null,
+        outputSections: []
+    },
+    {
+        id: 'kol-perception',
+        name: 'KOL Perception Report',
+        description: 'How key opinion leaders perceive the product, its evidence and its competitors',
+        systemPrompt: `You are an expert pharmaceutical market research analyst specializing in key opinion leader (KOL) research.
+
+Analyze the provided physician survey data to describe how KOLs and high-influence prescribers perceive the product and its competitors. Separate perceptions of efficacy, safety, evidence quality and unmet need, contrast academic and community views, and call out where KOL opinion diverges from the broader physician base. Quote specific percentages and keep a neutral, evidence-focused tone.`,
+        maxTokens: 3000,
+        temperature: 0.5,
+        outputSections: ['Key Takeaways', 'Efficacy Perceptions', 'Safety Perceptions', 'Evidence Gaps', 'Academic vs Community Views', 'Implications for Medical Affairs']
+    },
+    {
+        id: 'competitive-landscape',
+        name: 'Competitive Landscape Brief',
+        description: 'Share, positioning and switching dynamics across competing therapies',
+        systemPrompt: `You are an expert pharmaceutical competitive intelligence analyst.
+
+Using the provided survey data, brief the brand team on the competitive landscape: current and intended share by therapy, positioning strengths and weaknesses, switching drivers and barriers, and segment or regional differences. Be precise with figures and explicit about which competitors are gaining or losing ground.`,
+        maxTokens: 2500,
+        temperature: 0.4,
+        outputSections: ['Landscape Overview', 'Share and Momentum', 'Positioning by Competitor', 'Switching Drivers and Barriers', 'Threats and Opportunities']
+    },
+    {
+        id: 'message-testing',
+        name: 'Message Testing Readout',
+        description: 'Performance of tested messages on believability, relevance and motivation',
+        systemPrompt: `You are an expert pharmaceutical market research analyst specializing in message testing.
+
+Read out the message test in the provided survey data. Rank the tested messages on believability, relevance, differentiation and motivation to prescribe, highlight differences by segment, and recommend which messages to lead with, refine or drop. Support every ranking with the underlying percentages or scores.`,
+        maxTokens: 2500,
+        temperature: 0.4,
+        outputSections: ['Headline Results', 'Message Rankings', 'Segment Differences', 'Recommendations']
+    },
+    {
+        id: 'slide-bullets',
+        name: 'Slide-Ready Bullet Deck',
+        description: 'Short, numbered slides with terse bullets ready to paste into a deck',
+        systemPrompt: `You are an expert pharmaceutical market research analyst preparing presentation material.
+
+Turn the provided survey data into slide-ready content. Write one slide per finding with a headline of at most 12 words and 3-5 terse bullets, each carrying a specific figure. No paragraphs, no filler.`,
+        maxTokens: 1500,
+        temperature: 0.3,
+        outputSections: ['Slide 1: Key Findings', 'Slides 2-N: One Finding per Slide', 'Final Slide: Recommendations']
+    }
+];
+
+// Enhanced admin settings with RAG capabilities (one copy per workspace)
+function defaultWorkspaceSettings() {
+    return {
+        systemPrompt: DEFAULT_SYSTEM_PROMPT,
+        completionProvider: LLM_PROVIDER,
+        claudeModel: 'claude-sonnet-4-latest', // model (or Azure deployment) for the completion provider
+        embeddingProvider: EMBEDDING_PROVIDER,
+        embeddingModel: null, // null uses the embedding provider's default model
+        fallbackModel: null, // tried when claudeModel keeps failing
+        retryMaxAttempts: 3, // per model, including the first call
+        retryBaseDelayMs: 1000,
+        retryMaxDelayMs: 20000,
+        requestTimeoutMs: 120000, // total for plain calls, max silence for streams
+        contextWindowTokens: null, // null looks the window up from the model name
+        budgetDailyUsd: null, // spend caps; null means uncapped
+        budgetMonthlyUsd: null,
+        userBudgetMonthlyUsd: null,
+        fineTunedModel: null, // used for analyses when ragSettings.mode is 'finetuned'
+        maxTokens: 4000,
+        temperature: 0.7,
+        ragEnabled: true,
+        similarityThreshold: 0.7,
+        maxTrainingExamples: 5,
+        chatMaxTokens: 1000,
+        chatTemperature: 0.3,
+        chatHistoryTokenBudget: 4000 // older turns are summarized beyond this
+    };
+}
+
+// A workspace isolates one brand team's corpus, prompts, settings and stats
+function createWorkspace(id, name, settings = {}) {
+    const workspaceSettings = { ...defaultWorkspaceSettings(), ...settings };
+
+    return {
+        id: id,
+        name: name || id,
+        createdAt: new Date().toISOString(),
+        settings: workspaceSettings,
+
+        // Enhanced RAG settings
+        ragSettings: {
+            enabled: workspaceSettings.ragEnabled,
+            mode: 'learning', // 'disabled', 'learning', 'retrieval', 'finetuned'
+            similarityThreshold: workspaceSettings.similarityThreshold,
+            maxExamples: workspaceSettings.maxTrainingExamples,
+            vectorIndex: process.env.VECTOR_INDEX || 'hnsw', // 'hnsw' or 'bruteforce'
+            retrievalMode: process.env.RETRIEVAL_MODE || 'hybrid', // 'vector', 'lexical' or 'hybrid'
+            rerank: 'none', // 'none' or 'llm'
+            rerankCandidates: 10,
+            chunkSizeTokens: 300,
+            chunkOverlapTokens: 40,
+            generatedIngestion: 'gated', // 'gated', 'always' or 'off'
+            generatedMinRating: 4, // average feedback rating that admits a gated analysis
+            generatedMinValidationScore: 1, // share of verified numeric claims that admits one; null disables
+            generatedWeight: 0.5 // retrieval score multiplier for generated chunks
+        },
+
+        // RAG Document Storage
+        documentStore: [],
+        conversationMemory: [],
+
+        // Multi-turn chat sessions, each tied to one analysis
+        chatSessions: [],
+
+        // Analyses and chat answers with analyst feedback (see recordResult)
+        results: [],
+
+        // Training examples with enhanced metadata
+        trainingExamples: [],
+
+        // Named analysis templates selectable per /api/analyze request
+        analysisTemplates: Object.fromEntries(BUILT_IN_TEMPLATES.map(template => [template.id, createTemplate(template, 'system')])),
+
+        // System prompt history; settings.systemPrompt is the active text
+        promptVersions: [createPromptVersion(1, workspaceSettings.systemPrompt, { author: 'system', note: 'Initial prompt' })],
+        activePromptVersion: 1,
+
+        // Learning mode tracking
+        learningData: {
+            queryCount: 0,
+            exampleCount: 0,
+            targetQueries: 50,
+            queries: [], // Store queries for fine-tuning
+            responses: [] // Store responses for fine-tuning
+        },
 
-// RAG Document Storage
-let documentStore = [];
-let conversationMemory = [];
+        // Token usage and cost as daily aggregates (see recordUsage)
+        usage: [],
 
-// Training examples with enhanced metadata
-let trainingExamples = [];
+        stats: {
+            totalAnalyses: 0,
+            documentsProcessed: 0,
+            ragQueries: 0,
+            upstreamRetries: 0,
+            upstreamFallbacks: 0,
+            upstreamTimeouts: 0,
+            upstreamFailures: 0
+        }
+    };
+}
+
+let workspaces = {
+    [DEFAULT_WORKSPACE_ID]: createWorkspace(DEFAULT_WORKSPACE_ID, 'Default')
+};
+
+// API tokens issued through /admin/tokens (only hashes are stored)
+let apiTokens = [];
 
-// System statistics
+// System statistics (server-wide; per-workspace counters live in workspace.stats)
 let systemStats = {
-    totalAnalyses: 0,
     activeUsers: 0,
-    documentsProcessed: 0,
-    ragQueries: 0,
     startTime: new Date()
 };
 
-// Learning mode tracking
-let learningData = {
-    queryCount: 0,
-    exampleCount: 0,
-    targetQueries: 50,
-    queries: [], // Store queries for fine-tuning
-    responses: [] // Store responses for fine-tuning
-};
+// ===========================
+// PERSISTENT STORAGE
+// ===========================
 
-// Enhanced RAG settings
-let ragSettings = {
-    enabled: adminSettings.ragEnabled,
-    mode: 'learning', // 'disabled', 'learning', 'retrieval', 'finetuned'
-    similarityThreshold: adminSettings.similarityThreshold,
-    maxExamples: adminSettings.maxTrainingExamples
+// Storage drivers share a tiny interface: load() resolves the last saved
+// snapshot (or null) and save(state) writes a full snapshot.
+const storageDrivers = {
+    file: () => createFileStorage(path.join(DATA_DIR, 'sagan-state.json')),
+    memory: () => createMemoryStorage()
 };
 
-// ===========================
-// RAG HELPER FUNCTIONS
-// ===========================
+function createFileStorage(filePath) {
+    let writeQueue = Promise.resolve();
 
-async function generateEmbedding(text) {
-    try {
-        if (!OPENAI_API_KEY) {
-            console.log('Using keyword-based similarity (no OpenAI key)');
-            return generateKeywordVector(text);
-        }
+    return {
+        name: 'file',
+        location: filePath,
+        async load() {
+            let raw;
+            try {
+                raw = await fs.promises.readFile(filePath, 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
 
-        const response = await axios.post('https://api.openai.com/v1/embeddings', {
-            model: 'text-embedding-ada-002',
-            input: text.substring(0, 8000) // Limit input size
-        }, {
-            headers: {
-                'Authorization': `Bearer ${OPENAI_API_KEY}`,
-                'Content-Type': 'application/json'
+            try {
+                return JSON.parse(raw);
+            } catch (error) {
+                // Move the unreadable snapshot aside for recovery; the next save
+                // would otherwise replace it with an empty state
+                const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+                await fs.promises.rename(filePath, corruptPath);
+                console.error(`Saved state is not valid JSON (${error.message}); moved it to ${corruptPath}`);
+                return null;
             }
+        },
+        save(state) {
+            const payload = JSON.stringify(state);
+            // Serialize writes and swap the file in atomically so a crash mid-write
+            // never leaves a truncated snapshot behind
+            writeQueue = writeQueue.catch(() => {}).then(async () => {
+                await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+                const tempPath = `${filePath}.tmp`;
+                await fs.promises.writeFile(tempPath, payload);
+                await fs.promises.rename(tempPath, filePath);
+            });
+            return writeQueue;
+        }
+    };
+}
+
+function createMemoryStorage() {
+    let snapshot = null;
+
+    return {
+        name: 'memory',
+        location: 'in-memory',
+        async load() {
+            return snapshot ? JSON.parse(snapshot) : null;
+        },
+        async save(state) {
+            snapshot = JSON.stringify(state);
+        }
+    };
+}
+
+function createStorage(driverName) {
+    const factory = storageDrivers[driverName];
+    if (!factory) {
+        console.warn(`Unknown storage driver "${driverName}", falling back to file storage`);
+        return storageDrivers.file();
+    }
+    return factory();
+}
+
+const storage = createStorage(STORAGE_DRIVER);
+
+// Mutations within PERSIST_DEBOUNCE_MS of each other share one snapshot, so a
+// burst of chat turns or feedback serializes the state (embeddings included)
+// once rather than per request. Callers await the write that includes their
+// change and see its failure, so routes never report unsaved changes as saved.
+const PERSIST_DEBOUNCE_MS = parseInt(process.env.PERSIST_DEBOUNCE_MS || '250');
+let pendingPersist = null;
+
+function persistState() {
+    if (!pendingPersist) {
+        const batch = {};
+        batch.promise = new Promise((resolve, reject) => {
+            batch.resolve = resolve;
+            batch.reject = reject;
         });
+        batch.timer = setTimeout(() => writeSnapshot(batch), PERSIST_DEBOUNCE_MS);
+        pendingPersist = batch;
+    }
+    return pendingPersist.promise;
+}
 
-        return response.data.data[0].embedding;
+async function writeSnapshot(batch) {
+    if (pendingPersist === batch) pendingPersist = null;
+    try {
+        await storage.save({
+            savedAt: new Date().toISOString(),
+            workspaces: workspaces,
+            apiTokens: apiTokens,
+            modelPrices: modelPrices
+        });
+        batch.resolve();
     } catch (error) {
-        console.error('Embedding generation failed, using fallback:', error.message);
-        return generateKeywordVector(text);
+        console.error('Failed to persist state:', error.message);
+        batch.reject(error);
     }
 }
 
-function generateKeywordVector(text) {
-    // Budget-friendly keyword-based vector
-    const keywords = [
-        'market', 'treatment', 'physician', 'academic', 'community', 'region', 
-        'adoption', 'preference', 'efficacy', 'safety', 'compliance', 'prescribing',
-        'competition', 'share', 'growth', 'trend', 'segment', 'therapeutic',
-        'survey', 'analysis', 'data', 'patient', 'clinical', 'therapy'
-    ];
-    
-    const lowerText = text.toLowerCase();
-    return keywords.map(keyword => 
-        (lowerText.match(new RegExp(keyword, 'g')) || []).length / text.length * 1000
-    );
+// Writes a pending snapshot now instead of waiting out the debounce
+async function flushState() {
+    const batch = pendingPersist;
+    if (!batch) return;
+    clearTimeout(batch.timer);
+    await writeSnapshot(batch);
+    return batch.promise;
 }
 
-function calculateSimilarity(vector1, vector2) {
-    if (vector1.length !== vector2.length) return 0;
-    
-    let dotProduct = 0;
-    let norm1 = 0;
-    let norm2 = 0;
-    
-    for (let i = 0; i < vector1.length; i++) {
-        dotProduct += vector1[i] * vector2[i];
-        norm1 += vector1[i] * vector1[i];
-        norm2 += vector2[i] * vector2[i];
+// Merge saved data over a fresh workspace so defaults added in newer
+// versions survive old snapshots
+function hydrateWorkspace(saved) {
+    const workspace = createWorkspace(saved.id, saved.name);
+
+    workspace.createdAt = saved.createdAt || workspace.createdAt;
+    workspace.settings = { ...workspace.settings, ...(saved.settings || {}) };
+    workspace.ragSettings = { ...workspace.ragSettings, ...(saved.ragSettings || {}) };
+    workspace.learningData = { ...workspace.learningData, ...(saved.learningData || {}) };
+    workspace.learningData.queries = workspace.learningData.queries.map(normalizeLearningQuery);
+    workspace.stats = { ...workspace.stats, ...(saved.stats || {}) };
+    workspace.documentStore = saved.documentStore || [];
+    workspace.documentStore.forEach(doc => {
+        if (!doc.embeddingModel) doc.embeddingModel = inferEmbeddingModel(doc.embedding);
+    });
+    workspace.trainingExamples = saved.trainingExamples || [];
+    workspace.conversationMemory = saved.conversationMemory || [];
+    workspace.chatSessions = saved.chatSessions || [];
+    workspace.results = saved.results || [];
+    workspace.usage = saved.usage || [];
+
+    // Built-ins added in newer versions appear alongside saved templates
+    workspace.analysisTemplates = { ...workspace.analysisTemplates, ...(saved.analysisTemplates || {}) };
+
+    if (saved.promptVersions && saved.promptVersions.length > 0) {
+        workspace.promptVersions = saved.promptVersions;
+        workspace.activePromptVersion = saved.activePromptVersion;
+    } else {
+        workspace.promptVersions = [createPromptVersion(1, workspace.settings.systemPrompt, { author: 'system', note: 'Initial prompt' })];
+        workspace.activePromptVersion = 1;
     }
-    
-    return dotProduct / (Math.sqrt(norm1) * Math.sqrt(norm2));
+
+    return workspace;
 }
 
-function splitIntoChunks(text, maxChunkSize = 500) {
-    const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
-    const chunks = [];
-    let currentChunk = '';
-    
-    for (const sentence of sentences) {
-        if (currentChunk.length + sentence.length < maxChunkSize) {
-            currentChunk += sentence + '. ';
-        } else {
-            if (currentChunk.trim()) {
-                chunks.push(currentChunk.trim());
-            }
-            currentChunk = sentence + '. ';
-        }
+// Read errors propagate so startup fails instead of running on (and later
+// saving over) an empty state; the file driver moves corrupt JSON aside
+async function loadState() {
+    const state = await storage.load();
+    if (!state) {
+        console.log(`No saved state found (${storage.name}: ${storage.location})`);
+        return;
     }
-    
-    if (currentChunk.trim()) {
-        chunks.push(currentChunk.trim());
+
+    if (state.workspaces) {
+        workspaces = {};
+        Object.values(state.workspaces).forEach(saved => {
+            workspaces[saved.id] = hydrateWorkspace(saved);
+        });
+    } else {
+        // Snapshots from before workspaces existed become the default workspace
+        workspaces = {
+            [DEFAULT_WORKSPACE_ID]: hydrateWorkspace({
+                id: DEFAULT_WORKSPACE_ID,
+                name: 'Default',
+                settings: state.adminSettings,
+                ragSettings: state.ragSettings,
+                learningData: state.learningData,
+                documentStore: state.documentStore,
+                trainingExamples: state.trainingExamples,
+                conversationMemory: state.conversationMemory,
+                chatSessions: state.chatSessions
+            })
+        };
     }
-    
-    return chunks;
-}
 
-function extractKeywords(text) {
-    const words = text.toLowerCase()
-        .replace(/[^\w\s]/g, ' ')
-        .split(/\s+/)
-        .filter(word => word.length > 3);
-    
-    const wordCount = {};
-    words.forEach(word => {
-        wordCount[word] = (wordCount[word] || 0) + 1;
-    });
-    
-    return Object.keys(wordCount)
-        .sort((a, b) => wordCount[b] - wordCount[a])
-        .slice(0, 10);
+    if (!workspaces[DEFAULT_WORKSPACE_ID]) {
+        workspaces[DEFAULT_WORKSPACE_ID] = createWorkspace(DEFAULT_WORKSPACE_ID, 'Default');
+    }
+
+    apiTokens = state.apiTokens || [];
+    if (state.modelPrices) modelPrices = Object.assign(Object.create(null), state.modelPrices);
+    Object.values(workspaces).forEach(rebuildVectorIndex);
+
+    console.log(`Loaded saved state from ${storage.location} (${state.savedAt || 'unknown date'})`);
 }
 
-async function processDocument(content, fileName, category = 'general') {
-    try {
-        const chunks = splitIntoChunks(content, 500);
-        const processedChunks = [];
+// ===========================
+// AUTHENTICATION & ROLES
+// ===========================
 
-        for (let i = 0; i < chunks.length; i++) {
-            const chunk = chunks[i];
-            const embedding = await generateEmbedding(chunk);
-            
-            const docChunk = {
-                id: `${fileName}-chunk-${i}`,
-                fileName: fileName,
-                content: chunk,
-                embedding: embedding,
-                category: category,
-                chunkIndex: i,
-                totalChunks: chunks.length,
-                processedAt: new Date().toISOString(),
-                keywords: extractKeywords(chunk)
-            };
-            
-            processedChunks.push(docChunk);
-        }
+const ROLES = ['admin', 'analyst'];
+const PUBLIC_PATHS = ['/', '/api/health'];
+const ALL_WORKSPACES = '*';
 
-        documentStore.push(...processedChunks);
-        systemStats.documentsProcessed++;
-        
-        console.log(`Processed ${chunks.length} chunks from ${fileName}`);
-        return processedChunks;
-        
-    } catch (error) {
-        console.error(`Document processing failed for ${fileName}:`, error);
-        throw error;
-    }
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
 }
 
-async function retrieveRelevantContext(query, limit = 5) {
-    try {
-        if (documentStore.length === 0) {
-            return [];
+// Tokens from the environment are fixed at boot; the rest live in apiTokens
+const environmentTokens = API_TOKENS.split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map((entry, index) => {
+        const [user, role, token, workspaceList] = entry.split(':');
+        if (!token || !ROLES.includes(role)) {
+            console.warn(`Ignoring malformed API_TOKENS entry #${index + 1} (expected user:role:token[:workspaces])`);
+            return null;
         }
+        return {
+            id: `env-${index + 1}`,
+            user: user,
+            role: role,
+            workspaces: workspaceList ? workspaceList.split('|') : [ALL_WORKSPACES],
+            tokenHash: hashToken(token),
+            source: 'env'
+        };
+    })
+    .filter(Boolean);
 
-        const queryEmbedding = await generateEmbedding(query);
-        const similarities = documentStore.map(doc => ({
-            ...doc,
-            similarity: calculateSimilarity(queryEmbedding, doc.embedding)
-        }));
+function findToken(token) {
+    const tokenHash = hashToken(token);
+    return environmentTokens.find(entry => entry.tokenHash === tokenHash)
+        || apiTokens.find(entry => entry.tokenHash === tokenHash);
+}
 
-        const relevantDocs = similarities
-            .filter(doc => doc.similarity > adminSettings.similarityThreshold)
-            .sort((a, b) => b.similarity - a.similarity)
-            .slice(0, limit);
+function authenticate(req, res, next) {
+    if (req.method === 'OPTIONS' || PUBLIC_PATHS.includes(req.path)) return next();
 
-        systemStats.ragQueries++;
-        
-        console.log(`Retrieved ${relevantDocs.length} relevant documents for query`);
-        return relevantDocs;
+    if (AUTH_DISABLED) {
+        req.user = { id: 'local', name: 'local', role: 'admin', workspaces: [ALL_WORKSPACES] };
+        return next();
+    }
 
-    } catch (error) {
-        console.error('Context retrieval failed:', error);
-        return [];
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : req.headers['x-api-key'];
+    const entry = token && findToken(token);
+
+    if (!entry) {
+        return res.status(401).json({ error: 'Authentication required. Provide a valid API token.' });
     }
+
+    entry.lastUsedAt = new Date().toISOString();
+    req.user = {
+        id: entry.id,
+        name: entry.user,
+        role: entry.role,
+        workspaces: entry.workspaces || [ALL_WORKSPACES]
+    };
+    next();
 }
 
-// ===========================
-// BASIC ROUTES
-// ===========================
+// Workspace-scoped admins only see tokens confined to their own workspaces
+function canManageToken(user, entry) {
+    const tokenWorkspaces = entry.workspaces || [ALL_WORKSPACES];
+    return hasGlobalAccess(user) || tokenWorkspaces.every(id => id !== ALL_WORKSPACES && user.workspaces.includes(id));
+}
 
-app.get('/', (req, res) => {
-    res.json({ 
-        message: 'Sagan Dashboard Backend with RAG is running!',
-        ragEnabled: adminSettings.ragEnabled,
-        documentsLoaded: documentStore.length,
-        status: 'operational',
-        timestamp: new Date().toISOString()
-    });
-});
+function hasGlobalAccess(user) {
+    return user.workspaces.includes(ALL_WORKSPACES);
+}
 
-app.get('/api/health', (req, res) => {
-    const cleanedApiKey = ANTHROPIC_API_KEY ? ANTHROPIC_API_KEY.trim() : null;
-    
-    res.json({ 
-        status: 'healthy',
-        apiKeyConfigured: !!cleanedApiKey,
-        apiKeyValid: cleanedApiKey && cleanedApiKey.startsWith('sk-ant-') && cleanedApiKey.length > 20,
-        apiKeyLength: cleanedApiKey ? cleanedApiKey.length : 0,
-        apiKeyPrefix: cleanedApiKey ? cleanedApiKey.substring(0, 15) : 'undefined',
-        openaiKeyConfigured: !!OPENAI_API_KEY,
-        ragEnabled: adminSettings.ragEnabled,
-        documentsInStore: documentStore.length,
-        timestamp: new Date().toISOString(),
-        envCheck: {
-            NODE_ENV: process.env.NODE_ENV || 'undefined',
-            PORT: process.env.PORT || 'undefined',
-            hasAnthropicKey: 'ANTHROPIC_API_KEY' in process.env,
-            allEnvKeys: Object.keys(process.env).filter(key => key.includes('API')).length
+// Own keys only: ids like "constructor" or "__proto__" must not resolve to
+// Object builtins
+function findWorkspace(workspaceId) {
+    return Object.hasOwn(workspaces, workspaceId) ? workspaces[workspaceId] : null;
+}
+
+function canAccessWorkspace(user, workspaceId) {
+    return hasGlobalAccess(user) || user.workspaces.includes(workspaceId);
+}
+
+// Every /api and /admin request runs against one workspace, chosen with the
+// X-Workspace-Id header or ?workspace= and defaulting to "default"
+function resolveWorkspace(req, res, next) {
+    const workspaceId = req.headers['x-workspace-id'] || req.query.workspace || DEFAULT_WORKSPACE_ID;
+
+    if (PUBLIC_PATHS.includes(req.path) || req.method === 'OPTIONS') {
+        req.workspace = workspaces[DEFAULT_WORKSPACE_ID];
+        return next();
+    }
+
+    const workspace = findWorkspace(workspaceId);
+    if (!workspace || !canAccessWorkspace(req.user, workspaceId)) {
+        return res.status(404).json({ error: `Workspace not found: ${workspaceId}` });
+    }
+
+    req.workspace = workspace;
+    next();
+}
+
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.user || !roles.includes(req.user.role)) {
+            return res.status(403).json({ error: `This action requires one of the roles: ${roles.join(', ')}` });
         }
-    });
-});
+        next();
+    };
+}
+
+// Analysts may read admin views; anything that mutates needs an admin.
+// Views exposing raw training pairs add requireRole('admin') themselves.
+function authorizeAdminRoute(req, res, next) {
+    if (req.method === 'GET' || req.method === 'HEAD') return next();
+    return requireRole('admin')(req, res, next);
+}
 
 // ===========================
-// ENHANCED ANALYSIS ENDPOINT
+// VECTOR INDEX
 // ===========================
 
-app.post('/api/analyze', async (req, res) => {
-    try {
-        const { fileContent, fileName, userPrompt, webSearchEnabled } = req.body;
-        
-        // DEBUGGING: Log API key information
-        console.log('=== API KEY DEBUG INFO ===');
-        console.log('Raw ANTHROPIC_API_KEY exists:', !!ANTHROPIC_API_KEY);
-        console.log('Raw ANTHROPIC_API_KEY length:', ANTHROPIC_API_KEY ? ANTHROPIC_API_KEY.length : 0);
-        console.log('Raw ANTHROPIC_API_KEY prefix:', ANTHROPIC_API_KEY ? ANTHROPIC_API_KEY.substring(0, 15) : 'undefined');
-        
-        // Clean the API key (remove any whitespace)
-        const cleanedApiKey = ANTHROPIC_API_KEY ? ANTHROPIC_API_KEY.trim() : null;
-        
-        console.log('Cleaned API key exists:', !!cleanedApiKey);
-        console.log('Cleaned API key length:', cleanedApiKey ? cleanedApiKey.length : 0);
-        console.log('Cleaned API key starts with sk-ant:', cleanedApiKey ? cleanedApiKey.startsWith('sk-ant-') : false);
-        console.log('========================');
-        
-        // Enhanced validation
-        if (!cleanedApiKey) {
-            console.error('❌ API key is null or undefined');
-            return res.status(500).json({ 
-                error: 'API key not configured. Please check your Anthropic API key.',
-                debug: {
-                    keyExists: !!ANTHROPIC_API_KEY,
-                    envVarName: 'ANTHROPIC_API_KEY',
-                    issue: 'API key is null or undefined'
-                }
-            });
-        }
-        
-        if (cleanedApiKey.length < 20) {
-            console.error('❌ API key is too short:', cleanedApiKey.length);
-            return res.status(500).json({ 
-                error: 'API key appears to be invalid (too short).',
-                debug: {
-                    keyLength: cleanedApiKey.length,
-                    issue: 'API key too short'
-                }
-            });
-        }
-        
-        if (!cleanedApiKey.startsWith('sk-ant-')) {
-            console.error('❌ API key does not start with sk-ant-');
-            return res.status(500).json({ 
-                error: 'API key format is invalid.',
-                debug: {
-                    keyPrefix: cleanedApiKey.substring(0, 10),
-                    issue: 'API key does not start with sk-ant-'
-                }
-            });
-        }
-        
-        if (!fileContent) {
-            return res.status(400).json({ error: 'No file content provided' });
-        }
-        
-        console.log(`Processing ${adminSettings.ragEnabled ? 'RAG-enhanced' : 'standard'} analysis for file: ${fileName}`);
-        
-        // Build system prompt (keep your existing code here)
-        let enhancedSystemPrompt = adminSettings.systemPrompt;
-        let relevantContext = [];
+const VECTOR_INDEX_TYPES = ['hnsw', 'bruteforce'];
 
-        // RAG Enhancement (if enabled) - keep your existing RAG code
-        if (adminSettings.ragEnabled) {
-            relevantContext = await retrieveRelevantContext(
-                `${fileContent.substring(0, 500)} ${userPrompt || ''}`, 
-                3
-            );
+// Approximate nearest-neighbour index (HNSW). Nodes are keyed by the chunk
+// object itself, so duplicate chunk ids from re-uploaded files never collide.
+function createHnswIndex({ M = 16, efConstruction = 100, efSearch = 64 } = {}) {
+    const nodes = new Map();
+    const levelMultiplier = 1 / Math.log(M);
+    let entryPoint = null;
+    let maxLevel = -1;
+    let deletedCount = 0;
 
-            if (relevantContext.length > 0) {
-                enhancedSystemPrompt += `\n\nRELEVANT REFERENCE EXAMPLES AND CONTEXT:\n`;
-                relevantContext.forEach((doc, index) => {
-                    enhancedSystemPrompt += `\n--- Reference ${index + 1} (${doc.fileName}, similarity: ${doc.similarity.toFixed(2)}) ---\n`;
-                    enhancedSystemPrompt += doc.content;
-                });
-                enhancedSystemPrompt += `\n\nUse these references to inform your analysis style, structure, and insights while focusing on the new data provided.`;
-            }
+    function similarity(a, b) {
+        return calculateSimilarity(a, b) || 0; // zero vectors yield NaN
+    }
+
+    function randomLevel() {
+        return Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * levelMultiplier);
+    }
+
+    // Insert keeping the list sorted by descending similarity
+    function insertSorted(list, item) {
+        let low = 0;
+        let high = list.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (list[mid].similarity > item.similarity) low = mid + 1;
+            else high = mid;
         }
+        list.splice(low, 0, item);
+    }
 
-        // Add training examples (keep your existing code)
-        if (trainingExamples.length > 0) {
-            enhancedSystemPrompt += `\n\nSTYLE REFERENCE EXAMPLES:\n`;
-            enhancedSystemPrompt += trainingExamples.slice(0, adminSettings.maxTrainingExamples)
-                .map(ex => `--- ${ex.fileName} ---\n${ex.content}`)
-                .join('\n\n');
-            enhancedSystemPrompt += `\n\nUse these examples as style guides for your analysis format and tone.`;
+    function searchLayer(query, entryNodes, ef, level) {
+        const visited = new Set(entryNodes);
+        const candidates = [];
+        const results = [];
+
+        for (const node of entryNodes) {
+            const scored = { node, similarity: similarity(query, node.vector) };
+            insertSorted(candidates, scored);
+            insertSorted(results, scored);
         }
 
-        let userInstruction = `Please analyze this pharmaceutical survey data from the file "${fileName}":
+        while (candidates.length > 0) {
+            const current = candidates.shift();
+            const worst = results[results.length - 1];
+            if (results.length >= ef && current.similarity < worst.similarity) break;
 
-${fileContent}`;
+            for (const neighbor of current.node.neighbors[level] || []) {
+                if (visited.has(neighbor)) continue;
+                visited.add(neighbor);
 
-        if (userPrompt) {
-            userInstruction += `\n\nSpecific analysis instructions: ${userPrompt}`;
+                const scored = { node: neighbor, similarity: similarity(query, neighbor.vector) };
+                if (results.length < ef || scored.similarity > results[results.length - 1].similarity) {
+                    insertSorted(candidates, scored);
+                    insertSorted(results, scored);
+                    if (results.length > ef) results.pop();
+                }
+            }
         }
 
-        if (webSearchEnabled) {
-            userInstruction += `\n\nPlease integrate current market intelligence and recent pharmaceutical industry developments in your analysis.`;
+        return results;
+    }
+
+    function greedyDescend(query, fromLevel, toLevel) {
+        let current = [entryPoint];
+        for (let level = fromLevel; level > toLevel; level--) {
+            current = [searchLayer(query, current, 1, level)[0].node];
         }
+        return current;
+    }
 
-        // Store conversation context (keep your existing code)
-        conversationMemory.push({
-            fileName: fileName,
-            userPrompt: userPrompt,
-            timestamp: new Date().toISOString(),
-            relevantContextUsed: relevantContext.length,
-            ragEnabled: adminSettings.ragEnabled
-        });
+    function pruneNeighbors(node, level) {
+        const maxConnections = level === 0 ? M * 2 : M;
+        if (node.neighbors[level].length <= maxConnections) return;
 
-        console.log('🚀 Making API call to Anthropic...');
-        
-        // Call Claude API - USE THE CLEANED API KEY
-        const response = await axios.post('https://api.anthropic.com/v1/messages', {
-            model: adminSettings.claudeModel,
-            max_tokens: adminSettings.maxTokens,
-            temperature: adminSettings.temperature,
-            system: enhancedSystemPrompt,
+        node.neighbors[level] = node.neighbors[level]
+            .map(neighbor => ({ neighbor, similarity: similarity(node.vector, neighbor.vector) }))
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, maxConnections)
+            .map(entry => entry.neighbor);
+    }
+
+    function add(key, vector) {
+        // A re-added key gets a fresh node. The old one leaves the map (so it
+        // is no tombstone) but stays deleted in neighbour lists until a rebuild.
+        const existing = nodes.get(key);
+        if (existing) {
+            if (existing.deleted) deletedCount--;
+            existing.deleted = true;
+            nodes.delete(key);
+        }
+
+        const level = randomLevel();
+        const node = {
+            key: key,
+            vector: vector,
+            deleted: false,
+            neighbors: Array.from({ length: level + 1 }, () => [])
+        };
+        nodes.set(key, node);
+
+        if (!entryPoint) {
+            entryPoint = node;
+            maxLevel = level;
+            return;
+        }
+
+        let current = greedyDescend(vector, maxLevel, level);
+        for (let l = Math.min(level, maxLevel); l >= 0; l--) {
+            const found = searchLayer(vector, current, efConstruction, l);
+            const maxConnections = l === 0 ? M * 2 : M;
+
+            node.neighbors[l] = found.slice(0, maxConnections).map(entry => entry.node);
+            for (const neighbor of node.neighbors[l]) {
+                neighbor.neighbors[l].push(node);
+                pruneNeighbors(neighbor, l);
+            }
+            current = found.map(entry => entry.node);
+        }
+
+        if (level > maxLevel) {
+            entryPoint = node;
+            maxLevel = level;
+        }
+    }
+
+    // Deletes are tombstoned and the graph is rebuilt once they pile up
+    function remove(key) {
+        const node = nodes.get(key);
+        if (!node || node.deleted) return false;
+
+        node.deleted = true;
+        deletedCount++;
+        if (deletedCount > nodes.size / 3) rebuild();
+        return true;
+    }
+
+    function rebuild() {
+        const live = [...nodes.values()].filter(node => !node.deleted);
+        nodes.clear();
+        entryPoint = null;
+        maxLevel = -1;
+        deletedCount = 0;
+        live.forEach(node => add(node.key, node.vector));
+    }
+
+    function search(query, k) {
+        if (!entryPoint || nodes.size === deletedCount) return [];
+
+        const current = greedyDescend(query, maxLevel, 0);
+        return searchLayer(query, current, Math.max(efSearch, k * 2), 0)
+            .filter(entry => !entry.node.deleted)
+            .slice(0, k)
+            .map(entry => ({ key: entry.node.key, similarity: entry.similarity }));
+    }
+
+    function stats() {
+        return {
+            size: nodes.size - deletedCount,
+            tombstones: deletedCount,
+            maxLevel: maxLevel,
+            params: { M, efConstruction, efSearch }
+        };
+    }
+
+    return { add, remove, search, rebuild, stats };
+}
+
+// One HNSW graph per embedding model and workspace: vectors from different
+// models (or the keyword fallback) can coexist in a store but are never
+// comparable. Indexes are rebuilt from documentStore on boot rather than
+// persisted.
+const vectorIndexes = new Map();
+
+function getWorkspaceIndex(workspace) {
+    if (!vectorIndexes.has(workspace.id)) {
+        vectorIndexes.set(workspace.id, { byModel: new Map(), builtAt: null });
+    }
+    return vectorIndexes.get(workspace.id);
+}
+
+function indexChunks(workspace, chunks) {
+    const lexicalIndex = getLexicalIndex(workspace);
+    chunks.forEach(chunk => lexicalIndex.add(chunk, chunk.content));
+
+    if (workspace.ragSettings.vectorIndex !== 'hnsw') return;
+
+    const { byModel } = getWorkspaceIndex(workspace);
+    for (const chunk of chunks) {
+        if (!Array.isArray(chunk.embedding)) continue;
+        if (!byModel.has(chunk.embeddingModel)) {
+            byModel.set(chunk.embeddingModel, createHnswIndex());
+        }
+        byModel.get(chunk.embeddingModel).add(chunk, chunk.embedding);
+    }
+}
+
+function unindexChunks(workspace, chunks) {
+    const lexicalIndex = getLexicalIndex(workspace);
+    const { byModel } = getWorkspaceIndex(workspace);
+    for (const chunk of chunks) {
+        lexicalIndex.remove(chunk);
+        const index = byModel.get(chunk.embeddingModel);
+        if (index) index.remove(chunk);
+    }
+}
+
+function rebuildVectorIndex(workspace) {
+    const startedAt = Date.now();
+    vectorIndexes.delete(workspace.id);
+    lexicalIndexes.delete(workspace.id);
+    indexChunks(workspace, workspace.documentStore);
+    getWorkspaceIndex(workspace).builtAt = new Date().toISOString();
+    return Date.now() - startedAt;
+}
+
+// Searches only chunks embedded by the same model as the query
+function searchVectors(workspace, query, limit) {
+    if (workspace.ragSettings.vectorIndex === 'hnsw') {
+        const index = getWorkspaceIndex(workspace).byModel.get(query.model);
+        if (!index) return [];
+        return index.search(query.embedding, limit)
+            .map(result => ({ doc: result.key, similarity: result.similarity }));
+    }
+
+    // Exact brute-force scan; chunks are only copied after ranking
+    return workspace.documentStore
+        .filter(doc => doc.embeddingModel === query.model)
+        .map(doc => ({ doc, similarity: calculateSimilarity(query.embedding, doc.embedding) }))
+        .filter(result => !Number.isNaN(result.similarity))
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, limit);
+}
+
+function getVectorIndexStats(workspace) {
+    const { byModel, builtAt } = getWorkspaceIndex(workspace);
+    const indexes = [...byModel.entries()].map(([model, index]) => ({
+        embeddingModel: model,
+        ...index.stats()
+    }));
+    const embeddingModels = {};
+    workspace.documentStore.forEach(doc => {
+        embeddingModels[doc.embeddingModel] = (embeddingModels[doc.embeddingModel] || 0) + 1;
+    });
+
+    return {
+        type: workspace.ragSettings.vectorIndex,
+        documentCount: workspace.documentStore.length,
+        indexedCount: indexes.reduce((sum, index) => sum + index.size, 0),
+        builtAt: builtAt,
+        indexes: indexes,
+        embeddingModels: embeddingModels,
+        lexical: getLexicalIndex(workspace).stats()
+    };
+}
+
+// ===========================
+// LEXICAL INDEX (BM25)
+// ===========================
+
+// Exact-term retrieval for what embeddings blur or keyword vectors never
+// see: drug names, trial acronyms, endpoints. Tokens share extractKeywords'
+// normalization but keep short terms, since acronyms like OS or PFS matter.
+const BM25_STOPWORDS = new Set([
+    'the', 'and', 'for', 'with', 'that', 'this', 'from', 'are', 'was', 'were', 'have', 'has',
+    'not', 'but', 'all', 'any', 'can', 'its', 'our', 'their', 'they', 'them', 'than', 'then',
+    'into', 'over', 'what', 'which', 'who', 'how', 'why', 'when', 'also', 'more', 'most', 'of',
+    'to', 'in', 'on', 'at', 'by', 'or', 'an', 'as', 'is', 'it', 'be', 'we', 'do', 'if', 'so'
+]);
+
+function lexicalTerms(text) {
+    return tokenizeText(text, 2).filter(term => !BM25_STOPWORDS.has(term));
+}
+
+function createBm25Index({ k1 = 1.2, b = 0.75 } = {}) {
+    const documents = new Map(); // chunk -> { length, termFrequencies }
+    const postings = new Map(); // term -> Set of chunks
+    let totalLength = 0;
+
+    function add(chunk, text) {
+        if (documents.has(chunk)) remove(chunk);
+
+        const terms = lexicalTerms(text);
+        const termFrequencies = new Map();
+        terms.forEach(term => termFrequencies.set(term, (termFrequencies.get(term) || 0) + 1));
+
+        documents.set(chunk, { length: terms.length, termFrequencies });
+        totalLength += terms.length;
+        termFrequencies.forEach((count, term) => {
+            if (!postings.has(term)) postings.set(term, new Set());
+            postings.get(term).add(chunk);
+        });
+    }
+
+    function remove(chunk) {
+        const document = documents.get(chunk);
+        if (!document) return;
+
+        document.termFrequencies.forEach((count, term) => {
+            const posting = postings.get(term);
+            posting.delete(chunk);
+            if (posting.size === 0) postings.delete(term);
+        });
+        totalLength -= document.length;
+        documents.delete(chunk);
+    }
+
+    function search(query, limit) {
+        const queryTerms = [...new Set(lexicalTerms(query))].filter(term => postings.has(term));
+        if (queryTerms.length === 0) return [];
+
+        const averageLength = totalLength / documents.size;
+        const scores = new Map();
+        for (const term of queryTerms) {
+            const posting = postings.get(term);
+            const idf = Math.log(1 + (documents.size - posting.size + 0.5) / (posting.size + 0.5));
+            for (const chunk of posting) {
+                const { length, termFrequencies } = documents.get(chunk);
+                const frequency = termFrequencies.get(term);
+                const score = idf * frequency * (k1 + 1) / (frequency + k1 * (1 - b + b * length / averageLength));
+                const entry = scores.get(chunk) || { key: chunk, score: 0, matchedTerms: [] };
+                entry.score += score;
+                entry.matchedTerms.push(term);
+                scores.set(chunk, entry);
+            }
+        }
+
+        return [...scores.values()]
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    function stats() {
+        return {
+            documents: documents.size,
+            terms: postings.size,
+            averageLength: documents.size ? Math.round(totalLength / documents.size) : 0,
+            params: { k1, b }
+        };
+    }
+
+    return { add, remove, search, stats };
+}
+
+// Like the vector indexes, rebuilt from documentStore on boot
+const lexicalIndexes = new Map();
+
+function getLexicalIndex(workspace) {
+    if (!lexicalIndexes.has(workspace.id)) {
+        lexicalIndexes.set(workspace.id, createBm25Index());
+    }
+    return lexicalIndexes.get(workspace.id);
+}
+
+function searchLexical(workspace, query, limit) {
+    return getLexicalIndex(workspace).search(query, limit)
+        .map(result => ({ doc: result.key, score: result.score, matchedTerms: result.matchedTerms }));
+}
+
+// ===========================
+// HYBRID RETRIEVAL & RERANKING
+// ===========================
+
+const RETRIEVAL_MODES = ['vector', 'lexical', 'hybrid'];
+const RERANK_MODES = ['none', 'llm'];
+const RRF_K = 60; // standard reciprocal-rank fusion constant
+
+// Merges ranked lists by summing 1 / (k + rank); a chunk ranked well by
+// either retriever rises without the two score scales ever being compared
+function reciprocalRankFusion(rankings) {
+    const fused = new Map();
+    rankings.forEach(({ name, results }) => {
+        results.forEach((result, rank) => {
+            const entry = fused.get(result.doc) || { doc: result.doc, score: 0, matchedBy: [] };
+            entry.score += 1 / (RRF_K + rank + 1);
+            entry.matchedBy.push(name);
+            fused.set(result.doc, entry);
+        });
+    });
+    return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+// Asks the completion model to grade each candidate against the query and
+// reorders by grade. Any failure keeps the fused order.
+async function rerankWithModel(workspace, query, candidates) {
+    const passages = candidates
+        .map((candidate, index) => `[${index + 1}] ${candidate.doc.content.substring(0, 600)}`)
+        .join('\n\n');
+
+    try {
+        const completion = await completeWithRetry(workspace, {
+            model: workspace.settings.claudeModel,
+            maxTokens: 200,
+            temperature: 0,
             messages: [{
                 role: 'user',
-                content: userInstruction
+                content: `Rate how relevant each passage is to the query on a scale from 0 (unrelated) to 10 (directly answers it). Reply with only a JSON array of ${candidates.length} numbers, one per passage, in order.\n\nQuery: ${query}\n\nPassages:\n${passages}`
             }]
+        });
+
+        const grades = JSON.parse((completion.text.match(/\[[\d\s.,]*\]/) || [])[0] || 'null');
+        if (!Array.isArray(grades) || grades.length !== candidates.length) {
+            throw new Error('Reranker reply did not contain one grade per passage');
+        }
+
+        return candidates
+            .map((candidate, index) => ({ ...candidate, rerankScore: Number(grades[index]) || 0, fusedRank: index }))
+            .sort((a, b) => b.rerankScore - a.rerankScore || a.fusedRank - b.fusedRank);
+    } catch (error) {
+        console.error('Reranking failed, keeping fused order:', error.message);
+        return candidates;
+    }
+}
+
+// ===========================
+// LLM PROVIDERS
+// ===========================
+
+// Every provider exposes the same surface so routes never talk to a vendor
+// API directly:
+//   complete(request)          -> { text, usage: { inputTokens, outputTokens }, model }
+//   stream(request, onText)    -> same, calling onText for every text delta
+//   embed(text, { model })     -> { embedding: number[], usage: { inputTokens }, model }
+// where request is { model, system, messages, maxTokens, temperature, signal }.
+// Providers that only embed (or only complete) leave the other methods out;
+// embedding providers name a defaultEmbeddingModel for when none is set.
+
+const ANTHROPIC_MESSAGES_URL = `${ANTHROPIC_BASE_URL}/v1/messages`;
+
+// Splits a server-sent event stream into `data:` payloads. Stops at the
+// OpenAI-style [DONE] sentinel.
+async function readEventStream(stream, onData) {
+    stream.setEncoding('utf8');
+
+    let buffer = '';
+    for await (const chunk of stream) {
+        buffer += chunk;
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const rawEvent = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            const data = rawEvent.split('\n')
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.slice(5).trim())
+                .join('');
+            if (!data) continue;
+            if (data === '[DONE]') return;
+
+            onData(JSON.parse(data));
+        }
+    }
+}
+
+function createAnthropicProvider() {
+    const apiKey = () => (ANTHROPIC_API_KEY || '').trim();
+
+    function post(request, extra = {}, options = {}) {
+        return axios.post(ANTHROPIC_MESSAGES_URL, {
+            model: request.model,
+            max_tokens: request.maxTokens,
+            temperature: request.temperature,
+            ...(request.system ? { system: request.system } : {}),
+            messages: request.messages,
+            ...extra
         }, {
             headers: {
-                'Authorization': `Bearer ${cleanedApiKey}`, // ✅ Using cleaned API key
+                'x-api-key': apiKey(),
                 'Content-Type': 'application/json',
                 'anthropic-version': '2023-06-01'
-            }
+            },
+            signal: request.signal,
+            ...options
+        });
+    }
+
+    return {
+        name: 'anthropic',
+        isConfigured: () => !!apiKey(),
+        async complete(request) {
+            const response = await post(request);
+            return {
+                text: response.data.content[0].text,
+                model: response.data.model || request.model,
+                usage: {
+                    inputTokens: response.data.usage?.input_tokens || 0,
+                    outputTokens: response.data.usage?.output_tokens || 0
+                }
+            };
+        },
+        async stream(request, onText) {
+            const response = await post(request, { stream: true }, { responseType: 'stream' });
+
+            let text = '';
+            let model = request.model;
+            const usage = { inputTokens: 0, outputTokens: 0 };
+
+            await readEventStream(response.data, event => {
+                if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+                    text += event.delta.text;
+                    onText(event.delta.text);
+                } else if (event.type === 'message_start') {
+                    model = event.message.model || model;
+                    usage.inputTokens = event.message.usage?.input_tokens || 0;
+                    usage.outputTokens = event.message.usage?.output_tokens || 0;
+                } else if (event.type === 'message_delta' && event.usage) {
+                    usage.outputTokens = event.usage.output_tokens || usage.outputTokens;
+                } else if (event.type === 'error') {
+                    throw new Error(event.error?.message || 'Stream error from Anthropic');
+                }
+            });
+
+            return { text, usage, model };
+        }
+    };
+}
+
+// OpenAI, Azure OpenAI and local servers (Ollama, vLLM, LM Studio...) share
+// the chat completions and embeddings wire format; they differ only in URLs
+// and auth headers.
+function createOpenAICompatibleProvider({ name, isConfigured, chatUrl, embeddingsUrl, headers, streamUsage = false, defaultEmbeddingModel = null }) {
+    function toMessages(request) {
+        return [
+            ...(request.system ? [{ role: 'system', content: request.system }] : []),
+            ...request.messages
+        ];
+    }
+
+    function post(url, body, options = {}) {
+        return axios.post(url, body, {
+            headers: { ...headers(), 'Content-Type': 'application/json' },
+            ...options
         });
+    }
+
+    return {
+        name: name,
+        isConfigured: isConfigured,
+        defaultEmbeddingModel: defaultEmbeddingModel,
+        async complete(request) {
+            const response = await post(chatUrl(request.model), {
+                model: request.model,
+                messages: toMessages(request),
+                max_tokens: request.maxTokens,
+                temperature: request.temperature
+            }, { signal: request.signal });
+
+            return {
+                text: response.data.choices[0].message.content || '',
+                model: response.data.model || request.model,
+                usage: {
+                    inputTokens: response.data.usage?.prompt_tokens || 0,
+                    outputTokens: response.data.usage?.completion_tokens || 0
+                }
+            };
+        },
+        async stream(request, onText) {
+            const response = await post(chatUrl(request.model), {
+                model: request.model,
+                messages: toMessages(request),
+                max_tokens: request.maxTokens,
+                temperature: request.temperature,
+                stream: true,
+                ...(streamUsage ? { stream_options: { include_usage: true } } : {})
+            }, { signal: request.signal, responseType: 'stream' });
+
+            let text = '';
+            let model = request.model;
+            const usage = { inputTokens: 0, outputTokens: 0 };
+
+            await readEventStream(response.data, event => {
+                if (event.error) {
+                    throw new Error(event.error.message || `Stream error from ${name}`);
+                }
+                model = event.model || model;
+                const delta = event.choices?.[0]?.delta?.content;
+                if (delta) {
+                    text += delta;
+                    onText(delta);
+                }
+                if (event.usage) {
+                    usage.inputTokens = event.usage.prompt_tokens || 0;
+                    usage.outputTokens = event.usage.completion_tokens || 0;
+                }
+            });
+
+            return { text, usage, model };
+        },
+        async embed(text, { model } = {}) {
+            const response = await post(embeddingsUrl(model), {
+                model: model,
+                input: text.substring(0, 8000) // Limit input size
+            });
+            return {
+                embedding: response.data.data[0].embedding,
+                usage: { inputTokens: response.data.usage?.prompt_tokens || 0 },
+                model: response.data.model || model
+            };
+        }
+    };
+}
+
+// Deterministic offline provider for development and tests. Completions are
+// built from the prompt itself, so the same request always yields the same
+// text, and embeddings are hashed bag-of-words vectors that still rank
+// related text as similar. Tests that need a particular answer (citation
+// markers, say) queue it with scriptResponses(); each queued text is used
+// for exactly one completion.
+const MOCK_EMBEDDING_DIMENSIONS = 256;
+
+function createMockProvider() {
+    const scripted = [];
+
+    function respond(request) {
+        if (scripted.length > 0) return scripted.shift();
+
+        const lastUser = [...request.messages].reverse().find(message => message.role === 'user');
+        const prompt = lastUser ? lastUser.content : '';
+        const figures = [...new Set(prompt.match(/\d+(?:\.\d+)?%/g) || [])].slice(0, 5);
+        const firstLine = prompt.split('\n').find(line => line.trim()) || '';
+
+        let text = `## Mock Response\n\nGenerated offline by the mock provider for: "${firstLine.trim().substring(0, 120)}"\n`;
+        if (figures.length > 0) {
+            text += `\n### Key Figures\n${figures.map(figure => `- ${figure} of respondents`).join('\n')}\n`;
+        }
+        text += `\nPrompt size: ${prompt.length} characters across ${request.messages.length} message(s).`;
+        return text;
+    }
+
+    function usageFor(request, text) {
+        const input = (request.system || '') + request.messages.map(message => message.content).join('');
+        return { inputTokens: Math.ceil(input.length / 4), outputTokens: Math.ceil(text.length / 4) };
+    }
+
+    return {
+        name: 'mock',
+        isConfigured: () => true,
+        defaultEmbeddingModel: 'mock-embedding',
+        scriptResponses(...texts) {
+            scripted.push(...texts);
+        },
+        async complete(request) {
+            const text = respond(request);
+            return { text, usage: usageFor(request, text), model: `mock:${request.model}` };
+        },
+        async stream(request, onText) {
+            const text = respond(request);
+            for (const piece of text.match(/\S+\s*/g) || []) {
+                if (request.signal?.aborted) throw new Error('Mock stream aborted');
+                onText(piece);
+            }
+            return { text, usage: usageFor(request, text), model: `mock:${request.model}` };
+        },
+        async embed(text, { model } = {}) {
+            const vector = new Array(MOCK_EMBEDDING_DIMENSIONS).fill(0);
+            for (const word of text.toLowerCase().match(/[a-z0-9]{3,}/g) || []) {
+                const hash = crypto.createHash('md5').update(word).digest();
+                vector[hash.readUInt16BE(0) % MOCK_EMBEDDING_DIMENSIONS] += hash[2] & 1 ? 1 : -1;
+            }
+            return { embedding: vector, usage: { inputTokens: estimateTokens(text) }, model: `mock:${model}` };
+        }
+    };
+}
+
+// Embedding-only provider running a sentence-transformer on the CPU through
+// transformers.js (an optional dependency, since it ships native ONNX
+// binaries). Models download from the Hugging Face hub on first use unless
+// LOCAL_EMBEDDING_MODEL_DIR points at copies fetched ahead of time with
+// `npm run download-embedding-model`, in which case nothing leaves the
+// machine. A failed load is remembered for a few minutes so embedding calls
+// fail fast instead of reloading the model for every chunk.
+const LOCAL_EMBEDDING_RETRY_MS = 5 * 60 * 1000;
+
+function createTransformersProvider() {
+    const extractors = new Map(); // model -> Promise of a feature-extraction pipeline
+    let unavailableUntil = 0;
+    let loadError = null;
+    let installed = null;
+
+    function isInstalled() {
+        if (installed === null) {
+            try {
+                require.resolve('@huggingface/transformers');
+                installed = true;
+            } catch (error) {
+                installed = false;
+            }
+        }
+        return installed;
+    }
+
+    function loadExtractor(model) {
+        if (!extractors.has(model)) {
+            const { pipeline, env } = require('@huggingface/transformers');
+            if (LOCAL_EMBEDDING_MODEL_DIR) {
+                env.localModelPath = LOCAL_EMBEDDING_MODEL_DIR;
+                env.allowRemoteModels = false;
+            }
+            console.log(`Loading local embedding model ${model}...`);
+            extractors.set(model, pipeline('feature-extraction', model).catch(error => {
+                extractors.delete(model);
+                unavailableUntil = Date.now() + LOCAL_EMBEDDING_RETRY_MS;
+                loadError = error;
+                throw error;
+            }));
+        }
+        return extractors.get(model);
+    }
+
+    return {
+        name: 'transformers',
+        defaultEmbeddingModel: LOCAL_EMBEDDING_MODEL,
+        isConfigured: isInstalled,
+        async embed(text, { model } = {}) {
+            if (Date.now() < unavailableUntil) {
+                throw new Error(`Local embedding model failed to load (${loadError.message}); retrying after ${new Date(unavailableUntil).toISOString()}`);
+            }
+            const extractor = await loadExtractor(model);
+            const output = await extractor(text.substring(0, 2000), { pooling: 'mean', normalize: true });
+            return { embedding: Array.from(output.data), usage: { inputTokens: estimateTokens(text) }, model: model };
+        }
+    };
+}
+
+const llmProviders = {
+    anthropic: createAnthropicProvider(),
+    openai: createOpenAICompatibleProvider({
+        name: 'openai',
+        isConfigured: () => !!OPENAI_API_KEY,
+        chatUrl: () => `${OPENAI_BASE_URL}/chat/completions`,
+        embeddingsUrl: () => `${OPENAI_BASE_URL}/embeddings`,
+        headers: () => ({ 'Authorization': `Bearer ${OPENAI_API_KEY}` }),
+        streamUsage: true,
+        defaultEmbeddingModel: 'text-embedding-ada-002'
+    }),
+    // Azure routes by deployment name, so the configured model is the deployment
+    'azure-openai': createOpenAICompatibleProvider({
+        name: 'azure-openai',
+        isConfigured: () => !!(AZURE_OPENAI_API_KEY && AZURE_OPENAI_ENDPOINT),
+        chatUrl: model => `${AZURE_OPENAI_ENDPOINT}/openai/deployments/${encodeURIComponent(model)}/chat/completions?api-version=${AZURE_OPENAI_API_VERSION}`,
+        embeddingsUrl: model => `${AZURE_OPENAI_ENDPOINT}/openai/deployments/${encodeURIComponent(model)}/embeddings?api-version=${AZURE_OPENAI_API_VERSION}`,
+        headers: () => ({ 'api-key': AZURE_OPENAI_API_KEY }),
+        streamUsage: true
+    }),
+    local: createOpenAICompatibleProvider({
+        name: 'local',
+        isConfigured: () => !!LOCAL_LLM_BASE_URL,
+        chatUrl: () => `${LOCAL_LLM_BASE_URL}/chat/completions`,
+        embeddingsUrl: () => `${LOCAL_LLM_BASE_URL}/embeddings`,
+        headers: () => (LOCAL_LLM_API_KEY ? { 'Authorization': `Bearer ${LOCAL_LLM_API_KEY}` } : {})
+    }),
+    mock: createMockProvider(),
+    transformers: createTransformersProvider(),
+    // Embedding-only: the original budget keyword vector, needs no service
+    keyword: {
+        name: 'keyword',
+        isConfigured: () => true,
+        defaultEmbeddingModel: 'keyword',
+        embed: async text => ({ embedding: generateKeywordVector(text), usage: { inputTokens: 0 }, model: 'keyword' })
+    }
+};
+
+const COMPLETION_PROVIDERS = Object.keys(llmProviders).filter(name => llmProviders[name].complete);
+const EMBEDDING_PROVIDERS = Object.keys(llmProviders).filter(name => llmProviders[name].embed);
+
+function getCompletionProvider(workspace) {
+    return llmProviders[workspace.settings.completionProvider] || llmProviders.anthropic;
+}
+
+function getEmbeddingProvider(workspace) {
+    return llmProviders[workspace.settings.embeddingProvider] || llmProviders.keyword;
+}
+
+function providerStatus() {
+    return Object.fromEntries(Object.values(llmProviders).map(provider => [provider.name, {
+        configured: provider.isConfigured(),
+        completion: !!provider.complete,
+        embedding: !!provider.embed
+    }]));
+}
+
+// ===========================
+// UPSTREAM RETRIES & CIRCUIT BREAKER
+// ===========================
+
+const CIRCUIT_FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || '5'); // consecutive failures before opening
+const CIRCUIT_COOLDOWN_MS = parseInt(process.env.CIRCUIT_COOLDOWN_MS || '60000'); // how long an open circuit rejects calls
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504, 529];
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UPSTREAM_TIMEOUT'];
+
+// One breaker per provider and model, shared by every workspace that uses it
+const circuitBreakers = new Map();
+
+function getCircuitBreaker(providerName, model) {
+    const key = `${providerName}:${model}`;
+    if (!circuitBreakers.has(key)) {
+        circuitBreakers.set(key, { key, state: 'closed', failures: 0, openedAt: null, lastError: null });
+    }
+    return circuitBreakers.get(key);
+}
+
+// Closed circuits pass everything; an open circuit lets a single trial call
+// through (half-open) once the cooldown has elapsed
+function circuitAllows(breaker) {
+    if (breaker.state !== 'open') return true;
+    if (Date.now() - breaker.openedAt >= CIRCUIT_COOLDOWN_MS) {
+        breaker.state = 'half-open';
+        return true;
+    }
+    return false;
+}
+
+function recordCircuitSuccess(breaker) {
+    breaker.state = 'closed';
+    breaker.failures = 0;
+    breaker.openedAt = null;
+}
+
+function recordCircuitFailure(breaker, error) {
+    breaker.failures++;
+    breaker.lastError = error.message;
+    if (breaker.state === 'half-open' || breaker.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+        if (breaker.state !== 'open') {
+            console.warn(`⚡ Circuit opened for ${breaker.key} after ${breaker.failures} failures`);
+        }
+        breaker.state = 'open';
+        breaker.openedAt = Date.now();
+    }
+}
+
+function circuitBreakerStatus() {
+    return Array.from(circuitBreakers.values()).map(breaker => ({
+        key: breaker.key,
+        state: breaker.state,
+        failures: breaker.failures,
+        openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+        lastError: breaker.lastError
+    }));
+}
+
+function isRetryableError(error) {
+    const status = error.response?.status;
+    if (status) return RETRYABLE_STATUSES.includes(status);
+    return RETRYABLE_NETWORK_CODES.includes(error.code);
+}
+
+// Honors retry-after-ms (OpenAI) and retry-after in seconds or as an HTTP date
+function retryAfterMs(error) {
+    const headers = error.response?.headers || {};
+    if (headers['retry-after-ms']) return parseFloat(headers['retry-after-ms']);
+
+    const retryAfter = headers['retry-after'];
+    if (!retryAfter) return null;
+    const seconds = parseFloat(retryAfter);
+    if (!isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(retryAfter);
+    return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+// Exponential backoff with full jitter, never sooner than the server asked
+function retryDelay(settings, attempt, error) {
+    const exponential = Math.min(settings.retryMaxDelayMs, settings.retryBaseDelayMs * Math.pow(2, attempt - 1));
+    const jittered = Math.random() * exponential;
+    return Math.min(settings.retryMaxDelayMs, Math.max(jittered, retryAfterMs(error) || 0));
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(new Error('Request aborted'));
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new Error('Request aborted'));
+        };
+        // Job signals outlive many sleeps, so the listener goes with the timer
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// A single provider call bounded by requestTimeoutMs. For streams the timer
+// restarts on every delta, so it limits silence rather than total length.
+async function attemptCompletion(provider, request, onText, timeoutMs) {
+    const controller = new AbortController();
+    let timedOut = false;
+    let timer = null;
+    const armTimer = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeoutMs);
+    };
+    const abortFromCaller = () => controller.abort();
+    request.signal?.addEventListener('abort', abortFromCaller, { once: true });
+    if (request.signal?.aborted) controller.abort();
+
+    armTimer();
+    try {
+        const attemptRequest = { ...request, signal: controller.signal };
+        return onText
+            ? await provider.stream(attemptRequest, text => {
+                armTimer();
+                onText(text);
+            })
+            : await provider.complete(attemptRequest);
+    } catch (error) {
+        if (timedOut) {
+            const timeoutError = new Error(`Upstream request timed out after ${timeoutMs}ms`);
+            timeoutError.code = 'UPSTREAM_TIMEOUT';
+            throw timeoutError;
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+        request.signal?.removeEventListener('abort', abortFromCaller);
+    }
+}
+
+// Runs a completion against the workspace's provider with retries, timeouts,
+// circuit breaking and the configured fallback model. Streaming calls are
+// only retried until the first delta has been forwarded, so the client never
+// sees text twice. Resolves with the completion plus a `resilience` report;
+// failures carry the same report on error.resilience.
+async function completeWithRetry(workspace, request, { onText, fallbackModels = [] } = {}) {
+    const settings = workspace.settings;
+    const provider = getCompletionProvider(workspace);
+    const models = [request.model, ...fallbackModels, settings.fallbackModel].filter((model, index, list) => model && list.indexOf(model) === index);
+
+    const report = {
+        provider: provider.name,
+        requestedModel: request.model,
+        model: null,
+        attempts: 0,
+        retries: 0,
+        fallbackUsed: false,
+        skippedModels: [],
+        errors: []
+    };
+    let streamed = false;
+    let lastError = null;
+
+    for (const model of models) {
+        const breaker = getCircuitBreaker(provider.name, model);
+        if (!circuitAllows(breaker)) {
+            report.skippedModels.push(model);
+            continue;
+        }
+        if (model !== request.model) {
+            report.fallbackUsed = true;
+            workspace.stats.upstreamFallbacks++;
+            console.warn(`↪️  Falling back to ${model} after ${request.model} failed`);
+        }
+
+        for (let attempt = 1; attempt <= settings.retryMaxAttempts; attempt++) {
+            report.attempts++;
+            try {
+                const forward = onText && (text => {
+                    streamed = true;
+                    onText(text);
+                });
+                const completion = await attemptCompletion(provider, { ...request, model }, forward, settings.requestTimeoutMs);
+                recordCircuitSuccess(breaker);
+                recordUsage(workspace, {
+                    kind: 'completion',
+                    provider: provider.name,
+                    model: completion.model || model,
+                    inputTokens: completion.usage.inputTokens,
+                    outputTokens: completion.usage.outputTokens
+                });
+                report.model = completion.model || model;
+                return { ...completion, resilience: report };
+            } catch (error) {
+                if (request.signal?.aborted) throw error;
+
+                lastError = error;
+                const retryable = isRetryableError(error);
+                report.errors.push({ model, attempt, status: error.response?.status || null, code: error.code || null, message: error.message });
+                if (error.code === 'UPSTREAM_TIMEOUT') workspace.stats.upstreamTimeouts++;
+                if (retryable) recordCircuitFailure(breaker, error);
+
+                if (!retryable || streamed) {
+                    error.resilience = report;
+                    throw error;
+                }
+                if (attempt < settings.retryMaxAttempts && circuitAllows(breaker)) {
+                    const delay = retryDelay(settings, attempt, error);
+                    console.warn(`🔁 ${provider.name}:${model} failed (${error.response?.status || error.code || error.message}), retrying in ${Math.round(delay)}ms`);
+                    report.retries++;
+                    workspace.stats.upstreamRetries++;
+                    await sleep(delay, request.signal);
+                } else {
+                    break;
+                }
+            }
+        }
+    }
+
+    workspace.stats.upstreamFailures++;
+    const error = lastError || Object.assign(new Error(`Circuit open for ${provider.name}: ${models.join(', ')}`), { code: 'CIRCUIT_OPEN' });
+    error.resilience = report;
+    throw error;
+}
+
+// ===========================
+// USAGE & COST ACCOUNTING
+// ===========================
+
+// USD per million tokens, matched by longest model-name prefix. Editable
+// through /admin/usage/prices; models with no entry are recorded unpriced.
+const DEFAULT_MODEL_PRICES = {
+    'claude-opus-4': { input: 15, output: 75 },
+    'claude-sonnet-4': { input: 3, output: 15 },
+    'claude-3-7-sonnet': { input: 3, output: 15 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-haiku-4': { input: 1, output: 5 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'text-embedding-ada-002': { input: 0.1, output: 0 },
+    'text-embedding-3-small': { input: 0.02, output: 0 },
+    'text-embedding-3-large': { input: 0.13, output: 0 }
+};
+
+const USAGE_GROUP_FIELDS = {
+    day: 'day',
+    workspace: 'workspace',
+    user: 'userId',
+    endpoint: 'endpoint',
+    kind: 'kind',
+    provider: 'provider',
+    model: 'model'
+};
+
+// Keyed by admin-supplied prefixes, so no prototype to collide with
+let modelPrices = Object.assign(Object.create(null), DEFAULT_MODEL_PRICES);
+const RESERVED_PRICE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// Carries the caller and endpoint down to wherever the provider is called,
+// so embedding and completion helpers don't need them as parameters
+const usageContext = new AsyncLocalStorage();
+
+function trackUsageContext(req, res, next) {
+    usageContext.run({ userId: req.user ? req.user.id : 'anonymous', endpoint: req.path }, next);
+}
+
+function priceFor(model) {
+    const match = Object.keys(modelPrices)
+        .filter(prefix => (model || '').startsWith(prefix))
+        .sort((a, b) => b.length - a.length)[0];
+    return match ? modelPrices[match] : null;
+}
+
+// Usage is kept as daily aggregates per user, endpoint and model rather
+// than one record per call, which keeps the workspace snapshot small
+function recordUsage(workspace, { kind, provider, model, inputTokens = 0, outputTokens = 0 }) {
+    const context = usageContext.getStore() || { userId: 'system', endpoint: 'system' };
+    const day = new Date().toISOString().slice(0, 10);
+    const price = priceFor(model);
+    const cost = price ? (inputTokens * price.input + outputTokens * price.output) / 1e6 : 0;
+
+    let row = workspace.usage.find(candidate => candidate.day === day &&
+        candidate.userId === context.userId &&
+        candidate.endpoint === context.endpoint &&
+        candidate.kind === kind &&
+        candidate.provider === provider &&
+        candidate.model === model);
+    if (!row) {
+        row = { day, userId: context.userId, endpoint: context.endpoint, kind, provider, model, calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, priced: !!price };
+        workspace.usage.push(row);
+    }
+
+    row.calls++;
+    row.inputTokens += inputTokens;
+    row.outputTokens += outputTokens;
+    row.cost += cost;
+}
+
+function sumUsage(rows) {
+    return rows.reduce((totals, row) => {
+        totals.calls += row.calls;
+        totals.inputTokens += row.inputTokens;
+        totals.outputTokens += row.outputTokens;
+        totals.cost += row.cost;
+        return totals;
+    }, { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0 });
+}
+
+function aggregateUsage(rows, groupBy) {
+    const groups = new Map();
+    rows.forEach(row => {
+        const key = groupBy.map(field => row[USAGE_GROUP_FIELDS[field]]).join('\u0000');
+        if (!groups.has(key)) groups.set(key, { fields: groupBy.map(field => [field, row[USAGE_GROUP_FIELDS[field]]]), rows: [] });
+        groups.get(key).rows.push(row);
+    });
+
+    return Array.from(groups.values())
+        .map(group => {
+            const totals = sumUsage(group.rows);
+            return { ...Object.fromEntries(group.fields), ...totals, cost: Number(totals.cost.toFixed(6)) };
+        })
+        .sort((a, b) => groupBy.map(field => String(a[field]).localeCompare(String(b[field]))).find(order => order !== 0) || 0);
+}
+
+function spentSince(rows, fromDay, userId) {
+    return rows
+        .filter(row => row.day >= fromDay && (!userId || row.userId === userId))
+        .reduce((sum, row) => sum + row.cost, 0);
+}
+
+// Spend against each configured cap; a null limit means uncapped
+function budgetStatus(workspace, userId) {
+    const today = new Date().toISOString().slice(0, 10);
+    const monthStart = `${today.slice(0, 7)}-01`;
+    const cap = (limit, spent) => ({ limitUsd: limit, spentUsd: Number(spent.toFixed(6)), exceeded: limit !== null && spent >= limit });
+
+    return {
+        daily: cap(workspace.settings.budgetDailyUsd, spentSince(workspace.usage, today)),
+        monthly: cap(workspace.settings.budgetMonthlyUsd, spentSince(workspace.usage, monthStart)),
+        userMonthly: cap(workspace.settings.userBudgetMonthlyUsd, spentSince(workspace.usage, monthStart, userId))
+    };
+}
+
+// Route middleware for endpoints that spend money upstream
+function enforceBudget(req, res, next) {
+    const budget = budgetStatus(req.workspace, req.user.id);
+    const exceeded = Object.keys(budget).find(name => budget[name].exceeded);
+    if (exceeded) {
+        console.warn(`💸 ${exceeded} budget exceeded in ${req.workspace.id}, rejecting ${req.path} for ${req.user.id}`);
+        return res.status(402).json({
+            error: `The ${exceeded === 'userMonthly' ? 'monthly per-user' : exceeded} budget of $${budget[exceeded].limitUsd} for this workspace has been reached.`,
+            budget: budget
+        });
+    }
+    next();
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// ===========================
+// RAG HELPER FUNCTIONS
+// ===========================
+
+// Vectors are tagged "<provider>:<model>" (or "keyword") so chunks are only
+// ever compared with queries embedded by the same model
+function embeddingModelId(provider, model) {
+    return provider.name === 'keyword' ? 'keyword' : `${provider.name}:${model}`;
+}
+
+// The configured provider first, then the bundled local model, and the
+// keyword vector as the last resort that always works. Only configuration
+// picks from the chain; a provider that errors is never swapped for the next
+// one, since its vectors would not be comparable with the rest of the store.
+function embeddingProviderChain(workspace) {
+    return [getEmbeddingProvider(workspace), llmProviders.transformers, llmProviders.keyword]
+        .filter((provider, index, chain) => chain.indexOf(provider) === index && provider.isConfigured());
+}
+
+function embeddingModelFor(workspace, provider) {
+    return (provider === getEmbeddingProvider(workspace) && workspace.settings.embeddingModel) || provider.defaultEmbeddingModel;
+}
+
+// The model new vectors are meant to come from; chunks tagged otherwise
+// are stale and picked up by /admin/re-embed
+function targetEmbeddingModel(workspace) {
+    const provider = embeddingProviderChain(workspace)[0];
+    return embeddingModelId(provider, embeddingModelFor(workspace, provider));
+}
+
+async function embedWith(workspace, provider, text) {
+    const model = embeddingModelFor(workspace, provider);
+    const result = await provider.embed(text, { model: model });
+    if (provider.name !== 'keyword') {
+        recordUsage(workspace, { kind: 'embedding', provider: provider.name, model: result.model, inputTokens: result.usage.inputTokens });
+    }
+    return { embedding: result.embedding, model: embeddingModelId(provider, model) };
+}
+
+function embeddingProvider(workspace) {
+    const provider = embeddingProviderChain(workspace)[0];
+    const configured = getEmbeddingProvider(workspace);
+    if (provider !== configured) {
+        console.log(`Using ${provider.name} embeddings (${configured.name} not configured)`);
+    }
+    return provider;
+}
+
+// Resolves { embedding, model } with the workspace's target model. Transient
+// upstream errors are retried like completions; anything else is thrown.
+// Callers embedding many chunks pass the provider they resolved once.
+async function generateEmbedding(workspace, text, provider = embeddingProvider(workspace)) {
+    const { settings } = workspace;
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await embedWith(workspace, provider, text);
+        } catch (error) {
+            if (attempt >= settings.retryMaxAttempts || !isRetryableError(error)) throw error;
+            console.warn(`${provider.name} embedding failed (attempt ${attempt}/${settings.retryMaxAttempts}), retrying:`, error.message);
+            await sleep(retryDelay(settings, attempt, error));
+        }
+    }
+}
+
+// Chunks saved before vectors were tagged came from ada-002 or the keyword vector
+function inferEmbeddingModel(embedding) {
+    if (!Array.isArray(embedding)) return null;
+    if (embedding.length === KEYWORD_VECTOR_TERMS.length) return 'keyword';
+    if (embedding.length === 1536) return 'openai:text-embedding-ada-002';
+    return `unknown:${embedding.length}`;
+}
+
+// Budget-friendly keyword-based vector
+const KEYWORD_VECTOR_TERMS = [
+    'market', 'treatment', 'physician', 'academic', 'community', 'region', 
+    'adoption', 'preference', 'efficacy', 'safety', 'compliance', 'prescribing',
+    'competition', 'share', 'growth', 'trend', 'segment', 'therapeutic',
+    'survey', 'analysis', 'data', 'patient', 'clinical', 'therapy'
+];
+
+function generateKeywordVector(text) {
+    const lowerText = text.toLowerCase();
+    return KEYWORD_VECTOR_TERMS.map(keyword => 
+        (lowerText.match(new RegExp(keyword, 'g')) || []).length / text.length * 1000
+    );
+}
+
+function calculateSimilarity(vector1, vector2) {
+    if (vector1.length !== vector2.length) return 0;
+    
+    let dotProduct = 0;
+    let norm1 = 0;
+    let norm2 = 0;
+    
+    for (let i = 0; i < vector1.length; i++) {
+        dotProduct += vector1[i] * vector2[i];
+        norm1 += vector1[i] * vector1[i];
+        norm2 += vector2[i] * vector2[i];
+    }
+    
+    return dotProduct / (Math.sqrt(norm1) * Math.sqrt(norm2));
+}
+
+// Structure-aware chunking. Documents are parsed into blocks (headings,
+// tables, lists, paragraphs) and packed into chunks of about
+// ragSettings.chunkSizeTokens, so a chunk never straddles two sections and
+// a table only splits when it alone exceeds the budget (its header row is
+// repeated on each piece). Consecutive chunks within a section share
+// roughly chunkOverlapTokens of trailing sentences. Form feeds mark page
+// breaks, as produced by PDF text extraction.
+const MARKDOWN_HEADING = /^(#{1,6})\s+(.+?)\s*#*$/;
+const NUMBERED_HEADING = /^(\d{1,2}(?:\.\d{1,2}){0,3})\.?\s+([A-Z][^.!?:]{2,80})$/;
+const CAPS_HEADING = /^[A-Z][A-Z0-9 &/,'()-]{3,60}:?$/;
+const LIST_ITEM = /^\s*(?:[-*•▪◦]|\d{1,3}[.)]|[a-z][.)])\s+/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-{3,}:?\s*(?:\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+// Standalone lines only: "1. Physicians preferred..." inside a block is a
+// list item, and a lone "KEY FINDINGS" line is a heading.
+function matchHeading(line, standalone) {
+    const markdown = line.match(MARKDOWN_HEADING);
+    if (markdown) return { level: markdown[1].length, title: markdown[2].trim() };
+    if (!standalone) return null;
+
+    const numbered = line.match(NUMBERED_HEADING);
+    if (numbered) return { level: numbered[1].split('.').length, title: line.trim() };
+    if (CAPS_HEADING.test(line.trim()) && /[A-Z]{2}/.test(line)) {
+        return { level: 1, title: line.trim().replace(/:$/, '') };
+    }
+    return null;
+}
+
+function isTableLine(line) {
+    return (line.match(/\|/g) || []).length >= 2 || line.includes('\t');
+}
+
+function classifyBlock(lines, page) {
+    if (lines.length >= 2 && lines.filter(isTableLine).length >= lines.length * 0.6) {
+        return { type: 'table', lines, page };
+    }
+    if (lines.filter(line => LIST_ITEM.test(line)).length >= lines.length * 0.5) {
+        return { type: 'list', lines, page };
+    }
+    // Re-flow hard-wrapped paragraphs
+    return { type: 'paragraph', text: lines.map(line => line.trim()).join(' '), page };
+}
+
+function parseDocumentBlocks(text) {
+    const blocks = [];
+
+    text.replace(/\r\n?/g, '\n').split('\f').forEach((pageText, pageIndex) => {
+        const page = pageIndex + 1;
+
+        pageText.split(/\n\s*\n/).forEach(rawBlock => {
+            const lines = rawBlock.split('\n').map(line => line.trimEnd()).filter(line => line.trim());
+            let buffer = [];
+            const flush = () => {
+                if (buffer.length) blocks.push(classifyBlock(buffer, page));
+                buffer = [];
+            };
+
+            lines.forEach(line => {
+                const heading = matchHeading(line, lines.length === 1);
+                if (heading) {
+                    flush();
+                    blocks.push({ type: 'heading', ...heading, text: line.trim(), page });
+                } else {
+                    buffer.push(line);
+                }
+            });
+            flush();
+        });
+    });
+
+    return blocks;
+}
+
+// Splits after terminal punctuation followed by whitespace, keeping the
+// punctuation, so decimals such as "41.5%" stay whole.
+function splitSentences(text) {
+    return text
+        .split(/(?<=[.!?]["')\]]?)\s+(?=["'(\[]?[A-Z0-9])/)
+        .map(sentence => sentence.trim())
+        .filter(Boolean);
+}
+
+function splitByWords(text, maxTokens) {
+    const pieces = [];
+    let current = [];
+    for (const word of text.split(/\s+/)) {
+        if (current.length && estimateTokens([...current, word].join(' ')) > maxTokens) {
+            pieces.push(current.join(' '));
+            current = [];
+        }
+        current.push(word);
+    }
+    if (current.length) pieces.push(current.join(' '));
+    return pieces;
+}
+
+// Groups items (sentences, list items, table rows) into pieces of at most
+// maxTokens, each starting with `prefix` when given.
+function packItems(items, maxTokens, { separator = ' ', prefix = '' } = {}) {
+    const pieces = [];
+    let current = prefix ? [prefix] : [];
+    const base = current.length;
+
+    for (const item of items) {
+        const candidate = [...current, item].join(separator);
+        if (current.length > base && estimateTokens(candidate) > maxTokens) {
+            pieces.push(current.join(separator));
+            current = prefix ? [prefix] : [];
+        }
+        current.push(item);
+    }
+    if (current.length > base) pieces.push(current.join(separator));
+    return pieces;
+}
+
+// Breaks a block into units no larger than maxTokens where possible
+function blockUnits(block, maxTokens) {
+    if (block.type === 'table') {
+        const text = block.lines.join('\n');
+        if (estimateTokens(text) <= maxTokens) return [{ type: 'table', text }];
+
+        const headerSize = TABLE_DIVIDER.test(block.lines[1] || '') ? 2 : 1;
+        const header = block.lines.slice(0, headerSize).join('\n');
+        return packItems(block.lines.slice(headerSize), maxTokens, { separator: '\n', prefix: header })
+            .map(piece => ({ type: 'table', text: piece }));
+    }
+
+    if (block.type === 'list') {
+        const text = block.lines.join('\n');
+        if (estimateTokens(text) <= maxTokens) return [{ type: 'list', text }];
+
+        // Continuation lines stay with their item
+        const items = [];
+        block.lines.forEach(line => {
+            if (LIST_ITEM.test(line) || !items.length) items.push(line);
+            else items[items.length - 1] += `\n${line}`;
+        });
+        return packItems(items, maxTokens, { separator: '\n' }).map(piece => ({ type: 'list', text: piece }));
+    }
+
+    if (estimateTokens(block.text) <= maxTokens) return [{ type: 'paragraph', text: block.text }];
+
+    const sentences = splitSentences(block.text).flatMap(sentence =>
+        estimateTokens(sentence) > maxTokens ? splitByWords(sentence, maxTokens) : [sentence]
+    );
+    return packItems(sentences, maxTokens).map(piece => ({ type: 'paragraph', text: piece }));
+}
+
+// Trailing sentences of prose worth at most maxTokens
+function overlapTail(unit, maxTokens) {
+    if (!unit || unit.type === 'table' || maxTokens <= 0) return null;
+
+    const tail = [];
+    const sentences = unit.type === 'list' ? unit.text.split('\n') : splitSentences(unit.text);
+    for (let i = sentences.length - 1; i >= 0; i--) {
+        if (estimateTokens([sentences[i], ...tail].join(' ')) > maxTokens) break;
+        tail.unshift(sentences[i]);
+    }
+    if (!tail.length || tail.length === sentences.length) return null;
+    return { type: unit.type, text: tail.join(unit.type === 'list' ? '\n' : ' '), overlap: true };
+}
+
+function chunkDocument(text, { chunkSizeTokens = 300, chunkOverlapTokens = 40 } = {}) {
+    const paginated = text.includes('\f');
+    const chunks = [];
+    const headings = [];
+    let current = null;
+
+    const startChunk = (page, seed) => {
+        current = { units: seed ? [seed] : [], pageStart: page, pageEnd: page, sectionPath: headings.map(h => h.title) };
+    };
+    const emitChunk = () => {
+        if (!current || !current.units.some(unit => !unit.overlap && unit.type !== 'heading')) return;
+        chunks.push({
+            content: current.units.map(unit => unit.text).join('\n\n'),
+            sectionTitle: current.sectionPath[current.sectionPath.length - 1] || null,
+            sectionPath: current.sectionPath,
+            pageStart: paginated ? current.pageStart : null,
+            pageEnd: paginated ? current.pageEnd : null
+        });
+    };
+
+    for (const block of parseDocumentBlocks(text)) {
+        if (block.type === 'heading') {
+            emitChunk();
+            while (headings.length && headings[headings.length - 1].level >= block.level) headings.pop();
+            headings.push(block);
+            startChunk(block.page, { type: 'heading', text: block.text });
+            continue;
+        }
+
+        if (!current) startChunk(block.page);
+
+        // Leave room for the overlap carried into the next chunk
+        for (const unit of blockUnits(block, chunkSizeTokens - chunkOverlapTokens)) {
+            const size = estimateTokens(current.units.map(u => u.text).concat(unit.text).join('\n\n'));
+            if (size > chunkSizeTokens && current.units.some(u => !u.overlap && u.type !== 'heading')) {
+                const previous = current.units[current.units.length - 1];
+                emitChunk();
+                startChunk(block.page, unit.type === 'table' ? null : overlapTail(previous, chunkOverlapTokens));
+            }
+            current.units.push(unit);
+            current.pageEnd = block.page;
+        }
+    }
+    emitChunk();
+
+    return chunks;
+}
+
+// "p. 3", "pp. 3-4" or "slide 5"; null for unpaginated sources and legacy chunks
+function chunkPages(chunk) {
+    if (!chunk.pageStart) return null;
+    const spansPages = chunk.pageEnd && chunk.pageEnd !== chunk.pageStart;
+    if (chunk.pageUnit === 'slide') {
+        return spansPages ? `slides ${chunk.pageStart}-${chunk.pageEnd}` : `slide ${chunk.pageStart}`;
+    }
+    return spansPages ? `pp. ${chunk.pageStart}-${chunk.pageEnd}` : `p. ${chunk.pageStart}`;
+}
+
+function describeChunkSource(chunk) {
+    return [chunk.fileName, chunk.sectionTitle, chunkPages(chunk)].filter(Boolean).join(', ');
+}
+
+function tokenizeText(text, minLength = 4) {
+    return text.toLowerCase()
+        .replace(/[^\w\s]/g, ' ')
+        .split(/\s+/)
+        .filter(word => word.length >= minLength);
+}
+
+function extractKeywords(text) {
+    const words = tokenizeText(text);
+    
+    const wordCount = {};
+    words.forEach(word => {
+        wordCount[word] = (wordCount[word] || 0) + 1;
+    });
+    
+    return Object.keys(wordCount)
+        .sort((a, b) => wordCount[b] - wordCount[a])
+        .slice(0, 10);
+}
+
+// `source` describes where the text came from (see extractDocument): file
+// type, document title and whether form feeds separate pages or slides.
+async function processDocument(workspace, content, fileName, category = 'general', source = {}) {
+    try {
+        const { chunkSizeTokens, chunkOverlapTokens } = workspace.ragSettings;
+        const chunks = chunkDocument(content, { chunkSizeTokens, chunkOverlapTokens });
+        const provider = embeddingProvider(workspace);
+        const processedChunks = [];
+
+        for (let i = 0; i < chunks.length; i++) {
+            const chunk = chunks[i];
+            const { embedding, model } = await generateEmbedding(workspace, chunk.content, provider);
+            
+            const docChunk = {
+                id: `${fileName}-chunk-${i}`,
+                fileName: fileName,
+                content: chunk.content,
+                embedding: embedding,
+                embeddingModel: model,
+                category: category,
+                chunkIndex: i,
+                totalChunks: chunks.length,
+                fileType: source.fileType || 'text',
+                title: source.title || null,
+                sectionTitle: chunk.sectionTitle,
+                sectionPath: chunk.sectionPath,
+                pageUnit: chunk.pageStart ? source.pageUnit || 'page' : null,
+                pageStart: chunk.pageStart,
+                pageEnd: chunk.pageEnd,
+                processedAt: new Date().toISOString(),
+                keywords: extractKeywords(chunk.content)
+            };
+            
+            processedChunks.push(docChunk);
+        }
+
+        workspace.documentStore.push(...processedChunks);
+        indexChunks(workspace, processedChunks);
+        workspace.stats.documentsProcessed++;
+        
+        console.log(`Processed ${chunks.length} chunks from ${fileName}`);
+        return processedChunks;
+        
+    } catch (error) {
+        console.error(`Document processing failed for ${fileName}:`, error);
+        throw error;
+    }
+}
+
+// Retrieves by vector similarity, BM25 or both fused by reciprocal rank,
+// depending on ragSettings.retrievalMode, then optionally reranks. The
+// similarity threshold only gates vector hits, so exact-term matches still
+// come through when embeddings score everything low. Returned chunks carry
+// `similarity` (cosine where a query embedding exists, otherwise the BM25
+// score relative to the best hit) and a `retrieval` breakdown.
+async function retrieveRelevantContext(workspace, query, limit = 5) {
+    try {
+        if (workspace.documentStore.length === 0) {
+            return [];
+        }
+
+        const { retrievalMode, rerank, rerankCandidates } = workspace.ragSettings;
+        const candidateCount = Math.max(limit, rerank === 'llm' ? rerankCandidates : 0) * 4;
+
+        let queryEmbedding = null;
+        let vectorResults = [];
+        if (retrievalMode !== 'lexical') {
+            queryEmbedding = await generateEmbedding(workspace, query);
+            vectorResults = searchVectors(workspace, queryEmbedding, candidateCount)
+                .filter(result => result.similarity > workspace.settings.similarityThreshold);
+        }
+        const lexicalResults = retrievalMode !== 'vector' ? searchLexical(workspace, query, candidateCount) : [];
+
+        let candidates;
+        if (retrievalMode === 'hybrid') {
+            candidates = reciprocalRankFusion([
+                { name: 'vector', results: vectorResults },
+                { name: 'lexical', results: lexicalResults }
+            ]);
+        } else {
+            const results = retrievalMode === 'lexical' ? lexicalResults : vectorResults;
+            candidates = results.map(result => ({ doc: result.doc, score: result.score ?? result.similarity, matchedBy: [retrievalMode] }));
+        }
+
+        // Generated analyses rank below human-authored material of equal relevance
+        const { generatedWeight } = workspace.ragSettings;
+        if (generatedWeight !== 1) {
+            candidates = candidates
+                .map(candidate => (isGeneratedChunk(candidate.doc) ? { ...candidate, score: candidate.score * generatedWeight, weight: generatedWeight } : candidate))
+                .sort((a, b) => b.score - a.score);
+        }
+
+        if (rerank === 'llm' && candidates.length > 1) {
+            candidates = [
+                ...await rerankWithModel(workspace, query, candidates.slice(0, rerankCandidates)),
+                ...candidates.slice(rerankCandidates)
+            ];
+        }
+
+        const vectorSimilarity = new Map(vectorResults.map(result => [result.doc, result.similarity]));
+        const lexicalScore = new Map(lexicalResults.map(result => [result.doc, result.score]));
+        const bestLexicalScore = lexicalResults.length ? lexicalResults[0].score : 1;
+
+        const relevantDocs = candidates.slice(0, limit).map(candidate => {
+            const doc = candidate.doc;
+            const similarity = vectorSimilarity.has(doc)
+                ? vectorSimilarity.get(doc)
+                : queryEmbedding
+                    ? (doc.embeddingModel === queryEmbedding.model && calculateSimilarity(queryEmbedding.embedding, doc.embedding)) || 0
+                    : lexicalScore.get(doc) / bestLexicalScore;
+
+            return {
+                ...doc,
+                similarity: similarity,
+                retrieval: {
+                    mode: retrievalMode,
+                    matchedBy: candidate.matchedBy,
+                    vectorSimilarity: vectorSimilarity.get(doc) ?? null,
+                    lexicalScore: lexicalScore.get(doc) ?? null,
+                    fusedScore: retrievalMode === 'hybrid' ? candidate.score : null,
+                    rerankScore: candidate.rerankScore ?? null,
+                    weight: candidate.weight ?? 1
+                }
+            };
+        });
+
+        workspace.stats.ragQueries++;
+        
+        console.log(`Retrieved ${relevantDocs.length} relevant documents for query (${retrievalMode}${rerank === 'llm' ? ', reranked' : ''})`);
+        return relevantDocs;
+
+    } catch (error) {
+        console.error('Context retrieval failed:', error);
+        return [];
+    }
+}
+
+// ===========================
+// SURVEY DATA PARSING
+// ===========================
+
+// Matched against whole words so "statement" or "real estate" columns are
+// not taken for regions. A bare "practice" is too common in question text
+// ("Change in practice after the guideline") to mark a segment column.
+const SEGMENT_PATTERNS = [
+    { type: 'practiceSetting', pattern: /\bsettings?\b|\bpractice type\b|\bacademic\b|\bcommunity\b|\binstitution/i },
+    { type: 'region', pattern: /\bregion|\bgeograph|\bterritor(y|ies)\b|\bstates?\b|\bcountry\b|\bcountries\b/i },
+    { type: 'specialty', pattern: /\bspecialt(y|ies)\b|\bspeciality\b/i },
+    { type: 'wave', pattern: /\bwave\b|\bquarter\b|\bperiod\b|\bfielding\b|\bsurvey date\b/i }
+];
+const ID_PATTERN = /^(respondent|resp|participant|record|case)?[\s_-]*(id|#|no\.?|number)$/i;
+const MAX_CATEGORIES = 12;
+const MAX_DIGEST_QUESTIONS = 40;
+
+// Base64 uploads can be workbooks, SPSS system files or plain encoded text,
+// so the leading bytes decide rather than the encoding
+function binarySurveyFormat(buffer) {
+    const magic = buffer.subarray(0, 4).toString('latin1');
+    if (magic === 'PK\x03\x04' || magic === '\xd0\xcf\x11\xe0') return 'xlsx'; // zip (xlsx) or OLE (xls)
+    if (magic === '$FL2' || magic === '$FL3') return 'sav';
+    return null;
+}
+
+function detectSurveyFormat(content, fileName = '') {
+    const extension = path.extname(fileName).toLowerCase();
+
+    // Untagged binary content is still expected to be base64
+    if (extension === '.xlsx' || extension === '.xls' || content.startsWith('UEsDB')) return 'xlsx';
+    if (extension === '.sav' || content.startsWith('JEZM')) return 'sav';
+    if (extension === '.tsv' || extension === '.tab') return 'tsv';
+    if (extension === '.csv') return 'csv';
+
+    // Most survey tools also export delimited text; sniff the header line
+    const lines = content.split(/\r?\n/).filter(line => line.trim()).slice(0, 5);
+    if (lines.length < 2) return 'text';
+
+    for (const [format, delimiter] of [['tsv', '\t'], ['csv', ','], ['csv', ';']]) {
+        const counts = lines.map(line => line.split(delimiter).length - 1);
+        if (counts[0] > 0 && counts.every(count => count === counts[0])) {
+            return format === 'csv' && delimiter === ';' ? 'csv-semicolon' : format;
+        }
+    }
+    return 'text';
+}
+
+// RFC 4180 style parser: quoted fields, escaped quotes and embedded newlines
+function parseDelimited(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+function parseXlsx(buffer) {
+    const workbook = XLSX.read(buffer, { type: 'buffer', sheets: 0, cellFormula: false, cellHTML: false });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    return XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '' })
+        .map(cells => cells.map(cell => String(cell)))
+        .filter(cells => cells.some(cell => cell.trim()));
+}
+
+function isUserMissing(missing, value) {
+    if (missing === null || missing === undefined || typeof value !== 'number') return false;
+    if (typeof missing === 'number') return value === missing;
+    if (Array.isArray(missing)) return missing.includes(value);
+    return (value >= missing.min && value <= missing.max) || value === missing.value;
+}
+
+// SPSS system files: variable labels become the headers and value labels the
+// answers, so codes 1/2 read as "Academic"/"Community". User-missing and
+// system-missing values count as unanswered.
+async function parseSav(buffer) {
+    const reader = new SavBufferReader(buffer);
+    await reader.open();
+
+    const variables = reader.meta.sysvars.filter(variable => !variable.__is_child_string_var);
+    const valueLabels = variables.map(variable => new Map(
+        (reader.meta.getValueLabels(variable.name) || []).map(entry => [entry.val, entry.label])
+    ));
+    const records = await reader.readAllRows();
+
+    const rows = records.map(record => variables.map((variable, index) => {
+        const value = record[variable.name];
+        if (value === null || value === undefined || value <= -Number.MAX_VALUE || isUserMissing(variable.missing, value)) {
+            return '';
+        }
+        return valueLabels[index].has(value) ? valueLabels[index].get(value) : String(value).trim();
+    }));
+
+    return [variables.map(variable => variable.label || variable.name), ...rows]
+        .filter(cells => cells.some(cell => cell.trim()));
+}
+
+function parseNumber(value) {
+    const cleaned = String(value).trim().replace(/%$/, '');
+    if (cleaned === '' || !/^-?\d+(\.\d+)?$/.test(cleaned)) return null;
+    return parseFloat(cleaned);
+}
+
+function inferSurveySchema(headers, rows) {
+    return headers.map((header, index) => {
+        const name = header.trim() || `Column ${index + 1}`;
+        const values = rows.map(row => (row[index] || '').trim()).filter(value => value !== '');
+        const distinct = new Set(values);
+        const numericCount = values.filter(value => parseNumber(value) !== null).length;
+        const isNumeric = values.length > 0 && numericCount === values.length;
+
+        let type = 'text';
+        if (values.length === 0) {
+            type = 'empty';
+        } else if (distinct.size <= MAX_CATEGORIES && distinct.size < values.length) {
+            type = 'categorical';
+        } else if (isNumeric) {
+            type = 'numeric';
+        }
+
+        let role = 'question';
+        const segment = SEGMENT_PATTERNS.find(candidate => candidate.pattern.test(name));
+        if (ID_PATTERN.test(name)) {
+            role = 'id';
+        } else if (segment && type === 'categorical') {
+            role = 'segment';
+        } else if (type === 'text' || type === 'empty') {
+            role = 'ignored';
+        }
+
+        return {
+            index: index,
+            name: name,
+            type: type,
+            role: role,
+            segmentType: role === 'segment' ? segment.type : undefined,
+            responseCount: values.length,
+            distinctValues: distinct.size
+        };
+    });
+}
+
+function round1(value) {
+    return Math.round(value * 10) / 10;
+}
+
+function summarizeCategorical(values) {
+    const counts = {};
+    values.forEach(value => {
+        counts[value] = (counts[value] || 0) + 1;
+    });
+
+    return {
+        n: values.length,
+        answers: Object.keys(counts)
+            .sort((a, b) => counts[b] - counts[a])
+            .map(value => ({
+                value: value,
+                count: counts[value],
+                percent: values.length ? round1(counts[value] / values.length * 100) : 0
+            }))
+    };
+}
+
+function summarizeNumeric(values) {
+    const numbers = values.map(parseNumber).filter(value => value !== null).sort((a, b) => a - b);
+    if (numbers.length === 0) return { n: 0 };
+
+    const middle = Math.floor(numbers.length / 2);
+    return {
+        n: numbers.length,
+        mean: round1(numbers.reduce((sum, value) => sum + value, 0) / numbers.length),
+        median: numbers.length % 2 ? numbers[middle] : round1((numbers[middle - 1] + numbers[middle]) / 2),
+        min: numbers[0],
+        max: numbers[numbers.length - 1]
+    };
+}
+
+// One table per question: an overall row plus one row per segment value
+function computeCrosstabs(columns, rows) {
+    const segments = columns.filter(column => column.role === 'segment');
+    const questions = columns.filter(column => column.role === 'question');
+    const valueAt = (row, column) => (row[column.index] || '').trim();
+
+    return questions.map((question, questionIndex) => {
+        const summarize = question.type === 'numeric' ? summarizeNumeric : summarizeCategorical;
+        const answered = rows.filter(row => valueAt(row, question) !== '');
+
+        const groups = [{ segment: null, value: 'Overall', ...summarize(answered.map(row => valueAt(row, question))) }];
+
+        segments.forEach(segment => {
+            const segmentValues = [...new Set(answered.map(row => valueAt(row, segment)).filter(Boolean))].sort();
+            segmentValues.forEach(segmentValue => {
+                const inSegment = answered.filter(row => valueAt(row, segment) === segmentValue);
+                groups.push({
+                    segment: segment.name,
+                    value: segmentValue,
+                    ...summarize(inSegment.map(row => valueAt(row, question)))
+                });
+            });
+        });
+
+        return {
+            id: `T${questionIndex + 1}`,
+            question: question.name,
+            columnIndex: question.index,
+            type: question.type,
+            groups: groups
+        };
+    });
+}
+
+// The text an upload stands for: base64 that isn't a binary survey format
+// is decoded, everything else is returned as sent
+function decodeSurveyInput(fileContent, fileEncoding) {
+    if (fileEncoding !== 'base64') return fileContent;
+    const buffer = Buffer.from(fileContent, 'base64');
+    return binarySurveyFormat(buffer) ? fileContent : buffer.toString('utf8');
+}
+
+async function parseSurveyFile(fileContent, fileName, fileEncoding) {
+    const buffer = fileEncoding === 'base64' ? Buffer.from(fileContent, 'base64') : null;
+    const binaryFormat = buffer && binarySurveyFormat(buffer);
+    const content = decodeSurveyInput(fileContent, fileEncoding);
+    const format = binaryFormat || detectSurveyFormat(content, fileName);
+    if (format === 'text') return null;
+
+    let rows;
+    if (format === 'xlsx') {
+        rows = parseXlsx(buffer || Buffer.from(fileContent, 'base64'));
+    } else if (format === 'sav') {
+        rows = await parseSav(buffer || Buffer.from(fileContent, 'base64'));
+    } else {
+        const delimiter = format === 'tsv' ? '\t' : format === 'csv-semicolon' ? ';' : ',';
+        rows = parseDelimited(content, delimiter);
+    }
+
+    if (rows.length < 2) return null;
+
+    const [headers, ...dataRows] = rows;
+    const columns = inferSurveySchema(headers, dataRows);
+    const segments = columns.filter(column => column.role === 'segment');
+
+    return {
+        format: format,
+        fileName: fileName,
+        respondentCount: dataRows.length,
+        columns: columns,
+        segments: segments.map(segment => ({
+            name: segment.name,
+            type: segment.segmentType,
+            values: summarizeCategorical(dataRows.map(row => (row[segment.index] || '').trim()).filter(Boolean)).answers
+        })),
+        tables: computeCrosstabs(columns, dataRows)
+    };
+}
+
+function formatSurveyGroup(group, type) {
+    if (type === 'numeric') {
+        return `${group.value} (n=${group.n}): mean ${group.mean}, median ${group.median}, range ${group.min}-${group.max}`;
+    }
+    const answers = group.answers.map(answer => `${answer.value} ${answer.percent}% (${answer.count})`).join('; ');
+    return `${group.value} (n=${group.n}): ${answers}`;
+}
+
+// Compact statistical digest sent to Claude in place of raw respondent rows
+function buildSurveyDigest(survey) {
+    const lines = [
+        `SURVEY DATA DIGEST (format: ${survey.format}, respondents: ${survey.respondentCount}, columns: ${survey.columns.length})`,
+        'All percentages below are computed from the respondent-level data.'
+    ];
+
+    if (survey.segments.length > 0) {
+        lines.push('', 'SEGMENTS:');
+        survey.segments.forEach(segment => {
+            lines.push(`- ${segment.name}: ${segment.values.map(value => `${value.value} n=${value.count}`).join(', ')}`);
+        });
+    }
+
+    lines.push('', 'QUESTIONS:');
+    survey.tables.slice(0, MAX_DIGEST_QUESTIONS).forEach(table => {
+        lines.push('', `[${table.id}] ${table.question}`);
+        table.groups.forEach((group, groupIndex) => {
+            const label = group.segment ? `${group.segment} = ` : '';
+            lines.push(`  [${table.id}.${groupIndex + 1}] ${label}${formatSurveyGroup(group, table.type)}`);
+        });
+    });
+
+    if (survey.tables.length > MAX_DIGEST_QUESTIONS) {
+        lines.push('', `(${survey.tables.length - MAX_DIGEST_QUESTIONS} further questions omitted)`);
+    }
+
+    return lines.join('\n');
+}
+
+// ===========================
+// DOCUMENT EXTRACTION
+// ===========================
+// Reference uploads arrive as multipart files and are reduced to text for
+// processDocument: headings become markdown headings and tables become pipe
+// tables so the chunker keeps structure, and pages (or slides) are separated
+// by form feeds so chunks record where they came from.
+const MAX_UPLOAD_BYTES = 50 * 1024 * 1024;
+
+const DOCUMENT_TYPES = {
+    pdf: { extensions: ['.pdf'], mimeTypes: ['application/pdf'], pageUnit: 'page' },
+    docx: { extensions: ['.docx'], mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'], pageUnit: null },
+    pptx: { extensions: ['.pptx'], mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'], pageUnit: 'slide' },
+    html: { extensions: ['.html', '.htm'], mimeTypes: ['text/html'], pageUnit: null },
+    markdown: { extensions: ['.md', '.markdown'], mimeTypes: ['text/markdown'], pageUnit: null },
+    text: { extensions: ['.txt'], mimeTypes: ['text/plain'], pageUnit: null }
+};
+
+const uploadSingleFile = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_BYTES }
+}).single('file');
+
+// Multipart is optional: JSON bodies pass straight through
+function acceptDocumentUpload(req, res, next) {
+    uploadSingleFile(req, res, error => {
+        if (!error) return next();
+        const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+        res.status(status).json({
+            success: false,
+            error: error.code === 'LIMIT_FILE_SIZE'
+                ? `File exceeds the ${MAX_UPLOAD_BYTES / 1024 / 1024} MB upload limit`
+                : `Invalid upload: ${error.message}`
+        });
+    });
+}
+
+function detectDocumentType(file) {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    const byExtension = Object.keys(DOCUMENT_TYPES).find(type => DOCUMENT_TYPES[type].extensions.includes(extension));
+    if (byExtension) return byExtension;
+    return Object.keys(DOCUMENT_TYPES).find(type => DOCUMENT_TYPES[type].mimeTypes.includes(file.mimetype)) || null;
+}
+
+// Out-of-range references such as &#99999999; become U+FFFD instead of throwing
+function codePointText(code) {
+    return code <= 0x10FFFF ? String.fromCodePoint(code) : '\uFFFD';
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;|&#39;/g, "'")
+        .replace(/&#(\d+);/g, (match, code) => codePointText(parseInt(code, 10)))
+        .replace(/&#x([0-9a-f]+);/gi, (match, code) => codePointText(parseInt(code, 16)))
+        .replace(/&amp;/g, '&');
+}
+
+function inlineText(html) {
+    return decodeEntities(html.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+function htmlToText(html) {
+    const text = html
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(script|style|head|noscript)\b[\s\S]*?<\/\1>/gi, '')
+        .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, inner) =>
+            `\n\n${'#'.repeat(Number(level))} ${inlineText(inner)}\n\n`)
+        .replace(/<table\b[^>]*>([\s\S]*?)<\/table>/gi, (match, inner) => {
+            const rows = (inner.match(/<tr\b[\s\S]*?<\/tr>/gi) || []).map(row =>
+                (row.match(/<t[hd]\b[^>]*>[\s\S]*?<\/t[hd]>/gi) || []).map(cell => inlineText(cell).replace(/\|/g, '/')));
+            if (!rows.length) return '\n\n';
+            const lines = rows.map(cells => `| ${cells.join(' | ')} |`);
+            lines.splice(1, 0, `|${rows[0].map(() => '---').join('|')}|`);
+            return `\n\n${lines.join('\n')}\n\n`;
+        })
+        .replace(/<li\b[^>]*>([\s\S]*?)<\/li>/gi, (match, inner) => `\n- ${inlineText(inner)}`)
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|ul|ol|section|article|blockquote|pre)>/gi, '\n\n')
+        .replace(/<[^>]+>/g, '');
+
+    return decodeEntities(text)
+        .split('\n')
+        .map(line => line.replace(/[ \t]+/g, ' ').trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+function firstMarkdownHeading(text) {
+    const match = text.match(/^#{1,2}\s+(.+)$/m);
+    return match ? match[1].trim() : null;
+}
+
+async function officeTitle(zip) {
+    const core = zip.file('docProps/core.xml');
+    if (!core) return null;
+    const match = (await core.async('string')).match(/<dc:title>([\s\S]*?)<\/dc:title>/);
+    return match ? decodeEntities(match[1]).trim() || null : null;
+}
+
+// Lines break wherever the baseline moves; a gap wider than a line and a
+// half starts a new paragraph so the chunker sees block boundaries.
+async function renderPdfPage(pageData) {
+    const content = await pageData.getTextContent();
+    let text = '';
+    let lastY = null;
+
+    for (const item of content.items) {
+        const y = item.transform[5];
+        if (lastY !== null && y !== lastY) {
+            const lineHeight = item.height || Math.abs(item.transform[3]) || 12;
+            text += Math.abs(lastY - y) > lineHeight * 1.5 ? '\n\n' : '\n';
+        }
+        text += item.str;
+        lastY = y;
+    }
+    return text;
+}
+
+async function extractPdf(buffer) {
+    const pages = [];
+    // pdf.js reads the whole underlying ArrayBuffer and ignores byteOffset, so
+    // small uploads sharing Node's buffer pool are copied out first
+    const result = await pdfParse(new Uint8Array(buffer), {
+        pagerender: async pageData => {
+            pages[pageData.pageIndex] = await renderPdfPage(pageData);
+            return pages[pageData.pageIndex];
+        }
+    });
+
+    return {
+        pages: Array.from({ length: result.numpages }, (_, index) => pages[index] || ''),
+        title: (result.info && result.info.Title) || null
+    };
+}
+
+async function extractDocx(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+    const { value } = await mammoth.convertToHtml({ buffer });
+    const text = htmlToText(value);
+    return { pages: [text], title: (await officeTitle(zip)) || firstMarkdownHeading(text) };
+}
+
+function pptxParagraphs(xml) {
+    return (xml.match(/<a:p>[\s\S]*?<\/a:p>|<a:p\b[^/>]*>[\s\S]*?<\/a:p>/g) || [])
+        .map(paragraph => decodeEntities((paragraph.match(/<a:t>([\s\S]*?)<\/a:t>/g) || [])
+            .map(run => run.replace(/<\/?a:t>/g, ''))
+            .join('')).trim())
+        .filter(Boolean);
+}
+
+function pptxSlideText(xml) {
+    let title = null;
+    const blocks = [];
+    const shapes = xml.match(/<p:sp\b[\s\S]*?<\/p:sp>|<p:graphicFrame\b[\s\S]*?<\/p:graphicFrame>/g) || [];
+
+    shapes.forEach(shape => {
+        if (shape.includes('<a:tbl>')) {
+            const rows = (shape.match(/<a:tr\b[\s\S]*?<\/a:tr>/g) || []).map(row =>
+                (row.match(/<a:tc\b[\s\S]*?<\/a:tc>/g) || []).map(cell => pptxParagraphs(cell).join(' ').replace(/\|/g, '/')));
+            if (rows.length) {
+                const lines = rows.map(cells => `| ${cells.join(' | ')} |`);
+                lines.splice(1, 0, `|${rows[0].map(() => '---').join('|')}|`);
+                blocks.push(lines.join('\n'));
+            }
+            return;
+        }
+
+        const paragraphs = pptxParagraphs(shape);
+        if (!paragraphs.length) return;
+        if (!title && /<p:ph\b[^>]*type="(?:title|ctrTitle)"/.test(shape)) {
+            title = paragraphs.join(' ');
+        } else if (paragraphs.length > 1) {
+            blocks.push(paragraphs.map(paragraph => `- ${paragraph}`).join('\n'));
+        } else {
+            blocks.push(paragraphs[0]);
+        }
+    });
+
+    return { title, text: [title ? `## ${title}` : null, ...blocks].filter(Boolean).join('\n\n') };
+}
+
+// Slides are read in presentation order, which need not match file names
+async function extractPptx(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+    const presentationFile = zip.file('ppt/presentation.xml');
+    const relationsFile = zip.file('ppt/_rels/presentation.xml.rels');
+    if (!presentationFile || !relationsFile) {
+        throw new Error('not a PowerPoint presentation (ppt/presentation.xml is missing)');
+    }
+    const presentation = await presentationFile.async('string');
+    const relations = await relationsFile.async('string');
+
+    const targets = {};
+    (relations.match(/<Relationship\b[^>]*>/g) || []).forEach(relation => {
+        const id = relation.match(/Id="([^"]+)"/);
+        const target = relation.match(/Target="([^"]+)"/);
+        if (id && target) targets[id[1]] = target[1];
+    });
+
+    const slidePaths = (presentation.match(/<p:sldId\b[^>]*>/g) || [])
+        .map(slide => targets[(slide.match(/r:id="([^"]+)"/) || [])[1]])
+        .filter(Boolean)
+        .map(target => path.posix.join('ppt', target));
+
+    const pages = [];
+    let firstSlideTitle = null;
+    for (const slidePath of slidePaths) {
+        const file = zip.file(slidePath);
+        const slide = file ? pptxSlideText(await file.async('string')) : { title: null, text: '' };
+        if (!firstSlideTitle) firstSlideTitle = slide.title;
+        pages.push(slide.text);
+    }
+
+    return { pages, title: (await officeTitle(zip)) || firstSlideTitle };
+}
+
+// Returns { text, fileType, title, pageUnit, pageCount }; text separates
+// pages or slides with form feeds when the format has them.
+const BINARY_EXTRACTORS = { pdf: extractPdf, docx: extractDocx, pptx: extractPptx };
+
+async function extractDocument(file) {
+    const fileType = detectDocumentType(file);
+    if (!fileType) {
+        const error = new Error(`Unsupported file type: ${file.originalname}. Supported: ${Object.values(DOCUMENT_TYPES).flatMap(type => type.extensions).join(', ')}`);
+        error.code = 'UNSUPPORTED_FILE_TYPE';
+        throw error;
+    }
+
+    let extracted;
+    if (BINARY_EXTRACTORS[fileType]) {
+        try {
+            extracted = await BINARY_EXTRACTORS[fileType](file.buffer);
+        } catch (cause) {
+            // A corrupt or mislabelled upload is a client error, not a 500
+            const error = new Error(`Could not read ${file.originalname} as ${fileType.toUpperCase()}: ${cause.message}`);
+            error.code = 'UNREADABLE_DOCUMENT';
+            throw error;
+        }
+    } else if (fileType === 'html') {
+        const html = file.buffer.toString('utf8');
+        const title = html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+        const text = htmlToText(html);
+        extracted = { pages: [text], title: title ? inlineText(title[1]) : firstMarkdownHeading(text) };
+    } else {
+        const text = file.buffer.toString('utf8');
+        extracted = { pages: [text], title: firstMarkdownHeading(text) };
+    }
+
+    const { pageUnit } = DOCUMENT_TYPES[fileType];
+    const text = extracted.pages.map(page => page.replace(/\f/g, '\n')).join('\f');
+    if (!text.replace(/\f/g, '').trim()) {
+        const error = new Error(`No extractable text in ${file.originalname}${fileType === 'pdf' ? ' (scanned PDFs need OCR first)' : ''}`);
+        error.code = 'NO_EXTRACTABLE_TEXT';
+        throw error;
+    }
+
+    return {
+        text,
+        fileType,
+        title: extracted.title || path.basename(file.originalname, path.extname(file.originalname)),
+        pageUnit,
+        pageCount: pageUnit ? extracted.pages.length : null
+    };
+}
+
+// Training uploads accept either a multipart `file` or the JSON
+// `trainingData` string; both routes share this resolution.
+async function resolveTrainingUpload(req) {
+    if (!req.file) {
+        return { trainingData: req.body.trainingData, fileName: req.body.fileName, source: {} };
+    }
+
+    const extracted = await extractDocument(req.file);
+    return {
+        trainingData: extracted.text,
+        fileName: req.body.fileName || req.file.originalname,
+        source: {
+            fileType: extracted.fileType,
+            title: extracted.title,
+            pageUnit: extracted.pageUnit,
+            pageCount: extracted.pageCount
+        }
+    };
+}
+
+function extractionErrorStatus(error) {
+    if (error.code === 'UNSUPPORTED_FILE_TYPE') return 415;
+    if (error.code === 'NO_EXTRACTABLE_TEXT' || error.code === 'UNREADABLE_DOCUMENT') return 422;
+    return null;
+}
+
+// ===========================
+// BASIC ROUTES
+// ===========================
+
+app.get('/', (req, res) => {
+    const workspace = req.workspace;
+    
+    res.json({ 
+        message: 'Sagan Dashboard Backend with RAG is running!',
+        ragEnabled: workspace.settings.ragEnabled,
+        documentsLoaded: workspace.documentStore.length,
+        status: 'operational',
+        timestamp: new Date().toISOString()
+    });
+});
+
+app.get('/api/health', (req, res) => {
+    const workspace = req.workspace;
+    
+    const cleanedApiKey = ANTHROPIC_API_KEY ? ANTHROPIC_API_KEY.trim() : null;
+    
+    res.json({ 
+        status: 'healthy',
+        apiKeyConfigured: !!cleanedApiKey,
+        apiKeyValid: cleanedApiKey && cleanedApiKey.startsWith('sk-ant-') && cleanedApiKey.length > 20,
+        apiKeyLength: cleanedApiKey ? cleanedApiKey.length : 0,
+        openaiKeyConfigured: !!OPENAI_API_KEY,
+        completionProvider: workspace.settings.completionProvider,
+        embeddingProvider: workspace.settings.embeddingProvider,
+        ragEnabled: workspace.settings.ragEnabled,
+        documentsInStore: workspace.documentStore.length,
+        timestamp: new Date().toISOString(),
+        envCheck: {
+            NODE_ENV: process.env.NODE_ENV || 'undefined',
+            PORT: process.env.PORT || 'undefined',
+            hasAnthropicKey: 'ANTHROPIC_API_KEY' in process.env,
+            allEnvKeys: Object.keys(process.env).filter(key => key.includes('API')).length
+        }
+    });
+});
+
+// ===========================
+// STREAMING (SERVER-SENT EVENTS)
+// ===========================
+
+const SSE_HEARTBEAT_MS = 15000; // keeps proxies from closing idle streams
+
+function wantsEventStream(req) {
+    return req.body.stream === true || (req.headers.accept || '').includes('text/event-stream');
+}
+
+function openEventStream(res) {
+    const controller = new AbortController();
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+
+    // Stop the upstream request if the dashboard goes away mid-stream
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        if (!res.writableEnded) controller.abort();
+    });
+
+    return {
+        signal: controller.signal,
+        send(event, data) {
+            if (!res.writableEnded) {
+                res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            }
+        },
+        close() {
+            clearInterval(heartbeat);
+            if (!res.writableEnded) res.end();
+        }
+    };
+}
+
+// Forwards streamed text but holds back the trailing chart-data block, which
+// is returned as parsed chartData in the final event instead
+function createChartBlockFilter(forward) {
+    const marker = '```chart-data';
+    let fullText = '';
+    let forwardedLength = 0;
+
+    return {
+        push(delta) {
+            fullText += delta;
+            const markerIndex = fullText.indexOf(marker);
+            const safeEnd = markerIndex >= 0
+                ? markerIndex
+                : Math.max(forwardedLength, fullText.length - (marker.length - 1));
+
+            if (safeEnd > forwardedLength) {
+                forward(fullText.slice(forwardedLength, safeEnd));
+                forwardedLength = safeEnd;
+            }
+        },
+        flush() {
+            if (!fullText.includes(marker) && fullText.length > forwardedLength) {
+                forward(fullText.slice(forwardedLength));
+                forwardedLength = fullText.length;
+            }
+        }
+    };
+}
+
+// ===========================
+// CONTEXT BUDGETING
+// ===========================
+
+// Context windows by model family; contextWindowTokens in the workspace
+// settings overrides the lookup (useful for local and Azure deployments)
+const MODEL_CONTEXT_WINDOWS = [
+    [/^claude/i, 200000],
+    [/^(gpt-4o|gpt-4\.1|gpt-4-turbo|o\d)/i, 128000],
+    [/^gpt-4/i, 8192],
+    [/^gpt-3\.5/i, 16385]
+];
+const DEFAULT_CONTEXT_WINDOW = 32000; // conservative for unknown models
+const CONTEXT_SAFETY_MARGIN = 0.05; // token counts are estimates, so keep headroom
+const CONTEXT_ITEM_OVERHEAD_TOKENS = 30; // headers and separators around each item
+const CONTEXT_MIN_ITEM_TOKENS = 200; // smaller remnants aren't worth sending
+
+// Estimates tokens without a tokenizer: words cost about one token per four
+// letters, numbers one per three digits, and each symbol one token. Close
+// enough for prose and CSV alike, where a flat chars/4 undercounts data.
+function estimateTokens(text) {
+    if (!text) return 0;
+
+    const pattern = /[A-Za-z]+|\d+|[^\sA-Za-z\d]/g;
+    let tokens = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        const piece = match[0];
+        if (/[A-Za-z]/.test(piece[0])) tokens += Math.ceil(piece.length / 4);
+        else if (/\d/.test(piece[0])) tokens += Math.ceil(piece.length / 3);
+        else tokens += 1;
+    }
+    return tokens;
+}
+
+function contextWindowFor(settings) {
+    if (settings.contextWindowTokens) return settings.contextWindowTokens;
+    const match = MODEL_CONTEXT_WINDOWS.find(([pattern]) => pattern.test(settings.claudeModel));
+    return match ? match[1] : DEFAULT_CONTEXT_WINDOW;
+}
+
+// Cuts text down to roughly maxTokens, preferring a line break so tabular
+// data keeps whole rows, and says how much was left out
+function truncateToTokens(text, maxTokens) {
+    const totalTokens = estimateTokens(text);
+    const target = maxTokens - 30; // room for the marker
+    let end = Math.floor(text.length * target / totalTokens);
+    while (end > 0 && estimateTokens(text.slice(0, end)) > target) {
+        end = Math.floor(end * 0.9);
+    }
+
+    const lineBreak = text.lastIndexOf('\n', end);
+    if (lineBreak > end * 0.8) end = lineBreak;
+
+    const kept = text.slice(0, end);
+    return `${kept}\n[... truncated to fit the context window: about ${totalTokens - estimateTokens(kept)} tokens omitted ...]`;
+}
+
+function contextOverflowError(report) {
+    const error = new Error(`Prompt does not fit the ${report.inputBudget}-token input budget of a ${report.contextWindow}-token context window`);
+    error.code = 'CONTEXT_OVERFLOW';
+    error.contextBudget = report;
+    return error;
+}
+
+// Fits prompt parts into the context window. `fixed` parts (name -> text) are
+// always sent whole. `sections` are filled in priority order, most important
+// first; each item is included whole while it fits, truncated if it doesn't,
+// and dropped once the remaining room is too small. A `required` section
+// that can't get at least a minimal share fails the request instead.
+// Returns the fitted items per section ({ index, text }) and a report.
+function allocateContext({ contextWindow, reservedForOutput, fixed, sections }) {
+    const inputBudget = Math.floor(contextWindow * (1 - CONTEXT_SAFETY_MARGIN)) - reservedForOutput;
+    const report = { contextWindow, reservedForOutput, inputBudget, usedTokens: 0, sections: {} };
+
+    Object.entries(fixed).forEach(([name, text]) => {
+        const tokens = estimateTokens(text);
+        report.sections[name] = { tokens: tokens };
+        report.usedTokens += tokens;
+    });
+    if (report.usedTokens > inputBudget) {
+        throw contextOverflowError(report);
+    }
+
+    const fitted = {};
+    for (const section of sections) {
+        const summary = { tokens: 0, originalTokens: 0, included: 0, truncated: 0, dropped: 0 };
+        fitted[section.name] = [];
+
+        section.items.forEach((text, index) => {
+            const tokens = estimateTokens(text);
+            const remaining = inputBudget - report.usedTokens - CONTEXT_ITEM_OVERHEAD_TOKENS;
+            summary.originalTokens += tokens;
+
+            let fittedText = text;
+            let fittedTokens = tokens;
+            if (tokens > remaining) {
+                if (remaining < CONTEXT_MIN_ITEM_TOKENS) {
+                    if (section.required) throw contextOverflowError(report);
+                    summary.dropped++;
+                    return;
+                }
+                fittedText = truncateToTokens(text, remaining);
+                fittedTokens = estimateTokens(fittedText);
+                summary.truncated++;
+            }
+
+            fitted[section.name].push({ index: index, text: fittedText });
+            summary.included++;
+            summary.tokens += fittedTokens + CONTEXT_ITEM_OVERHEAD_TOKENS;
+            report.usedTokens += fittedTokens + CONTEXT_ITEM_OVERHEAD_TOKENS;
+        });
+
+        report.sections[section.name] = summary;
+    }
+
+    return { sections: fitted, report: report };
+}
+
+// ===========================
+// CITATIONS
+// ===========================
+// Analyses cite their sources inline: [R2] for the second retrieved
+// reference, [T3] for a survey question and [T3.2] for one row of its
+// crosstab (numbered as in the survey digest). Several keys may share a
+// marker, e.g. [R1, T3.2]. Markers are validated against what the model was
+// actually given; invalid keys are dropped from the text and reported.
+const CITATION_MARKER = /\[((?:R\d+|T\d+(?:\.\d+)?)(?:\s*[,;]\s*(?:R\d+|T\d+(?:\.\d+)?))*)\]/g;
+const CITATION_EXCERPT_LENGTH = 300;
+
+function citationKeyForReference(index) {
+    return `R${index + 1}`;
+}
+
+function surveyRowLabel(group) {
+    return group.segment ? `${group.segment} = ${group.value}` : group.value;
+}
+
+function buildCitationInstruction(references, surveyData) {
+    const forms = [];
+    if (references.length > 0) {
+        forms.push(`[R1]-[R${references.length}] for the numbered reference documents`);
+    }
+    if (surveyData) {
+        forms.push('[T3] for a survey question and [T3.2] for a specific row of its table, as labelled in the data digest');
+    }
+    if (forms.length === 0) return '';
+
+    return `Cite your sources inline, directly after each claim they support: ${forms.join('; ')}. Combine keys in one marker when a claim draws on several, e.g. [R1, T3.2]. Only cite keys that appear in the material provided.`;
+}
+
+// The sentence (or leading part of it) a marker at `offset` is attached to
+function citedClaim(text, offset) {
+    const before = text.slice(0, offset);
+    const line = before.slice(before.lastIndexOf('\n') + 1).replace(CITATION_MARKER, '');
+    const sentences = splitSentences(line);
+    return (sentences[sentences.length - 1] || '').replace(/^[-*•#>\s]+/, '').trim();
+}
+
+// The sentence of the chunk sharing the most terms with the claim
+function bestExcerpt(content, claim) {
+    const claimTerms = new Set(tokenizeText(claim, 3));
+    const sentences = splitSentences(content.replace(/^#{1,6}\s.*$/gm, '').replace(/\s+/g, ' ').trim());
+
+    let best = sentences[0] || '';
+    let bestScore = 0;
+    sentences.forEach(sentence => {
+        const score = tokenizeText(sentence, 3).filter(term => claimTerms.has(term)).length;
+        if (score > bestScore) {
+            best = sentence;
+            bestScore = score;
+        }
+    });
+
+    return best.length > CITATION_EXCERPT_LENGTH ? `${best.substring(0, CITATION_EXCERPT_LENGTH - 3)}...` : best;
+}
+
+function citableSources(references, surveyData) {
+    const sources = {};
+
+    references.forEach((doc, index) => {
+        sources[citationKeyForReference(index)] = {
+            type: 'reference',
+            chunkId: doc.id,
+            fileName: doc.fileName,
+            title: doc.title || null,
+            sectionTitle: doc.sectionTitle || null,
+            pages: chunkPages(doc),
+            content: doc.content
+        };
+    });
+
+    if (surveyData) {
+        surveyData.tables.forEach(table => {
+            const overall = table.groups[0];
+            sources[table.id] = {
+                type: 'survey-question',
+                tableId: table.id,
+                question: table.question,
+                excerpt: `${table.question}: ${formatSurveyGroup(overall, table.type)}`
+            };
+            table.groups.forEach((group, groupIndex) => {
+                sources[`${table.id}.${groupIndex + 1}`] = {
+                    type: 'survey-row',
+                    tableId: table.id,
+                    question: table.question,
+                    row: { segment: group.segment, value: group.value, n: group.n },
+                    excerpt: `${table.question} — ${formatSurveyGroup({ ...group, value: surveyRowLabel(group) }, table.type)}`
+                };
+            });
+        });
+    }
+
+    return sources;
+}
+
+// Returns the analysis with invalid keys removed and the citation map:
+// each marker with the claim it follows and an excerpt per cited source,
+// the cited sources themselves, and what was dropped.
+function resolveCitations(text, references, surveyData) {
+    const available = citableSources(references, surveyData);
+    const invalid = [];
+
+    const cleaned = text.replace(new RegExp(`\\s?${CITATION_MARKER.source}`, 'g'), (match, body) => {
+        const keys = body.split(/\s*[,;]\s*/);
+        const valid = keys.filter(key => available[key]);
+        keys.filter(key => !available[key]).forEach(key => {
+            invalid.push({ key: key, marker: match.trim(), reason: key.startsWith('R') ? 'unknown reference' : 'unknown survey question or row' });
+        });
+        if (valid.length === 0) return '';
+        return `${match.startsWith('[') ? '' : match[0]}[${valid.join(', ')}]`;
+    });
+
+    const markers = [];
+    const sources = {};
+    let match;
+    const pattern = new RegExp(CITATION_MARKER.source, 'g');
+    while ((match = pattern.exec(cleaned)) !== null) {
+        const claim = citedClaim(cleaned, match.index);
+        const keys = match[1].split(/\s*[,;]\s*/);
+
+        markers.push({
+            marker: match[0],
+            offset: match.index,
+            claim: claim,
+            sources: keys.map(key => ({
+                key: key,
+                excerpt: available[key].type === 'reference' ? bestExcerpt(available[key].content, claim) : available[key].excerpt
+            }))
+        });
+
+        keys.forEach(key => {
+            if (!sources[key]) {
+                const { content, ...source } = available[key];
+                sources[key] = { ...source, citedCount: 0 };
+            }
+            sources[key].citedCount++;
+        });
+    }
+
+    return {
+        text: cleaned,
+        citations: {
+            markers: markers,
+            sources: sources,
+            invalid: invalid,
+            uncitedReferences: references.map((doc, index) => citationKeyForReference(index)).filter(key => !sources[key]),
+            summary: {
+                markerCount: markers.length,
+                citedSources: Object.keys(sources).length,
+                invalidCitations: invalid.length
+            }
+        }
+    };
+}
+
+function stripCitationMarkers(text) {
+    return text.replace(new RegExp(`\\s?${CITATION_MARKER.source}`, 'g'), '');
+}
+
+// ===========================
+// ENHANCED ANALYSIS ENDPOINT
+// ===========================
+
+// Analysis templates the caller can pass as `template` to /api/analyze
+app.get('/api/templates', (req, res) => {
+    res.json({
+        defaultTemplate: DEFAULT_TEMPLATE_ID,
+        templates: Object.values(req.workspace.analysisTemplates).map(templateSummary)
+    });
+});
+
+// Runs one analysis end to end. Used directly by /api/analyze and by the job
+// queue; hooks report phase changes (retrieval, generation, indexing), the
+// RAG context once known and streamed text deltas. Request validation happens
+// in the route before this is called, including resolving the template, so a
+// queued job keeps the template it was submitted with.
+async function runAnalysis(workspace, body, { template, signal, onPhase = () => {}, onContext, onText } = {}) {
+    const { fileContent, fileName, userPrompt, webSearchEnabled, fileEncoding } = body;
+    const provider = getCompletionProvider(workspace);
+    const templateSettings = resolveTemplate(workspace, template);
+    
+    console.log(`Processing ${workspace.settings.ragEnabled ? 'RAG-enhanced' : 'standard'} analysis for file: ${fileName}`);
+    
+    // Structured survey exports are reduced to a statistical digest;
+    // anything that isn't tabular is passed through as-is
+    let surveyData = null;
+    try {
+        surveyData = await parseSurveyFile(fileContent, fileName, fileEncoding);
+    } catch (error) {
+        console.error('Survey parsing failed, using raw content:', error.message);
+    }
+    const analysisData = surveyData ? buildSurveyDigest(surveyData) : decodeSurveyInput(fileContent, fileEncoding);
+    
+    if (surveyData) {
+        console.log(`Parsed ${surveyData.format} survey: ${surveyData.respondentCount} respondents, ${surveyData.tables.length} questions`);
+    }
+    
+    // Build system prompt (keep your existing code here)
+    const promptVersion = templateSettings.promptVersion;
+    let relevantContext = [];
+
+    // RAG Enhancement (if enabled) - keep your existing RAG code
+    onPhase('retrieval');
+    if (workspace.settings.ragEnabled) {
+        relevantContext = await retrieveRelevantContext(
+            workspace,
+            `${analysisData.substring(0, 500)} ${userPrompt || ''}`, 
+            3
+        );
+    }
+    const styleExamples = workspace.trainingExamples.slice(0, workspace.settings.maxTrainingExamples);
+
+    const instructionHead = `Please analyze this pharmaceutical survey data from the file "${fileName}":
+
+`;
+    let instructionTail = '';
+
+    if (userPrompt) {
+        instructionTail += `\n\nSpecific analysis instructions: ${userPrompt}`;
+    }
+
+    if (webSearchEnabled) {
+        instructionTail += `\n\nPlease integrate current market intelligence and recent pharmaceutical industry developments in your analysis.`;
+    }
+
+    // Survey files get charts computed from the rows; otherwise ask Claude for them
+    if (!surveyData) {
+        instructionTail += `\n\n${CHART_DATA_INSTRUCTION}`;
+    }
+
+    // Fit everything into the model's context window. The data outranks
+    // retrieved references, which outrank style examples.
+    const allocation = allocateContext({
+        contextWindow: contextWindowFor(workspace.settings),
+        reservedForOutput: templateSettings.maxTokens,
+        fixed: {
+            systemPrompt: templateSettings.systemPrompt,
+            // Budgeted with every reference; the final citation instruction
+            // can only be shorter once allocation has dropped some
+            instructions: instructionHead + instructionTail + buildCitationInstruction(relevantContext, surveyData)
+        },
+        sections: [
+            { name: 'data', items: [analysisData], required: true },
+            { name: 'references', items: relevantContext.map(doc => doc.content) },
+            { name: 'styleExamples', items: styleExamples.map(example => example.content) }
+        ]
+    });
+    relevantContext = allocation.sections.references.map(item => ({ ...relevantContext[item.index], content: item.text }));
+    const includedExamples = allocation.sections.styleExamples.map(item => ({ ...styleExamples[item.index], content: item.text }));
+
+    let enhancedSystemPrompt = templateSettings.systemPrompt;
+
+    if (relevantContext.length > 0) {
+        enhancedSystemPrompt += `\n\nRELEVANT REFERENCE EXAMPLES AND CONTEXT:\n`;
+        relevantContext.forEach((doc, index) => {
+            enhancedSystemPrompt += `\n--- Reference ${index + 1} [${citationKeyForReference(index)}] (${describeChunkSource(doc)}, similarity: ${doc.similarity.toFixed(2)}) ---\n`;
+            enhancedSystemPrompt += doc.content;
+        });
+        enhancedSystemPrompt += `\n\nUse these references to inform your analysis style, structure, and insights while focusing on the new data provided.`;
+    }
+
+    // Add training examples (keep your existing code)
+    if (includedExamples.length > 0) {
+        enhancedSystemPrompt += `\n\nSTYLE REFERENCE EXAMPLES:\n`;
+        enhancedSystemPrompt += includedExamples
+            .map(ex => `--- ${ex.fileName} ---\n${ex.content}`)
+            .join('\n\n');
+        enhancedSystemPrompt += `\n\nUse these examples as style guides for your analysis format and tone.`;
+    }
+
+    const uncitedInstruction = instructionHead + allocation.sections.data[0].text + instructionTail;
+    const citationInstruction = buildCitationInstruction(relevantContext, surveyData);
+    const userInstruction = citationInstruction ? `${uncitedInstruction}\n\n${citationInstruction}` : uncitedInstruction;
+
+    const analysisId = crypto.randomUUID();
+
+    const ragContext = {
+        enabled: workspace.settings.ragEnabled,
+        documentsUsed: relevantContext.length,
+        contextSources: relevantContext.map((doc, index) => ({
+            id: doc.id,
+            citationKey: citationKeyForReference(index),
+            fileName: doc.fileName,
+            sectionTitle: doc.sectionTitle || null,
+            pages: chunkPages(doc),
+            similarity: doc.similarity,
+            category: doc.category
+        }))
+    };
+
+    // Fine-tuned models fall back to the base model, e.g. after being retired
+    const fineTuned = workspace.ragSettings.mode === 'finetuned' && workspace.settings.fineTunedModel;
+    const completionRequest = {
+        model: fineTuned ? workspace.settings.fineTunedModel : workspace.settings.claudeModel,
+        maxTokens: templateSettings.maxTokens,
+        temperature: templateSettings.temperature,
+        system: enhancedSystemPrompt,
+        messages: [{
+            role: 'user',
+            content: userInstruction
+        }]
+    };
+
+    const fallbackModels = fineTuned ? [workspace.settings.claudeModel] : [];
+
+    console.log(`🚀 Making API call to ${provider.name}...`);
+    
+    onPhase('generation');
+    if (onContext) onContext(ragContext);
+    
+    let completion;
+    if (onText) {
+        const filter = createChartBlockFilter(onText);
+        completion = await completeWithRetry(workspace, { ...completionRequest, signal: signal }, { onText: filter.push, fallbackModels: fallbackModels });
+        filter.flush();
+    } else {
+        completion = await completeWithRetry(workspace, { ...completionRequest, signal: signal }, { fallbackModels: fallbackModels });
+    }
+    const rawAnalysis = completion.text;
+
+    console.log('✅ API call successful!');
+    
+    // A cancelled analysis leaves no trace in the workspace
+    if (signal?.aborted) {
+        throw new Error('Analysis cancelled');
+    }
+    
+    // Store conversation context (keep your existing code)
+    workspace.conversationMemory.push({
+        id: analysisId,
+        fileName: fileName,
+        userPrompt: userPrompt,
+        timestamp: new Date().toISOString(),
+        relevantContextUsed: relevantContext.length,
+        ragEnabled: workspace.settings.ragEnabled,
+        promptVersion: promptVersion,
+        template: template.id
+    });
+
+    const { text: citedAnalysis, chartSpec } = extractChartBlock(rawAnalysis);
+    const { text: analysis, citations } = resolveCitations(citedAnalysis, relevantContext, surveyData);
+    const validation = factCheckAnalysis(analysis, { surveyData, fileContent: analysisData });
+    if (validation.summary.contradicted > 0) {
+        console.warn(`⚠️  Fact-check: ${validation.summary.contradicted} of ${validation.summary.total} numeric claims contradict the source data`);
+    }
+    
+    // Keep all your existing post-processing code...
+    // Learning Mode: Store query and response for fine-tuning
+    if (workspace.ragSettings.mode === 'learning') {
+        // Captured as sent, minus per-call references and citation keys, so
+        // an approved pair can be exported as a fine-tuning example
+        workspace.learningData.queryCount++;
+        workspace.learningData.queries.push(normalizeLearningQuery({
+            analysisId: analysisId,
+            fileName: fileName,
+            system: templateSettings.systemPrompt,
+            query: uncitedInstruction,
+            response: stripCitationMarkers(analysis),
+            ragUsed: relevantContext.length > 0,
+            promptVersion: promptVersion,
+            model: completion.model,
+            timestamp: new Date().toISOString()
+        }));
+        
+        console.log(`Learning Mode: Query ${workspace.learningData.queryCount}/${workspace.learningData.targetQueries} stored`);
+        
+        if (workspace.learningData.queryCount >= workspace.learningData.targetQueries) {
+            console.log('Learning complete! Ready for fine-tuning preparation.');
+        }
+    }
+    
+    const chartData = generateChartData(analysis, surveyData, chartSpec);
+    
+    const storedResult = recordResult(workspace, {
+        id: analysisId,
+        kind: 'analysis',
+        userId: (usageContext.getStore() || { userId: 'system' }).userId,
+        fileName: fileName,
+        prompt: userPrompt,
+        text: analysis,
+        promptVersion: promptVersion,
+        template: template.id,
+        provider: provider.name,
+        model: completion.model,
+        // The input itself isn't kept; the hash identifies re-uploads of the same file
+        input: {
+            fileName: fileName,
+            sha256: crypto.createHash('sha256').update(fileContent).digest('hex'),
+            sizeBytes: Buffer.byteLength(fileContent),
+            encoding: fileEncoding || null,
+            dataFormat: surveyData ? surveyData.format : 'text',
+            respondentCount: surveyData ? surveyData.respondentCount : null
+        },
+        ragSources: ragContext.contextSources,
+        chartData: chartData,
+        citations: citations,
+        validation: validation
+    });
+    
+    // Generated text feeds future retrieval only once it passes the gate
+    onPhase('indexing');
+    await applyIngestionPolicy(workspace, storedResult);
+    
+    await persistState();
+    
+    console.log('Analysis completed successfully');
+    workspace.stats.totalAnalyses++;
+
+    const result = { 
+        resultId: analysisId,
+        analysis: analysis,
+        citations: citations,
+        validation: validation,
+        chartData: chartData,
+        ragContext: ragContext,
+        surveyData: surveyData ? {
+            format: surveyData.format,
+            respondentCount: surveyData.respondentCount,
+            columns: surveyData.columns,
+            segments: surveyData.segments,
+            tables: surveyData.tables
+        } : null,
+        metadata: {
+            analysisId: analysisId,
+            ingestion: storedResult.ingestion,
+            fileName: fileName,
+            processedAt: new Date().toISOString(),
+            webSearchEnabled: webSearchEnabled,
+            userPromptUsed: !!userPrompt,
+            ragEnabled: workspace.settings.ragEnabled,
+            dataFormat: surveyData ? surveyData.format : 'text',
+            promptVersion: promptVersion,
+            template: { id: template.id, version: template.version },
+            provider: provider.name,
+            model: completion.model,
+            usage: completion.usage,
+            resilience: completion.resilience,
+            contextBudget: allocation.report,
+            streamed: !!onText
+        }
+    };
+
+    return result;
+}
+
+app.post('/api/analyze', enforceBudget, async (req, res) => {
+    const workspace = req.workspace;
+    
+    let events = null;
+    
+    try {
+        const { fileContent, fileName, template: templateId = DEFAULT_TEMPLATE_ID } = req.body;
+        
+        const provider = getCompletionProvider(workspace);
+        
+        // The Anthropic key gets detailed diagnostics; other providers just need to be configured
+        if (provider.name === 'anthropic') {
+            // DEBUGGING: Log API key information
+            console.log('=== API KEY DEBUG INFO ===');
+            console.log('Raw ANTHROPIC_API_KEY exists:', !!ANTHROPIC_API_KEY);
+            console.log('Raw ANTHROPIC_API_KEY length:', ANTHROPIC_API_KEY ? ANTHROPIC_API_KEY.length : 0);
+            console.log('Raw ANTHROPIC_API_KEY prefix:', ANTHROPIC_API_KEY ? ANTHROPIC_API_KEY.substring(0, 15) : 'undefined');
+            
+            // Clean the API key (remove any whitespace)
+            const cleanedApiKey = ANTHROPIC_API_KEY ? ANTHROPIC_API_KEY.trim() : null;
+            
+            console.log('Cleaned API key exists:', !!cleanedApiKey);
+            console.log('Cleaned API key length:', cleanedApiKey ? cleanedApiKey.length : 0);
+            console.log('Cleaned API key starts with sk-ant:', cleanedApiKey ? cleanedApiKey.startsWith('sk-ant-') : false);
+            console.log('========================');
+            
+            // Enhanced validation
+            if (!cleanedApiKey) {
+                console.error('❌ API key is null or undefined');
+                return res.status(500).json({ 
+                    error: 'API key not configured. Please check your Anthropic API key.',
+                    debug: {
+                        keyExists: !!ANTHROPIC_API_KEY,
+                        envVarName: 'ANTHROPIC_API_KEY',
+                        issue: 'API key is null or undefined'
+                    }
+                });
+            }
+            
+            if (cleanedApiKey.length < 20) {
+                console.error('❌ API key is too short:', cleanedApiKey.length);
+                return res.status(500).json({ 
+                    error: 'API key appears to be invalid (too short).',
+                    debug: {
+                        keyLength: cleanedApiKey.length,
+                        issue: 'API key too short'
+                    }
+                });
+            }
+            
+            if (!cleanedApiKey.startsWith('sk-ant-')) {
+                console.error('❌ API key does not start with sk-ant-');
+                return res.status(500).json({ 
+                    error: 'API key format is invalid.',
+                    debug: {
+                        issue: 'API key does not start with sk-ant-'
+                    }
+                });
+            }
+        } else if (!provider.isConfigured()) {
+            return res.status(500).json({ error: `The ${provider.name} provider is not configured.` });
+        }
+        
+        if (!fileContent) {
+            return res.status(400).json({ error: 'No file content provided' });
+        }
+        if (typeof fileContent !== 'string') {
+            return res.status(400).json({ error: 'fileContent must be a string (base64 with fileEncoding "base64" for binary files)' });
+        }
+        if (fileName !== undefined && typeof fileName !== 'string') {
+            return res.status(400).json({ error: 'fileName must be a string' });
+        }
+        
+        const template = findTemplate(workspace, templateId);
+        if (!template) {
+            return res.status(400).json({
+                error: `Unknown analysis template: ${templateId}`,
+                availableTemplates: Object.keys(workspace.analysisTemplates)
+            });
+        }
+        
+        // Job mode: queue the analysis and let the client poll or subscribe
+        if (req.body.async === true) {
+            const job = submitAnalysisJob(workspace, req.user, req.body, template);
+            return res.status(202).json({
+                jobId: job.id,
+                status: job.status,
+                statusUrl: `/api/jobs/${job.id}`,
+                eventsUrl: `/api/jobs/${job.id}/events`
+            });
+        }
+        
+        if (wantsEventStream(req)) {
+            events = openEventStream(res);
+            const result = await runAnalysis(workspace, req.body, {
+                template: template,
+                signal: events.signal,
+                onContext: ragContext => events.send('context', { ragContext: ragContext }),
+                onText: text => events.send('delta', { text })
+            });
+            events.send('done', result);
+            events.close();
+        } else {
+            res.json(await runAnalysis(workspace, req.body, { template: template }));
+        }
+        
+    } catch (error) {
+        console.error('❌ Analysis error:', error.response?.data || error.message);
+        console.error('Full error details:', {
+            status: error.response?.status,
+            statusText: error.response?.statusText,
+            data: error.response?.data,
+            message: error.message
+        });
+        
+        if (events) {
+            events.send('error', {
+                error: 'Analysis failed. Please try again.',
+                status: error.response?.status,
+                details: error.message,
+                resilience: error.resilience
+            });
+            events.close();
+        } else if (error.response?.status === 401) {
+            console.error('🔑 Authentication failed - API key issue');
+            res.status(401).json({ 
+                error: 'Invalid API key. Please check your Anthropic API key.',
+                details: error.response?.data || 'Authentication failed',
+                debug: {
+                    apiKeyExists: !!ANTHROPIC_API_KEY,
+                    apiKeyLength: ANTHROPIC_API_KEY ? ANTHROPIC_API_KEY.length : 0
+                }
+            });
+        } else if (error.response?.status === 429) {
+            res.status(429).json({ error: 'Rate limit exceeded. Please try again later.', resilience: error.resilience });
+        } else if (error.code === 'CONTEXT_OVERFLOW') {
+            res.status(413).json({
+                error: 'The request is too large for the model context window.',
+                details: error.message,
+                contextBudget: error.contextBudget
+            });
+        } else if (error.code === 'CIRCUIT_OPEN') {
+            res.status(503).json({
+                error: 'The analysis model is temporarily unavailable. Please try again shortly.',
+                details: error.message,
+                resilience: error.resilience
+            });
+        } else {
+            res.status(500).json({ 
+                error: 'Analysis failed. Please try again.',
+                details: error.message,
+                resilience: error.resilience
+            });
+        }
+    }
+});
+
+// ===========================
+// ANALYSIS JOBS
+// ===========================
+
+// Long analyses run here instead of on the request, so nothing has to hold
+// an HTTP connection open past the router timeout. Jobs live in memory: a
+// restart loses queued and running jobs, but finished analyses are already
+// persisted through the usual workspace state.
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY || '2');
+const MAX_FINISHED_JOBS = 500;
+const JOB_FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const analysisJobs = new Map();
+const jobQueue = [];
+let runningJobs = 0;
+
+function jobSummary(job) {
+    return {
+        id: job.id,
+        workspace: job.workspaceId,
+        userId: job.userId,
+        status: job.status,
+        phase: job.phase,
+        fileName: job.fileName,
+        template: job.template,
+        queuePosition: job.status === 'queued' ? jobQueue.indexOf(job) + 1 : null,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        error: job.error
+    };
+}
+
+function findJob(workspace, user, jobId) {
+    const job = analysisJobs.get(jobId);
+    if (!job || job.workspaceId !== workspace.id) return null;
+    return user.role === 'admin' || job.userId === user.id ? job : null;
+}
+
+function sendJobEvent(events, job) {
+    if (!JOB_FINAL_STATUSES.includes(job.status)) {
+        events.send('progress', jobSummary(job));
+    } else {
+        events.send(job.status === 'completed' ? 'done' : 'error', { ...jobSummary(job), result: job.result });
+        events.close();
+    }
+}
+
+function notifyJobSubscribers(job) {
+    job.subscribers.forEach(events => sendJobEvent(events, job));
+    if (JOB_FINAL_STATUSES.includes(job.status)) job.subscribers.clear();
+}
+
+function updateJob(job, changes) {
+    Object.assign(job, changes);
+    notifyJobSubscribers(job);
+}
+
+// Finished jobs beyond the retention limit are forgotten oldest first
+function pruneFinishedJobs() {
+    const finished = Array.from(analysisJobs.values()).filter(job => JOB_FINAL_STATUSES.includes(job.status));
+    finished.slice(0, Math.max(finished.length - MAX_FINISHED_JOBS, 0))
+        .forEach(job => analysisJobs.delete(job.id));
+}
+
+function submitAnalysisJob(workspace, user, body, template) {
+    const job = {
+        id: crypto.randomUUID(),
+        workspaceId: workspace.id,
+        workspace: workspace,
+        userId: user.id,
+        status: 'queued',
+        phase: 'queued',
+        fileName: body.fileName || null,
+        template: template.id,
+        analysisTemplate: template,
+        body: { ...body, async: undefined },
+        controller: new AbortController(),
+        usageScope: usageContext.getStore(), // bill the submitting user and endpoint
+        subscribers: new Set(),
+        result: null,
+        error: null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null
+    };
+
+    analysisJobs.set(job.id, job);
+    jobQueue.push(job);
+    console.log(`📥 Queued analysis job ${job.id} for ${job.fileName} (${jobQueue.length} waiting, ${runningJobs} running)`);
+    drainJobQueue();
+    return job;
+}
+
+function drainJobQueue() {
+    while (runningJobs < JOB_CONCURRENCY && jobQueue.length > 0) {
+        const job = jobQueue.shift();
+        usageContext.run(job.usageScope, () => runJob(job));
+    }
+}
+
+async function runJob(job) {
+    runningJobs++;
+    updateJob(job, { status: 'running', startedAt: new Date().toISOString() });
+
+    try {
+        const result = await runAnalysis(job.workspace, job.body, {
+            template: job.analysisTemplate,
+            signal: job.controller.signal,
+            onPhase: phase => updateJob(job, { phase: phase })
+        });
+        updateJob(job, { status: 'completed', phase: 'completed', result: result, finishedAt: new Date().toISOString() });
+    } catch (error) {
+        if (job.controller.signal.aborted) {
+            updateJob(job, { status: 'cancelled', finishedAt: new Date().toISOString() });
+        } else {
+            console.error(`Analysis job ${job.id} failed:`, error.response?.data || error.message);
+            updateJob(job, {
+                status: 'failed',
+                error: { message: error.message, status: error.response?.status || null, resilience: error.resilience },
+                finishedAt: new Date().toISOString()
+            });
+        }
+    } finally {
+        job.body = null; // file contents can be large; the result keeps what matters
+        runningJobs--;
+        pruneFinishedJobs();
+        drainJobQueue();
+    }
+}
+
+function cancelJob(job) {
+    if (job.status === 'queued') {
+        jobQueue.splice(jobQueue.indexOf(job), 1);
+        job.body = null;
+        updateJob(job, { status: 'cancelled', finishedAt: new Date().toISOString() });
+    } else if (job.status === 'running') {
+        job.controller.abort();
+    }
+}
+
+// Drops every job of a deleted workspace, cancelling those still queued or
+// running; returns how many were cancelled
+function discardWorkspaceJobs(workspaceId) {
+    const jobs = Array.from(analysisJobs.values()).filter(job => job.workspaceId === workspaceId);
+    const active = jobs.filter(job => !JOB_FINAL_STATUSES.includes(job.status));
+
+    active.forEach(cancelJob);
+    jobs.forEach(job => analysisJobs.delete(job.id));
+    return active.length;
+}
+
+// Recent jobs for the caller (admins see the whole workspace), newest first
+app.get('/api/jobs', (req, res) => {
+    const workspace = req.workspace;
+    
+    const { status, limit = 20 } = req.query;
+    const jobs = Array.from(analysisJobs.values())
+        .filter(job => job.workspaceId === workspace.id)
+        .filter(job => req.user.role === 'admin' || job.userId === req.user.id)
+        .filter(job => !status || job.status === status)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, parseInt(limit))
+        .map(jobSummary);
+    
+    res.json({ jobs: jobs, running: runningJobs, queued: jobQueue.length, concurrency: JOB_CONCURRENCY });
+});
+
+// Poll a job; the analysis result is included once it has completed
+app.get('/api/jobs/:id', (req, res) => {
+    const job = findJob(req.workspace, req.user, req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    res.json({ ...jobSummary(job), result: job.result });
+});
+
+// Subscribe to a job as server-sent events: `progress` on every status or
+// phase change, then `done` (completed) or `error` (failed or cancelled)
+app.get('/api/jobs/:id/events', (req, res) => {
+    const job = findJob(req.workspace, req.user, req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    // The current state goes out straight away, which also finishes the
+    // stream for jobs that are already done
+    const events = openEventStream(res);
+    sendJobEvent(events, job);
+    if (!JOB_FINAL_STATUSES.includes(job.status)) {
+        job.subscribers.add(events);
+        res.on('close', () => job.subscribers.delete(events));
+    }
+});
+
+app.delete('/api/jobs/:id', (req, res) => {
+    const job = findJob(req.workspace, req.user, req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    if (JOB_FINAL_STATUSES.includes(job.status)) {
+        return res.status(409).json({ error: `Job already ${job.status}` });
+    }
+    
+    cancelJob(job);
+    console.log(`🛑 Analysis job ${job.id} cancelled by ${req.user.id}`);
+    res.json({ success: true, job: jobSummary(job) });
+});
+
+// ===========================
+// ENHANCED CHAT ENDPOINT
+// ===========================
+
+const MAX_CHAT_SESSIONS = 200;
+
+function findChatSession(workspace, sessionId) {
+    return workspace.chatSessions.find(session => session.id === sessionId);
+}
+
+function createChatSession({ analysis, analysisId, fileName, userId }) {
+    return {
+        id: crypto.randomUUID(),
+        userId: userId,
+        analysisId: analysisId || null,
+        fileName: fileName || null,
+        analysis: analysis,
+        summary: '',
+        summarizedTurns: 0,
+        turns: [],
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+}
+
+function canAccessChatSession(user, session) {
+    return user.role === 'admin' || session.userId === user.id;
+}
+
+function saveChatSession(workspace, session) {
+    if (findChatSession(workspace, session.id)) return;
+
+    workspace.chatSessions.push(session);
+    if (workspace.chatSessions.length > MAX_CHAT_SESSIONS) {
+        workspace.chatSessions.sort((a, b) => a.updatedAt.localeCompare(b.updatedAt));
+        workspace.chatSessions = workspace.chatSessions.slice(-MAX_CHAT_SESSIONS);
+    }
+}
+
+function buildChatSystemPrompt(workspace, session) {
+    let systemPrompt = `You are a pharmaceutical market research analyst answering follow-up questions about a survey analysis. Answer concisely and professionally, grounded in the analysis data${workspace.settings.ragEnabled ? ' and reference materials' : ''}.
+
+CURRENT ANALYSIS${session.fileName ? ` (${session.fileName})` : ''}:
+${session.analysis}`;
+
+    if (session.summary) {
+        systemPrompt += `\n\nSUMMARY OF EARLIER CONVERSATION:\n${session.summary}`;
+    }
+    return systemPrompt;
+}
+
+// Once the stored history exceeds its budget, the oldest turns are folded into
+// a running summary. If summarization fails they are simply dropped.
+async function compactChatHistory(workspace, session) {
+    const budget = workspace.settings.chatHistoryTokenBudget;
+    const historyTokens = session.turns.reduce((sum, turn) => sum + estimateTokens(turn.content), 0);
+    if (historyTokens <= budget) return;
+
+    // Keep the most recent turns within half the budget, starting on a user turn
+    let keepFrom = session.turns.length;
+    let keptTokens = 0;
+    while (keepFrom > 0 && keptTokens + estimateTokens(session.turns[keepFrom - 1].content) <= budget / 2) {
+        keepFrom--;
+        keptTokens += estimateTokens(session.turns[keepFrom].content);
+    }
+    while (keepFrom < session.turns.length && session.turns[keepFrom].role !== 'user') keepFrom++;
+
+    const dropped = session.turns.slice(0, keepFrom);
+    if (dropped.length === 0) return;
+
+    const transcript = dropped.map(turn => `${turn.role.toUpperCase()}: ${turn.content}`).join('\n\n');
+    try {
+        const completion = await completeWithRetry(workspace, {
+            model: workspace.settings.claudeModel,
+            maxTokens: 400,
+            temperature: 0,
+            messages: [{
+                role: 'user',
+                content: `Summarize this conversation about a survey analysis in under 200 words, keeping any figures, conclusions and open questions.${session.summary ? `\n\nPrevious summary:\n${session.summary}` : ''}\n\nConversation:\n${transcript}`
+            }]
+        });
+        session.summary = completion.text;
+    } catch (error) {
+        console.error('Chat history summarization failed, truncating instead:', error.message);
+    }
+
+    session.turns = session.turns.slice(keepFrom);
+    session.summarizedTurns += dropped.length;
+}
+
+function chatSessionSummary(session) {
+    const lastQuestion = [...session.turns].reverse().find(turn => turn.role === 'user');
+    return {
+        id: session.id,
+        userId: session.userId,
+        analysisId: session.analysisId,
+        fileName: session.fileName,
+        turnCount: session.turns.length + session.summarizedTurns,
+        lastQuestion: lastQuestion ? lastQuestion.content.substring(0, 100) : null,
+        createdAt: session.createdAt,
+        updatedAt: session.updatedAt
+    };
+}
+
+app.post('/api/chat', enforceBudget, async (req, res) => {
+    const workspace = req.workspace;
+    
+    let events = null;
+    
+    try {
+        const { question, analysis, fileName, sessionId, analysisId } = req.body;
+        
+        const provider = getCompletionProvider(workspace);
+        if (!provider.isConfigured()) {
+            return res.status(500).json({ error: `API key not configured for the ${provider.name} provider` });
+        }
+        
+        if (typeof question !== 'string' || !question.trim()) {
+            return res.status(400).json({ error: 'Question is required and must be a non-empty string' });
+        }
+        
+        let session;
+        if (sessionId) {
+            session = findChatSession(workspace, sessionId);
+            if (!session || !canAccessChatSession(req.user, session)) {
+                return res.status(404).json({ error: 'Chat session not found' });
+            }
+        } else if (analysis) {
+            // Supplied text wins; the id is only kept when it names a stored analysis
+            const linked = analysisId && findResult(workspace, analysisId);
+            session = createChatSession({
+                analysis,
+                analysisId: linked && linked.kind === 'analysis' ? linked.id : null,
+                fileName,
+                userId: req.user.id
+            });
+        } else {
+            // An analysisId alone re-opens the analysis from history
+            const stored = analysisId && findResult(workspace, analysisId);
+            if (!stored || stored.kind !== 'analysis') {
+                return res.status(400).json({ error: 'Question and analysis (or a sessionId or stored analysisId) are required' });
+            }
+            session = createChatSession({ analysis: stored.text, analysisId: stored.id, fileName: stored.fileName, userId: req.user.id });
+        }
+        
+        console.log(`Processing ${workspace.settings.ragEnabled ? 'RAG-enhanced' : 'standard'} chat question (session ${session.id}): ${question.substring(0, 50)}...`);
+        
+        let questionPrompt = question;
+
+        // RAG Enhancement for chat (if enabled)
+        let relevantContext = [];
+        if (workspace.settings.ragEnabled) {
+            relevantContext = await retrieveRelevantContext(workspace, question, 2);
+            
+            if (relevantContext.length > 0) {
+                questionPrompt += `\n\nRELEVANT REFERENCE CONTEXT:`;
+                relevantContext.forEach((doc, index) => {
+                    questionPrompt += `\n--- Reference ${index + 1} (${describeChunkSource(doc)}) ---\n${doc.content}`;
+                });
+            }
+        }
+
+        const completionRequest = {
+            model: workspace.settings.claudeModel,
+            maxTokens: workspace.settings.chatMaxTokens,
+            temperature: workspace.settings.chatTemperature,
+            system: buildChatSystemPrompt(workspace, session),
+            messages: [
+                ...session.turns.map(turn => ({ role: turn.role, content: turn.content })),
+                { role: 'user', content: questionPrompt }
+            ]
+        };
+
+        let completion;
+        if (wantsEventStream(req)) {
+            events = openEventStream(res);
+            events.send('context', {
+                sessionId: session.id,
+                contextSources: relevantContext.map(doc => ({
+                    id: doc.id,
+                    fileName: doc.fileName,
+                    sectionTitle: doc.sectionTitle || null,
+                    pages: chunkPages(doc),
+                    similarity: doc.similarity,
+                    category: doc.category
+                }))
+            });
+
+            completion = await completeWithRetry(workspace, { ...completionRequest, signal: events.signal }, { onText: text => events.send('delta', { text }) });
+        } else {
+            completion = await completeWithRetry(workspace, completionRequest);
+        }
+        const chatResponse = completion.text;
+        
+        // History keeps the bare question; retrieved references are per-turn only
+        const timestamp = new Date().toISOString();
+        session.turns.push(
+            { role: 'user', content: question, timestamp: timestamp },
+            { role: 'assistant', content: chatResponse, timestamp: timestamp }
+        );
+        session.updatedAt = timestamp;
+        saveChatSession(workspace, session);
+        
+        const chatResult = recordResult(workspace, {
+            kind: 'chat',
+            userId: req.user.id,
+            fileName: session.fileName,
+            analysisId: session.analysisId,
+            sessionId: session.id,
+            prompt: question,
+            text: chatResponse,
+            provider: completion.resilience.provider,
+            model: completion.model
+        });
+        
+        const result = { 
+            resultId: chatResult.id,
+            response: chatResponse,
+            sessionId: session.id,
+            turnCount: session.turns.length + session.summarizedTurns,
+            ragEnabled: workspace.settings.ragEnabled,
+            resilience: completion.resilience,
+            timestamp: timestamp
+        };
+        
+        if (events) {
+            events.send('done', result);
+            events.close();
+        } else {
+            res.json(result);
+        }
+        
+        await compactChatHistory(workspace, session);
+        await persistState();
+        
+    } catch (error) {
+        console.error('Chat error:', error.response?.data || error.message);
+        if (events) {
+            events.send('error', { error: 'Chat failed. Please try again.', details: error.message, resilience: error.resilience });
+            events.close();
+        } else if (!res.headersSent) {
+            res.status(500).json({ 
+                error: 'Chat failed. Please try again.',
+                details: error.message,
+                resilience: error.resilience
+            });
+        }
+    }
+});
+
+// List chat sessions, most recently active first
+app.get('/api/chat/sessions', (req, res) => {
+    const workspace = req.workspace;
+    
+    const { analysisId } = req.query;
+    
+    const sessions = workspace.chatSessions
+        .filter(session => canAccessChatSession(req.user, session))
+        .filter(session => !analysisId || session.analysisId === analysisId)
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+        .map(chatSessionSummary);
+    
+    res.json({ sessions: sessions, totalCount: sessions.length });
+});
+
+// Resume a chat session with its full stored history
+app.get('/api/chat/sessions/:id', (req, res) => {
+    const session = findChatSession(req.workspace, req.params.id);
+    
+    if (!session || !canAccessChatSession(req.user, session)) {
+        return res.status(404).json({ error: 'Chat session not found' });
+    }
+    
+    res.json({
+        ...chatSessionSummary(session),
+        analysis: session.analysis,
+        summary: session.summary,
+        summarizedTurns: session.summarizedTurns,
+        turns: session.turns
+    });
+});
+
+app.delete('/api/chat/sessions/:id', async (req, res) => {
+    const workspace = req.workspace;
+    
+    try {
+        const session = findChatSession(workspace, req.params.id);
+        
+        if (!session || !canAccessChatSession(req.user, session)) {
+            return res.status(404).json({ error: 'Chat session not found' });
+        }
+        
+        workspace.chatSessions = workspace.chatSessions.filter(candidate => candidate.id !== session.id);
+        await persistState();
+        
+        res.json({ success: true, message: 'Chat session deleted', deletedSession: session.id });
+        
+    } catch (error) {
+        console.error('Delete chat session error:', error);
+        res.status(500).json({ error: 'Failed to delete chat session' });
+    }
+});
+
+// ===========================
+// RESULTS, HISTORY & FEEDBACK
+// ===========================
+// Every analysis and chat answer is kept as a result that analysts can rate
+// (1-5), tag and correct. Analyses double as the searchable history. Each
+// user holds one feedback entry per result and resubmitting replaces it.
+// Well-rated results can be promoted into the training examples that shape
+// future analyses.
+const MAX_STORED_RESULTS = 5000;
+const FEEDBACK_MAX_TAGS = 10;
+const PROMOTION_MIN_RATING = 4; // average rating required unless forced
+
+function recordResult(workspace, fields) {
+    const result = {
+        id: fields.id || crypto.randomUUID(),
+        kind: fields.kind, // 'analysis' or 'chat'
+        userId: fields.userId || null,
+        createdAt: new Date().toISOString(),
+        fileName: fields.fileName || null,
+        analysisId: fields.analysisId || null,
+        sessionId: fields.sessionId || null,
+        prompt: fields.prompt || null,
+        text: fields.text,
+        promptVersion: fields.promptVersion || null,
+        template: fields.template || null,
+        provider: fields.provider || null,
+        model: fields.model || null,
+        // Analyses only: what went in and everything that came back
+        input: fields.input || null,
+        ragSources: fields.ragSources || [],
+        chartData: fields.chartData || null,
+        citations: fields.citations || null,
+        validation: fields.validation || null,
+        indexedAs: null, // documentStore fileName once ingested (see applyIngestionPolicy)
+        ingestion: null,
+        feedback: [],
+        promotedAt: null
+    };
+
+    workspace.results.push(result);
+    if (workspace.results.length > MAX_STORED_RESULTS) {
+        workspace.results = workspace.results.slice(-MAX_STORED_RESULTS);
+    }
+    return result;
+}
+
+function findResult(workspace, id) {
+    return workspace.results.find(result => result.id === id);
+}
+
+// Chat answers stay as private as the session they came from; analyses are
+// shared with the whole workspace
+function canAccessResult(user, result) {
+    return result.kind !== 'chat' || user.role === 'admin' || result.userId === user.id;
+}
+
+function averageRating(result) {
+    if (result.feedback.length === 0) return null;
+    return round1(result.feedback.reduce((sum, entry) => sum + entry.rating, 0) / result.feedback.length);
+}
+
+function resultSummary(result) {
+    return {
+        id: result.id,
+        kind: result.kind,
+        userId: result.userId,
+        createdAt: result.createdAt,
+        fileName: result.fileName,
+        analysisId: result.analysisId,
+        sessionId: result.sessionId,
+        promptVersion: result.promptVersion,
+        model: result.model,
+        feedbackCount: result.feedback.length,
+        averageRating: averageRating(result),
+        promotedAt: result.promotedAt
+    };
+}
+
+function validateFeedback({ rating, tags, correction }) {
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+        return 'rating must be an integer from 1 to 5';
+    }
+    if (tags !== undefined && (!Array.isArray(tags) || tags.length > FEEDBACK_MAX_TAGS || tags.some(tag => typeof tag !== 'string' || !tag.trim()))) {
+        return `tags must be an array of at most ${FEEDBACK_MAX_TAGS} non-empty strings`;
+    }
+    if (correction !== undefined && correction !== null && typeof correction !== 'string') {
+        return 'correction must be a string';
+    }
+    return null;
+}
+
+// Grouped by kind, prompt version and model so prompt or model changes show
+// up as separate rows
+function aggregateFeedback(results) {
+    const groups = new Map();
+
+    results.forEach(result => {
+        const key = [result.kind, result.promptVersion, result.model].join('|');
+        if (!groups.has(key)) {
+            groups.set(key, {
+                kind: result.kind,
+                promptVersion: result.promptVersion,
+                model: result.model,
+                results: 0,
+                ratedResults: 0,
+                feedbackCount: 0,
+                ratingSum: 0,
+                ratingDistribution: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+                corrections: 0,
+                tags: {}
+            });
+        }
+
+        const group = groups.get(key);
+        group.results++;
+        if (result.feedback.length > 0) group.ratedResults++;
+        result.feedback.forEach(entry => {
+            group.feedbackCount++;
+            group.ratingSum += entry.rating;
+            group.ratingDistribution[entry.rating]++;
+            if (entry.correction) group.corrections++;
+            entry.tags.forEach(tag => {
+                group.tags[tag] = (group.tags[tag] || 0) + 1;
+            });
+        });
+    });
+
+    return [...groups.values()].map(({ ratingSum, ...group }) => ({
+        ...group,
+        averageRating: group.feedbackCount ? round1(ratingSum / group.feedbackCount) : null
+    }));
+}
+
+// Result plus its feedback; members may read and rate any result they can
+// access (see canAccessResult)
+app.get('/api/results/:id', (req, res) => {
+    const workspace = req.workspace;
+    
+    const result = findResult(workspace, req.params.id);
+    if (!result || !canAccessResult(req.user, result)) {
+        return res.status(404).json({ error: 'Result not found' });
+    }
+    
+    res.json({ result: { ...resultSummary(result), prompt: result.prompt, text: result.text, feedback: result.feedback } });
+});
+
+app.post('/api/results/:id/feedback', async (req, res) => {
+    const workspace = req.workspace;
+    
+    try {
+        const result = findResult(workspace, req.params.id);
+        if (!result || !canAccessResult(req.user, result)) {
+            return res.status(404).json({ error: 'Result not found' });
+        }
+        
+        const rating = req.body.rating !== undefined ? Number(req.body.rating) : undefined;
+        const { tags, correction } = req.body;
+        const validationError = validateFeedback({ rating, tags, correction });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const now = new Date().toISOString();
+        const entry = {
+            userId: req.user.id,
+            rating: rating,
+            tags: [...new Set((tags || []).map(tag => tag.trim().toLowerCase()))],
+            correction: correction && correction.trim() ? correction : null,
+            createdAt: now,
+            updatedAt: now
+        };
+        
+        const existingIndex = result.feedback.findIndex(candidate => candidate.userId === req.user.id);
+        if (existingIndex >= 0) {
+            entry.createdAt = result.feedback[existingIndex].createdAt;
+            result.feedback[existingIndex] = entry;
+        } else {
+            result.feedback.push(entry);
+        }
+        await reconsiderIngestion(workspace, result);
+        await persistState();
+        
+        res.json({
+            success: true,
+            feedback: entry,
+            result: resultSummary(result),
+            ingestion: result.ingestion
+        });
+        
+    } catch (error) {
+        console.error('Feedback error:', error);
+        res.status(500).json({ error: 'Failed to save feedback' });
+    }
+});
+
+// Inclusive upper bound; a bare date covers that whole day
+function endOfRange(to) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to;
+}
+
+// Every term must appear in the text, prompt or file name
+function matchesFullText(result, terms) {
+    const haystack = `${result.fileName || ''}\n${result.prompt || ''}\n${result.text}`.toLowerCase();
+    return terms.every(term => haystack.includes(term));
+}
+
+function historySnippet(text, terms, radius = 80) {
+    const lower = text.toLowerCase();
+    const position = terms.length ? Math.max(lower.indexOf(terms[0]), 0) : 0;
+    const start = Math.max(position - radius, 0);
+    const end = Math.min(position + radius, text.length);
+    return `${start > 0 ? '...' : ''}${text.substring(start, end).replace(/\s+/g, ' ').trim()}${end < text.length ? '...' : ''}`;
+}
+
+// Analysis history, newest first. Filters: fileName (substring), userId,
+// from/to (ISO dates), q (full text) and template.
+app.get('/api/analyses', (req, res) => {
+    const workspace = req.workspace;
+    
+    const { fileName, userId, from, to, q, template } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+    const offset = parseInt(req.query.offset) || 0;
+    const terms = (q || '').toLowerCase().split(/\s+/).filter(Boolean);
+    
+    const matching = workspace.results
+        .filter(result => result.kind === 'analysis')
+        .filter(result => !fileName || (result.fileName || '').toLowerCase().includes(fileName.toLowerCase()))
+        .filter(result => !userId || result.userId === userId)
+        .filter(result => !template || result.template === template)
+        .filter(result => !from || result.createdAt >= from)
+        .filter(result => !to || result.createdAt <= endOfRange(to))
+        .filter(result => terms.length === 0 || matchesFullText(result, terms))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    
+    res.json({
+        analyses: matching.slice(offset, offset + limit).map(result => ({
+            ...resultSummary(result),
+            template: result.template,
+            prompt: result.prompt,
+            ragSourceCount: result.ragSources.length,
+            snippet: historySnippet(result.text, terms)
+        })),
+        total: matching.length,
+        limit: limit,
+        offset: offset
+    });
+});
+
+app.get('/api/analyses/:id', (req, res) => {
+    const workspace = req.workspace;
+    
+    const result = findResult(workspace, req.params.id);
+    if (!result || result.kind !== 'analysis') {
+        return res.status(404).json({ error: 'Analysis not found' });
+    }
+    
+    res.json({
+        analysis: {
+            ...resultSummary(result),
+            template: result.template,
+            provider: result.provider,
+            prompt: result.prompt,
+            input: result.input,
+            text: result.text,
+            chartData: result.chartData,
+            citations: result.citations,
+            validation: result.validation,
+            ragSources: result.ragSources,
+            indexedAs: result.indexedAs,
+            feedback: result.feedback
+        },
+        chatSessions: workspace.chatSessions
+            .filter(session => session.analysisId === result.id && canAccessChatSession(req.user, session))
+            .map(chatSessionSummary)
+    });
+});
+
+// Opens a new chat session on a stored analysis; continue it through
+// POST /api/chat with the returned sessionId
+app.post('/api/analyses/:id/chat', async (req, res) => {
+    const workspace = req.workspace;
+    
+    try {
+        const result = findResult(workspace, req.params.id);
+        if (!result || result.kind !== 'analysis') {
+            return res.status(404).json({ error: 'Analysis not found' });
+        }
+        
+        const session = createChatSession({
+            analysis: result.text,
+            analysisId: result.id,
+            fileName: result.fileName,
+            userId: req.user.id
+        });
+        saveChatSession(workspace, session);
+        await persistState();
+        
+        res.status(201).json({ session: chatSessionSummary(session) });
+        
+    } catch (error) {
+        console.error('Reopen analysis error:', error);
+        res.status(500).json({ error: 'Failed to open chat session' });
+    }
+});
+
+// ===========================
+// GENERATED CONTENT GOVERNANCE
+// ===========================
+// Generated analyses only become retrieval context once they pass the
+// workspace's gate (ragSettings.generatedIngestion):
+//   'gated'  - after admin approval, once feedback reaches generatedMinRating
+//              or when the fact-check verifies generatedMinValidationScore
+//   'always' - immediately, as before the gate existed
+//   'off'    - never
+// Ingested generated chunks are further down-weighted at retrieval by
+// ragSettings.generatedWeight so human-authored material ranks first.
+const GENERATED_CATEGORY = 'generated-analysis';
+const GENERATED_INGESTION_POLICIES = ['gated', 'always', 'off'];
+
+function isGeneratedChunk(doc) {
+    return doc.category === GENERATED_CATEGORY;
+}
+
+// The reason a gated analysis qualifies for ingestion, or null. Either
+// analysts rated it well or the fact-check verified its numbers; nothing
+// contradicted is ever admitted automatically.
+function ingestionCriteriaMet(workspace, result) {
+    const { generatedMinRating, generatedMinValidationScore } = workspace.ragSettings;
+    const rating = averageRating(result);
+    if (rating !== null && rating >= generatedMinRating) {
+        return `average rating ${rating} >= ${generatedMinRating}`;
+    }
+
+    const validation = result.validation && result.validation.summary;
+    if (generatedMinValidationScore !== null && validation && validation.total > 0 &&
+        validation.contradicted === 0 && validation.score >= generatedMinValidationScore) {
+        return `fact-check score ${validation.score} >= ${generatedMinValidationScore}`;
+    }
+    return null;
+}
+
+function setIngestion(result, status, decidedBy, reason) {
+    result.ingestion = {
+        status: status, // 'pending', 'ingested', 'rejected', 'skipped' or 'purged'
+        decidedBy: decidedBy,
+        reason: reason,
+        decidedAt: new Date().toISOString()
+    };
+}
+
+async function ingestGeneratedAnalysis(workspace, result, decidedBy, reason) {
+    const fileName = `Analysis_${result.fileName}_${Date.now()}`;
+    // Citation keys only mean something within the original analysis
+    await processDocument(workspace, stripCitationMarkers(result.text), fileName, GENERATED_CATEGORY);
+    result.indexedAs = fileName;
+    setIngestion(result, 'ingested', decidedBy, reason);
+    console.log(`Generated analysis ${result.id} ingested as ${fileName} (${reason})`);
+}
+
+function removeGeneratedChunks(workspace, fileNames) {
+    const removed = workspace.documentStore.filter(doc => isGeneratedChunk(doc) && fileNames.has(doc.fileName));
+    unindexChunks(workspace, removed);
+    workspace.documentStore = workspace.documentStore.filter(doc => !removed.includes(doc));
+    return removed.length;
+}
+
+// Runs once per new analysis
+async function applyIngestionPolicy(workspace, result) {
+    const policy = workspace.ragSettings.generatedIngestion;
+    if (!workspace.ragSettings.enabled || policy === 'off') {
+        setIngestion(result, 'skipped', 'system', workspace.ragSettings.enabled ? 'ingestion policy: off' : 'RAG disabled');
+        return;
+    }
+    if (policy === 'always') {
+        await ingestGeneratedAnalysis(workspace, result, 'system', 'ingestion policy: always');
+        return;
+    }
+
+    const reason = ingestionCriteriaMet(workspace, result);
+    if (reason) {
+        await ingestGeneratedAnalysis(workspace, result, 'system', reason);
+    } else {
+        setIngestion(result, 'pending', 'system', 'awaiting approval or feedback');
+    }
+}
+
+// Called after feedback changes; gated analyses that now qualify go in
+async function reconsiderIngestion(workspace, result) {
+    if (result.kind !== 'analysis' || !result.ingestion || result.ingestion.status !== 'pending') return;
+    if (!workspace.ragSettings.enabled || workspace.ragSettings.generatedIngestion !== 'gated') return;
+
+    const reason = ingestionCriteriaMet(workspace, result);
+    if (reason) await ingestGeneratedAnalysis(workspace, result, 'feedback', reason);
+}
+
+// ===========================
+// CHART GENERATION HELPERS
+// ===========================
+
+// chartData is versioned because version 2 changed its shape. Every chart
+// has `status` ('ok', or 'no-data' with a `reason`), and ok charts carry
+// `labels`, `colors` and either
+//   data   - one value per label (treatments, regional)
+//   series - [{ name, n, data }], one group per segment or answer
+//            (comparison, trends)
+// Version 1 responses have no `version` and fixed keys instead of series
+// (comparison.academic/community, trends.combination/monotherapy)
+// holding placeholder numbers. Dashboards that still read those keys
+// should branch on chartData.version.
+const CHART_DATA_VERSION = 2;
+
+const CHART_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#06b6d4', '#ec4899'];
+const TREATMENT_QUESTION_PATTERN = /treatment|therapy|regimen|prefer|prescrib/i;
+
+const CHART_DATA_INSTRUCTION = `After the summary, append a fenced block tagged chart-data containing JSON with the figures behind your key findings:
+\`\`\`chart-data
+{"treatments": {"labels": ["..."], "data": [0]},
+ "comparison": {"labels": ["..."], "series": [{"name": "...", "data": [0]}]},
+ "regional": {"labels": ["..."], "data": [0]},
+ "trends": {"labels": ["..."], "series": [{"name": "...", "data": [0]}]}}
+\`\`\`
+Use only numbers (percentages) that appear in the provided data, take labels from the data, and set any chart the data does not support to null.`;
+
+function noChartData(reason) {
+    return { status: 'no-data', reason: reason };
+}
+
+function colorsFor(count) {
+    return Array.from({ length: count }, (_, i) => CHART_COLORS[i % CHART_COLORS.length]);
+}
+
+// Pull the chart-data block Claude was asked to emit out of the analysis text
+function extractChartBlock(text) {
+    const match = text.match(/```chart-data\s*([\s\S]*?)```/);
+    if (!match) return { text: text, chartSpec: null };
+
+    const cleaned = text.replace(match[0], '').trim();
+    try {
+        return { text: cleaned, chartSpec: JSON.parse(match[1]) };
+    } catch (error) {
+        console.error('Ignoring malformed chart-data block:', error.message);
+        return { text: cleaned, chartSpec: null };
+    }
+}
+
+function isNumberSeries(data, length) {
+    return Array.isArray(data) && data.length === length && data.every(value => typeof value === 'number' && Number.isFinite(value));
+}
+
+function chartFromSpec(spec, name) {
+    if (!spec || !Array.isArray(spec.labels) || spec.labels.length === 0) {
+        return noChartData(`Analysis did not report ${name} figures`);
+    }
+
+    const labels = spec.labels.map(String);
+    if (Array.isArray(spec.series)) {
+        const series = spec.series.filter(entry => entry && isNumberSeries(entry.data, labels.length));
+        if (series.length === 0) return noChartData(`Analysis reported invalid ${name} figures`);
+        return {
+            status: 'ok',
+            source: 'analysis',
+            labels: labels,
+            series: series.map(entry => ({ name: String(entry.name), data: entry.data })),
+            colors: colorsFor(series.length)
+        };
+    }
+
+    if (!isNumberSeries(spec.data, labels.length)) return noChartData(`Analysis reported invalid ${name} figures`);
+    return { status: 'ok', source: 'analysis', labels: labels, data: spec.data, colors: colorsFor(labels.length) };
+}
+
+function percentFor(group, answerValue) {
+    const answer = group.answers.find(candidate => candidate.value === answerValue);
+    return answer ? answer.percent : 0;
+}
+
+function chartsFromSurvey(survey) {
+    const categorical = survey.tables.filter(table => table.type === 'categorical');
+    const primary = categorical.find(table => TREATMENT_QUESTION_PATTERN.test(table.question)) || categorical[0];
+    if (!primary) {
+        const reason = 'Survey has no categorical questions';
+        return { treatments: noChartData(reason), comparison: noChartData(reason), regional: noChartData(reason), trends: noChartData(reason) };
+    }
+
+    const overall = primary.groups[0];
+    const answerLabels = overall.answers.map(answer => answer.value);
+    const topAnswer = answerLabels[0];
+    const segmentOfType = type => survey.segments.find(segment => segment.type === type);
+    const groupsFor = segment => primary.groups.filter(group => group.segment === segment.name);
+
+    const treatments = {
+        status: 'ok',
+        source: 'survey',
+        title: primary.question,
+        tableId: primary.id,
+        n: overall.n,
+        labels: answerLabels,
+        data: overall.answers.map(answer => answer.percent),
+        colors: colorsFor(answerLabels.length)
+    };
+
+    const practiceSegment = segmentOfType('practiceSetting') || survey.segments.find(segment => segment.type !== 'wave');
+    const comparison = practiceSegment ? {
+        status: 'ok',
+        source: 'survey',
+        title: `${primary.question} by ${practiceSegment.name}`,
+        tableId: primary.id,
+        labels: answerLabels,
+        series: groupsFor(practiceSegment).map(group => ({
+            name: group.value,
+            n: group.n,
+            data: answerLabels.map(label => percentFor(group, label))
+        })),
+        colors: colorsFor(groupsFor(practiceSegment).length)
+    } : noChartData('Survey has no practice-setting segment column');
+
+    const regionSegment = segmentOfType('region');
+    const regional = regionSegment ? {
+        status: 'ok',
+        source: 'survey',
+        title: `${primary.question}: ${topAnswer} by ${regionSegment.name}`,
+        tableId: primary.id,
+        labels: groupsFor(regionSegment).map(group => group.value),
+        data: groupsFor(regionSegment).map(group => percentFor(group, topAnswer)),
+        colors: colorsFor(groupsFor(regionSegment).length)
+    } : noChartData('Survey has no region column');
+
+    const waveSegment = segmentOfType('wave');
+    const waveGroups = waveSegment ? groupsFor(waveSegment) : [];
+    const trends = waveSegment ? {
+        status: 'ok',
+        source: 'survey',
+        title: `${primary.question} by ${waveSegment.name}`,
+        tableId: primary.id,
+        labels: waveGroups.map(group => group.value),
+        series: answerLabels.map(label => ({
+            name: label,
+            data: waveGroups.map(group => percentFor(group, label))
+        })),
+        colors: colorsFor(answerLabels.length)
+    } : noChartData('Survey has no wave or time-period column');
+
+    return { treatments, comparison, regional, trends };
+}
+
+// Charts come from the parsed survey when available, then from the
+// chart-data block in the analysis, and otherwise report "no-data"
+function generateChartData(analysis, surveyData, chartSpec) {
+    if (surveyData) {
+        return { version: CHART_DATA_VERSION, source: 'survey', ...chartsFromSurvey(surveyData) };
+    }
+
+    if (chartSpec) {
+        return {
+            version: CHART_DATA_VERSION,
+            source: 'analysis',
+            treatments: chartFromSpec(chartSpec.treatments, 'treatment'),
+            comparison: chartFromSpec(chartSpec.comparison, 'comparison'),
+            regional: chartFromSpec(chartSpec.regional, 'regional'),
+            trends: chartFromSpec(chartSpec.trends, 'trend')
+        };
+    }
+
+    // Last resort: percentages stated next to the treatment names in the text
+    const treatmentLabels = ['Combination Therapy', 'Monotherapy', 'Experimental'];
+    const treatmentPercentages = extractPercentages(analysis, ['combination', 'monotherapy', 'experimental']);
+    const found = treatmentLabels
+        .map((label, i) => ({ label, value: treatmentPercentages[i] }))
+        .filter(entry => entry.value !== null);
+
+    return {
+        version: CHART_DATA_VERSION,
+        source: found.length >= 2 ? 'analysis-text' : 'none',
+        treatments: found.length >= 2 ? {
+            status: 'ok',
+            source: 'analysis-text',
+            labels: found.map(entry => entry.label),
+            data: found.map(entry => entry.value),
+            colors: colorsFor(found.length)
+        } : noChartData('No treatment percentages found in the analysis'),
+        comparison: noChartData('No structured data available'),
+        regional: noChartData('No structured data available'),
+        trends: noChartData('No structured data available')
+    };
+}
+
+const PERCENT_PATTERN = /(\d+(?:\.\d+)?)\s*%/g;
+
+// Returns one value per keyword: the first percentage in a sentence that
+// mentions the keyword, or null when no such sentence exists
+function extractPercentages(text, keywords) {
+    const sentences = splitClaimSentences(text);
+
+    return keywords.map(keyword => {
+        const needle = keyword.toLowerCase();
+        for (const sentence of sentences) {
+            if (!sentence.toLowerCase().includes(needle)) continue;
+
+            const regex = new RegExp(PERCENT_PATTERN.source, 'g');
+            let match;
+            let best = null;
+            // Prefer the percentage closest to the keyword within the sentence
+            while ((match = regex.exec(sentence)) !== null) {
+                const distance = Math.abs(match.index - sentence.toLowerCase().indexOf(needle));
+                if (!best || distance < best.distance) {
+                    best = { value: parseFloat(match[1]), distance: distance };
+                }
+            }
+            if (best) return best.value;
+        }
+        return null;
+    });
+}
+
+// ===========================
+// NUMERIC FACT-CHECKING
+// ===========================
+// Every percentage quoted in an analysis is checked against the source:
+// the crosstab values of a parsed survey, or the percentages stated in a
+// plain-text input. A claim is
+//   supported    - a value within FACT_CHECK_TOLERANCE appears in a matching context
+//   contradicted - the claim's context clearly points at a value that differs
+//   unsupported  - nothing in the source backs it either way
+// For surveys the claim's sentence must name a crosstab answer by its full
+// label ("Drug A", not just "Drug") before that answer can back or
+// contradict it. Citation markers ([T3.2], [T3]) narrow the candidates to
+// the cited row or table; question and segment terms only rank them.
+// Plain-text inputs have no labels, so there the claim's sentence is scored
+// by the terms it shares with each source sentence.
+const FACT_CHECK_TOLERANCE = 1; // percentage points, absorbs rounding
+const FACT_CHECK_SUPPORT_SCORE = 2; // shared terms needed to accept a matching text value
+const FACT_CHECK_CONTRADICT_SCORE = 3; // shared terms needed to call a text mismatch
+
+function splitClaimSentences(text) {
+    return text.split(/(?<=[.!?])\s+(?=[A-Z0-9*#-])|\n+/);
+}
+
+function extractNumericClaims(text) {
+    const claims = [];
+    let offset = 0;
+
+    splitClaimSentences(text).forEach(sentence => {
+        const start = text.indexOf(sentence, offset);
+        offset = start + sentence.length;
+
+        const pattern = new RegExp(PERCENT_PATTERN.source, 'g');
+        let match;
+        while ((match = pattern.exec(sentence)) !== null) {
+            const cited = [...sentence.matchAll(new RegExp(CITATION_MARKER.source, 'g'))]
+                .flatMap(marker => marker[1].split(/\s*[,;]\s*/));
+            claims.push({
+                claim: match[0],
+                value: parseFloat(match[1]),
+                offset: start + match.index,
+                sentence: stripCitationMarkers(sentence).trim(),
+                citedKeys: cited.filter(key => key.startsWith('T'))
+            });
+        }
+    });
+
+    return claims;
+}
+
+// Whole-label match: "Drug A" is named by "prefer drug A." but not by
+// "Drug AB" or by "Drug B"
+function answerLabelPattern(label) {
+    const words = String(label).trim().split(/\s+/).filter(Boolean)
+        .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    if (words.length === 0) return null;
+    return new RegExp(`(?<![\\p{L}\\p{N}])${words.join('\\s+')}(?![\\p{L}\\p{N}])`, 'iu');
+}
+
+// One candidate per answer percentage in each crosstab row
+function surveyFactCandidates(surveyData) {
+    const candidates = [];
+    surveyData.tables.filter(table => table.type === 'categorical').forEach(table => {
+        const questionTerms = new Set(tokenizeText(table.question, 3));
+        table.groups.forEach((group, groupIndex) => {
+            group.answers.forEach(answer => {
+                candidates.push({
+                    value: answer.percent,
+                    key: `${table.id}.${groupIndex + 1}`,
+                    tableId: table.id,
+                    question: table.question,
+                    segment: group.segment ? `${group.segment} = ${group.value}` : 'Overall',
+                    answer: answer.value,
+                    n: group.n,
+                    label: answerLabelPattern(answer.value),
+                    terms: {
+                        question: questionTerms,
+                        segment: new Set(group.segment ? tokenizeText(group.value, 2) : [])
+                    }
+                });
+            });
+        });
+    });
+    return candidates;
+}
+
+// Percentages stated in a text input, each with its sentence as context
+function textFactCandidates(text) {
+    return splitClaimSentences(text).flatMap(sentence =>
+        [...sentence.matchAll(new RegExp(PERCENT_PATTERN.source, 'g'))].map(match => ({
+            value: parseFloat(match[1]),
+            excerpt: sentence.trim().substring(0, CITATION_EXCERPT_LENGTH),
+            terms: { sentence: new Set(tokenizeText(sentence)) }
+        })));
+}
+
+function countShared(terms, candidateTerms) {
+    let shared = 0;
+    candidateTerms.forEach(term => {
+        if (terms.has(term)) shared++;
+    });
+    return shared;
+}
+
+function contextScore(claim, claimTerms, candidate) {
+    if (candidate.terms.sentence) {
+        return countShared(claimTerms, candidate.terms.sentence);
+    }
+
+    let score = 0;
+    if (candidate.terms.segment.size > 0 && countShared(claimTerms, candidate.terms.segment) > 0) score += 1;
+    if (countShared(claimTerms, candidate.terms.question) > 0) score += 1;
+    return score;
+}
+
+// Survey answers the claim names. When one named label contains another
+// ("Drug A XR" and "Drug A") only the longer one counts.
+function namedAnswerCandidates(claim, candidates) {
+    const named = candidates.filter(candidate => candidate.label && candidate.label.test(claim.sentence));
+    const labels = [...new Set(named.map(candidate => candidate.answer.toLowerCase()))];
+    return named.filter(candidate => {
+        const label = candidate.answer.toLowerCase();
+        return !labels.some(other => other !== label && other.includes(label) && answerLabelPattern(label).test(other));
+    });
+}
+
+// Cited rows or tables restrict the search; an unknown key restricts nothing
+function citedFactCandidates(claim, candidates) {
+    if (claim.citedKeys.length === 0) return candidates;
+    const cited = candidates.filter(candidate => claim.citedKeys.includes(candidate.key) || claim.citedKeys.includes(candidate.tableId));
+    return cited.length > 0 ? cited : candidates;
+}
+
+function describeFactSource(candidate) {
+    if (candidate.excerpt) return { excerpt: candidate.excerpt, value: candidate.value };
+    return {
+        key: candidate.key,
+        question: candidate.question,
+        segment: candidate.segment,
+        answer: candidate.answer,
+        value: candidate.value,
+        n: candidate.n
+    };
+}
+
+function checkClaim(claim, candidates) {
+    const claimTerms = new Set([...tokenizeText(claim.sentence, 2)]);
+    const score = candidates => candidates
+        .map(candidate => ({ candidate, score: contextScore(claim, claimTerms, candidate) }))
+        .sort((a, b) => b.score - a.score);
+    const scored = score(candidates);
+    const matchesValue = entry => Math.abs(entry.candidate.value - claim.value) <= FACT_CHECK_TOLERANCE;
+
+    let supported;
+    let best;
+    if (candidates.some(candidate => candidate.label !== undefined)) {
+        // Survey: only answers the claim names count. A named answer with a
+        // different value contradicts the claim once the citation, the
+        // question or segment terms, or a single possible table pin it down.
+        const cited = citedFactCandidates(claim, candidates);
+        const named = score(namedAnswerCandidates(claim, cited));
+        const pinned = cited !== candidates || new Set(named.map(entry => entry.candidate.tableId)).size === 1;
+        supported = named.find(matchesValue);
+        best = named[0] && (pinned || named[0].score > 0) ? named[0] : null;
+    } else {
+        supported = scored.find(entry => entry.score >= FACT_CHECK_SUPPORT_SCORE && matchesValue(entry));
+        best = scored[0] && scored[0].score >= FACT_CHECK_CONTRADICT_SCORE ? scored[0] : null;
+    }
+
+    if (supported) {
+        return { status: 'supported', source: describeFactSource(supported.candidate), contextScore: supported.score };
+    }
+
+    if (best) {
+        return {
+            status: 'contradicted',
+            source: describeFactSource(best.candidate),
+            contextScore: best.score,
+            reason: `source shows ${best.candidate.value}%`
+        };
+    }
+
+    const valueOnly = scored.find(matchesValue);
+    return {
+        status: 'unsupported',
+        source: null,
+        contextScore: best ? best.score : 0,
+        reason: valueOnly ? 'value appears in the source, but not in this context' : 'value not found in the source'
+    };
+}
+
+// Validation report for an analysis; `status` is 'failed' when anything is
+// contradicted, 'review' when something is unsupported, else 'passed'
+function factCheckAnalysis(analysis, { surveyData, fileContent }) {
+    const claims = extractNumericClaims(analysis);
+    const candidates = surveyData ? surveyFactCandidates(surveyData) : textFactCandidates(fileContent || '');
+
+    const checked = claims.map(claim => ({
+        claim: claim.claim,
+        value: claim.value,
+        offset: claim.offset,
+        sentence: claim.sentence,
+        ...checkClaim(claim, candidates)
+    }));
+
+    const count = status => checked.filter(claim => claim.status === status).length;
+    const summary = {
+        total: checked.length,
+        supported: count('supported'),
+        unsupported: count('unsupported'),
+        contradicted: count('contradicted'),
+        score: checked.length ? Math.round(count('supported') / checked.length * 100) / 100 : null
+    };
+
+    return {
+        status: summary.contradicted > 0 ? 'failed' : summary.unsupported > 0 ? 'review' : 'passed',
+        source: surveyData ? 'survey' : 'text',
+        tolerance: FACT_CHECK_TOLERANCE,
+        claims: checked,
+        summary: summary
+    };
+}
+
+// ===========================
+// PROMPT VERSIONING
+// ===========================
+
+function createPromptVersion(version, text, { author, note, rolledBackFrom } = {}) {
+    return {
+        version: version,
+        text: text,
+        author: author || 'unknown',
+        note: note || '',
+        rolledBackFrom: rolledBackFrom || null,
+        createdAt: new Date().toISOString()
+    };
+}
+
+function findPromptVersion(workspace, version) {
+    return workspace.promptVersions.find(entry => entry.version === parseInt(version));
+}
+
+// Every change (including a rollback) appends a version and activates it
+function addPromptVersion(workspace, text, details) {
+    const nextVersion = Math.max(...workspace.promptVersions.map(entry => entry.version)) + 1;
+    const entry = createPromptVersion(nextVersion, text, details);
+
+    workspace.promptVersions.push(entry);
+    workspace.activePromptVersion = entry.version;
+    workspace.settings.systemPrompt = text;
+    return entry;
+}
+
+// Line-based diff from the longest common subsequence of the two texts
+function diffLines(fromText, toText) {
+    const a = fromText.split('\n');
+    const b = toText.split('\n');
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const changes = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            changes.push({ type: 'unchanged', line: a[i] });
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            changes.push({ type: 'removed', line: a[i++] });
+        } else {
+            changes.push({ type: 'added', line: b[j++] });
+        }
+    }
+    while (i < a.length) changes.push({ type: 'removed', line: a[i++] });
+    while (j < b.length) changes.push({ type: 'added', line: b[j++] });
+
+    return changes;
+}
+
+function promptVersionSummary(workspace, entry) {
+    return {
+        version: entry.version,
+        author: entry.author,
+        note: entry.note,
+        rolledBackFrom: entry.rolledBackFrom,
+        createdAt: entry.createdAt,
+        active: entry.version === workspace.activePromptVersion,
+        preview: entry.text.substring(0, 200)
+    };
+}
+
+// ===========================
+// ANALYSIS TEMPLATES
+// ===========================
+
+function createTemplate(fields, author) {
+    return {
+        id: fields.id,
+        name: fields.name || fields.id,
+        description: fields.description || '',
+        systemPrompt: fields.systemPrompt || null,
+        maxTokens: fields.maxTokens ? parseInt(fields.maxTokens) : null,
+        temperature: fields.temperature !== undefined && fields.temperature !== null ? parseFloat(fields.temperature) : null,
+        outputSections: Array.isArray(fields.outputSections) ? fields.outputSections.map(String) : [],
+        builtIn: BUILT_IN_TEMPLATES.some(template => template.id === fields.id),
+        version: fields.version || 1,
+        updatedBy: author,
+        updatedAt: new Date().toISOString()
+    };
+}
+
+// Own keys only, so ids like "constructor" are unknown templates
+function findTemplate(workspace, templateId) {
+    return Object.hasOwn(workspace.analysisTemplates, templateId) ? workspace.analysisTemplates[templateId] : null;
+}
+
+// Resolve a template into the prompt and budgets for one analysis; unset
+// fields fall back to the workspace's active prompt and model settings
+function resolveTemplate(workspace, template) {
+    let systemPrompt = template.systemPrompt || workspace.settings.systemPrompt;
+
+    if (template.outputSections.length > 0) {
+        systemPrompt += `\n\nStructure your response with exactly these sections, in this order, each as a header:\n${template.outputSections.map((section, index) => `${index + 1}. ${section}`).join('\n')}`;
+    }
+
+    return {
+        systemPrompt: systemPrompt,
+        maxTokens: template.maxTokens || workspace.settings.maxTokens,
+        temperature: template.temperature !== null ? template.temperature : workspace.settings.temperature,
+        promptVersion: template.systemPrompt ? null : workspace.activePromptVersion
+    };
+}
+
+function templateSummary(template) {
+    return {
+        id: template.id,
+        name: template.name,
+        description: template.description,
+        outputSections: template.outputSections,
+        builtIn: template.builtIn,
+        version: template.version
+    };
+}
+
+// ===========================
+// FINE-TUNING DATASETS
+// ===========================
+// Learning mode captures each analysis as a system/user/assistant triple.
+// Admins review the pairs (optionally editing the response) and export the
+// approved ones as chat fine-tuning JSONL. Exports are PII-scrubbed by
+// default and split deterministically, so an example stays in the same
+// split across exports.
+const RAG_MODES = ['disabled', 'learning', 'retrieval', 'finetuned'];
+const LEARNING_REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+const FINE_TUNE_FORMATS = ['openai', 'anthropic'];
+const FINE_TUNE_SPLITS = ['train', 'validation'];
+
+const IP_OCTET = '(?:25[0-5]|2[0-4]\\d|1\\d\\d|[1-9]?\\d)';
+
+// Survey text is full of digit runs (waves, base sizes), so a run only
+// counts as a card number when it passes the Luhn check and no group of it
+// reads as a year
+function isCardNumber(match) {
+    if (match.split(/[ -]/).some(group => /^(?:19|20)\d\d$/.test(group))) return false;
+    const digits = match.replace(/\D/g, '');
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+// Outline numbering ("section 1.2.3.4") is dotted quads of single digits
+function isIpAddress(match) {
+    return match.split('.').some(octet => octet.length > 1);
+}
+
+// Ordered: emails and URLs go before the number patterns could split them.
+// Names are only caught after an honorific ("Dr Smith"); a bare "Jane Doe"
+// passes through, so exports are not name-scrubbed in general.
+const PII_PATTERNS = [
+    { type: 'email', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g, replacement: '[EMAIL]' },
+    { type: 'url', pattern: /\bhttps?:\/\/[^\s)>\]]+/g, replacement: '[URL]' },
+    { type: 'ssn', pattern: /\b\d{3}-\d{2}-\d{4}\b/g, replacement: '[SSN]' },
+    { type: 'card', pattern: /\b\d(?:[ -]?\d){12,18}\b/g, replacement: '[CARD]', accept: isCardNumber },
+    { type: 'phone', pattern: /(?:\+\d{1,3}[\s.-]?)?\(?\b\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b|\+\d{1,3}(?:[\s.-]?\d{2,4}){3,5}\b/g, replacement: '[PHONE]' },
+    { type: 'ip', pattern: new RegExp(`(?<![\\d.])(?:${IP_OCTET}\\.){3}${IP_OCTET}(?!\\.?\\d)`, 'g'), replacement: '[IP]', accept: isIpAddress },
+    { type: 'titledName', pattern: /\b(?:Dr|Mr|Mrs|Ms|Prof)\.?\s+[A-Z][a-z]+(?:\s+[A-Z][a-z]+)?/g, replacement: '[NAME]' }
+];
+
+function scrubPii(text, counts = {}) {
+    return PII_PATTERNS.reduce((scrubbed, { type, pattern, replacement, accept }) => scrubbed.replace(pattern, match => {
+        if (accept && !accept(match)) return match;
+        counts[type] = (counts[type] || 0) + 1;
+        return replacement;
+    }), text);
+}
+
+// Entries captured before review existed only have {query, response}
+function normalizeLearningQuery(entry) {
+    return {
+        id: entry.id || crypto.randomUUID(),
+        analysisId: entry.analysisId || null,
+        fileName: entry.fileName || null,
+        system: entry.system || null,
+        query: entry.query,
+        response: entry.response,
+        editedResponse: entry.editedResponse || null,
+        ragUsed: !!entry.ragUsed,
+        promptVersion: entry.promptVersion || null,
+        model: entry.model || null,
+        timestamp: entry.timestamp,
+        status: LEARNING_REVIEW_STATUSES.includes(entry.status) ? entry.status : 'pending',
+        review: entry.review || null
+    };
+}
+
+function learningQuerySummary(entry) {
+    return {
+        id: entry.id,
+        analysisId: entry.analysisId,
+        fileName: entry.fileName,
+        status: entry.status,
+        edited: !!entry.editedResponse,
+        promptVersion: entry.promptVersion,
+        model: entry.model,
+        timestamp: entry.timestamp,
+        review: entry.review,
+        queryPreview: entry.query.substring(0, 200),
+        responsePreview: (entry.editedResponse || entry.response).substring(0, 200)
+    };
+}
+
+function learningReviewCounts(workspace) {
+    const counts = { pending: 0, approved: 0, rejected: 0 };
+    workspace.learningData.queries.forEach(entry => counts[entry.status]++);
+    return counts;
+}
+
+// Stable per example: the same id always lands in the same split
+function fineTuneSplit(id, validationRatio) {
+    const bucket = parseInt(crypto.createHash('md5').update(id).digest('hex').substring(0, 8), 16) / 0xffffffff;
+    return bucket < validationRatio ? 'validation' : 'train';
+}
+
+function formatFineTuneExample(format, { system, user, assistant }) {
+    if (format === 'anthropic') {
+        return {
+            system: system,
+            messages: [
+                { role: 'user', content: user },
+                { role: 'assistant', content: assistant }
+            ]
+        };
+    }
+    return {
+        messages: [
+            { role: 'system', content: system },
+            { role: 'user', content: user },
+            { role: 'assistant', content: assistant }
+        ]
+    };
+}
+
+function buildFineTuneDataset(workspace, { format, split, validationRatio, scrub }) {
+    const redactions = {};
+    const clean = text => (scrub ? scrubPii(text, redactions) : text);
+
+    const examples = workspace.learningData.queries
+        .filter(entry => entry.status === 'approved' && fineTuneSplit(entry.id, validationRatio) === split)
+        .map(entry => formatFineTuneExample(format, {
+            system: clean(entry.system || workspace.settings.systemPrompt),
+            user: clean(entry.query),
+            assistant: clean(entry.editedResponse || entry.response)
+        }));
+
+    return { examples: examples, redactions: redactions };
+}
+
+// ===========================
+// ADMIN ENDPOINTS
+// ===========================
+// RAG Settings endpoint
+app.post('/admin/rag-settings', async (req, res) => {
+    const workspace = req.workspace;
+    
+    try {
+        const { enabled, mode, similarityThreshold, maxExamples, vectorIndex, retrievalMode, rerank, rerankCandidates, chunkSizeTokens, chunkOverlapTokens, generatedIngestion, generatedMinRating, generatedMinValidationScore, generatedWeight } = req.body;
+        
+        // Number(null) and Number('') are 0, so blanks are rejected explicitly
+        const isNumberIn = (value, min, max, wholeNumber = false) => value !== null && value !== '' && typeof value !== 'boolean' &&
+            Number(value) >= min && Number(value) <= max && (!wholeNumber || Number.isInteger(Number(value)));
+        
+        if (enabled !== undefined && typeof enabled !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                error: 'enabled must be true or false'
+            });
+        }
+        
+        if (similarityThreshold !== undefined && !isNumberIn(similarityThreshold, 0, 1)) {
+            return res.status(400).json({
+                success: false,
+                error: 'similarityThreshold must be between 0 and 1'
+            });
+        }
+        
+        if (maxExamples !== undefined && !isNumberIn(maxExamples, 0, 50, true)) {
+            return res.status(400).json({
+                success: false,
+                error: 'maxExamples must be a whole number between 0 and 50'
+            });
+        }
+        
+        if (rerankCandidates !== undefined && !isNumberIn(rerankCandidates, 1, 50, true)) {
+            return res.status(400).json({
+                success: false,
+                error: 'rerankCandidates must be a whole number between 1 and 50'
+            });
+        }
+        
+        if (mode !== undefined && !RAG_MODES.includes(mode)) {
+            return res.status(400).json({
+                success: false,
+                error: `mode must be one of: ${RAG_MODES.join(', ')}`
+            });
+        }
+        
+        if (mode === 'finetuned' && !workspace.settings.fineTunedModel) {
+            return res.status(400).json({
+                success: false,
+                error: 'Set fineTunedModel via /admin/update-api-settings before switching to finetuned mode'
+            });
+        }
+        
+        if (vectorIndex !== undefined && !VECTOR_INDEX_TYPES.includes(vectorIndex)) {
+            return res.status(400).json({
+                success: false,
+                error: `vectorIndex must be one of: ${VECTOR_INDEX_TYPES.join(', ')}`
+            });
+        }
+        
+        if (retrievalMode !== undefined && !RETRIEVAL_MODES.includes(retrievalMode)) {
+            return res.status(400).json({
+                success: false,
+                error: `retrievalMode must be one of: ${RETRIEVAL_MODES.join(', ')}`
+            });
+        }
+        
+        if (rerank !== undefined && !RERANK_MODES.includes(rerank)) {
+            return res.status(400).json({
+                success: false,
+                error: `rerank must be one of: ${RERANK_MODES.join(', ')}`
+            });
+        }
+        
+        const nextChunkSize = chunkSizeTokens !== undefined ? parseInt(chunkSizeTokens) : workspace.ragSettings.chunkSizeTokens;
+        const nextChunkOverlap = chunkOverlapTokens !== undefined ? parseInt(chunkOverlapTokens) : workspace.ragSettings.chunkOverlapTokens;
+        if (!(nextChunkSize >= 50 && nextChunkSize <= 4000)) {
+            return res.status(400).json({
+                success: false,
+                error: 'chunkSizeTokens must be between 50 and 4000'
+            });
+        }
+        if (!(nextChunkOverlap >= 0 && nextChunkOverlap < nextChunkSize / 2)) {
+            return res.status(400).json({
+                success: false,
+                error: 'chunkOverlapTokens must be at least 0 and less than half of chunkSizeTokens'
+            });
+        }
+        
+        if (generatedIngestion !== undefined && !GENERATED_INGESTION_POLICIES.includes(generatedIngestion)) {
+            return res.status(400).json({
+                success: false,
+                error: `generatedIngestion must be one of: ${GENERATED_INGESTION_POLICIES.join(', ')}`
+            });
+        }
+        
+        if (generatedMinRating !== undefined && !(Number(generatedMinRating) >= 1 && Number(generatedMinRating) <= 5)) {
+            return res.status(400).json({
+                success: false,
+                error: 'generatedMinRating must be between 1 and 5'
+            });
+        }
+        
+        if (generatedMinValidationScore !== undefined && generatedMinValidationScore !== null &&
+            !(Number(generatedMinValidationScore) > 0 && Number(generatedMinValidationScore) <= 1)) {
+            return res.status(400).json({
+                success: false,
+                error: 'generatedMinValidationScore must be above 0 and at most 1, or null to disable'
+            });
+        }
+        
+        if (generatedWeight !== undefined && !(Number(generatedWeight) >= 0 && Number(generatedWeight) <= 1)) {
+            return res.status(400).json({
+                success: false,
+                error: 'generatedWeight must be between 0 and 1'
+            });
+        }
+        
+        const previousIndex = workspace.ragSettings.vectorIndex;
+        
+        // Update RAG settings
+        workspace.ragSettings = {
+            enabled: enabled !== undefined ? enabled : workspace.ragSettings.enabled,
+            mode: mode || workspace.ragSettings.mode,
+            similarityThreshold: similarityThreshold !== undefined ? Number(similarityThreshold) : workspace.ragSettings.similarityThreshold,
+            maxExamples: maxExamples !== undefined ? Number(maxExamples) : workspace.ragSettings.maxExamples,
+            vectorIndex: vectorIndex || workspace.ragSettings.vectorIndex,
+            retrievalMode: retrievalMode || workspace.ragSettings.retrievalMode,
+            rerank: rerank || workspace.ragSettings.rerank,
+            rerankCandidates: rerankCandidates !== undefined ? Number(rerankCandidates) : workspace.ragSettings.rerankCandidates,
+            chunkSizeTokens: nextChunkSize,
+            chunkOverlapTokens: nextChunkOverlap,
+            generatedIngestion: generatedIngestion || workspace.ragSettings.generatedIngestion,
+            generatedMinRating: generatedMinRating !== undefined ? Number(generatedMinRating) : workspace.ragSettings.generatedMinRating,
+            generatedMinValidationScore: generatedMinValidationScore !== undefined
+                ? (generatedMinValidationScore === null ? null : Number(generatedMinValidationScore))
+                : workspace.ragSettings.generatedMinValidationScore,
+            generatedWeight: generatedWeight !== undefined ? Number(generatedWeight) : workspace.ragSettings.generatedWeight
+        };
+        
+        if (workspace.ragSettings.vectorIndex !== previousIndex) {
+            rebuildVectorIndex(workspace);
+        }
+        
+        // Also update the workspace settings for backward compatibility
+        workspace.settings.ragEnabled = workspace.ragSettings.enabled;
+        workspace.settings.similarityThreshold = workspace.ragSettings.similarityThreshold;
+        workspace.settings.maxTrainingExamples = workspace.ragSettings.maxExamples;
+        await persistState();
+        
+        console.log('RAG settings updated:', workspace.ragSettings);
+        
+        res.json({
+            success: true,
+            settings: workspace.ragSettings,
+            learningProgress: {
+                queryCount: workspace.learningData.queryCount,
+                exampleCount: workspace.learningData.exampleCount,
+                targetQueries: workspace.learningData.targetQueries
+            }
+        });
+        
+    } catch (error) {
+        console.error('RAG settings update error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update RAG settings'
+        });
+    }
+});
+
+// Initialize Vector DB endpoint
+app.post('/admin/initialize-vectordb', async (req, res) => {
+    const workspace = req.workspace;
+    
+    try {
+        const buildTimeMs = rebuildVectorIndex(workspace);
+        const indexStats = getVectorIndexStats(workspace);
+        
+        console.log(`Vector index rebuilt (${indexStats.type}, ${indexStats.indexedCount} vectors, ${buildTimeMs}ms)`);
+        
+        res.json({
+            success: true,
+            message: 'Vector database initialized',
+            documentCount: workspace.documentStore.length,
+            buildTimeMs: buildTimeMs,
+            index: indexStats
+        });
+        
+    } catch (error) {
+        console.error('Vector DB initialization error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to initialize vector database'
+        });
+    }
+});
 
-        console.log('✅ API call successful!');
+// Re-embed the document store with the current embedding model. Runs in
+// the background because large stores take longer than a request may stay
+// open; poll GET /admin/re-embed for progress. Only chunks tagged with a
+// different model are touched unless `all` is set.
+const reembedRuns = new Map(); // workspaceId -> latest run
 
-        const analysis = response.data.content[0].text;
-        
-        // Keep all your existing post-processing code...
-        // Learning Mode: Store query and response for fine-tuning
-        if (ragSettings.mode === 'learning') {
-            learningData.queryCount++;
-            learningData.queries.push({
-                query: fileContent,
-                response: analysis,
-                ragUsed: relevantContext.length > 0,
-                timestamp: new Date().toISOString()
-            });
-            
-            console.log(`Learning Mode: Query ${learningData.queryCount}/${learningData.targetQueries} stored`);
-            
-            if (learningData.queryCount >= learningData.targetQueries) {
-                console.log('Learning complete! Ready for fine-tuning preparation.');
+function reembedSummary(run) {
+    if (!run) return { status: 'idle' };
+    const { chunks, ...summary } = run;
+    return summary;
+}
+
+// Chunks deleted while the run is underway are skipped rather than put back
+// into the indexes. Removals always replace documentStore, so the set of
+// live chunks is only rebuilt when the array changes.
+async function reembedDocumentStore(workspace, run) {
+    const provider = embeddingProviderChain(workspace)[0];
+    let liveStore = null;
+    let liveChunks = null;
+    const isLive = chunk => {
+        if (liveStore !== workspace.documentStore) {
+            liveStore = workspace.documentStore;
+            liveChunks = new Set(liveStore);
+        }
+        return liveChunks.has(chunk);
+    };
+
+    for (const chunk of run.chunks) {
+        if (run.status === 'cancelled') break;
+        try {
+            const { embedding, model } = await generateEmbedding(workspace, chunk.content, provider);
+            if (!isLive(chunk)) {
+                run.skipped++;
+                continue;
             }
+            unindexChunks(workspace, [chunk]);
+            chunk.embedding = embedding;
+            chunk.embeddingModel = model;
+            indexChunks(workspace, [chunk]);
+            run.done++;
+        } catch (error) {
+            run.failed++;
+            run.lastError = error.message;
         }
+    }
+
+    run.chunks = null;
+    if (run.status !== 'cancelled') run.status = 'completed';
+    run.finishedAt = new Date().toISOString();
+    await persistState();
+    console.log(`Re-embed ${run.status} for ${workspace.id}: ${run.done} chunks to ${run.targetModel}, ${run.failed} failed, ${run.skipped} deleted meanwhile`);
+}
+
+app.get('/admin/re-embed', (req, res) => {
+    const workspace = req.workspace;
+    
+    const targetModel = targetEmbeddingModel(workspace);
+    res.json({
+        ...reembedSummary(reembedRuns.get(workspace.id)),
+        targetModel: targetModel,
+        staleChunks: workspace.documentStore.filter(doc => doc.embeddingModel !== targetModel).length
+    });
+});
+
+app.post('/admin/re-embed', async (req, res) => {
+    const workspace = req.workspace;
+    
+    try {
+        const { all = false } = req.body;
         
-        // Process and store analysis for future RAG queries (if RAG enabled)
-        if (ragSettings.enabled) {
-            await processDocument(analysis, `Analysis_${fileName}_${Date.now()}`, 'generated-analysis');
+        const current = reembedRuns.get(workspace.id);
+        if (current && current.status === 'running') {
+            return res.status(409).json({ error: 'A re-embed is already running for this workspace', run: reembedSummary(current) });
         }
         
-        const chartData = generateChartData(analysis);
+        const targetModel = targetEmbeddingModel(workspace);
+        const chunks = workspace.documentStore.filter(doc => all || doc.embeddingModel !== targetModel);
+        const run = {
+            status: 'running',
+            targetModel: targetModel,
+            total: chunks.length,
+            done: 0,
+            failed: 0,
+            skipped: 0,
+            lastError: null,
+            startedBy: req.user.id,
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            chunks: chunks
+        };
+        reembedRuns.set(workspace.id, run);
         
-        console.log('Analysis completed successfully');
-        systemStats.totalAnalyses++;
-
-        res.json({ 
-            analysis: analysis,
-            chartData: chartData,
-            ragContext: {
-                enabled: adminSettings.ragEnabled,
-                documentsUsed: relevantContext.length,
-                contextSources: relevantContext.map(doc => ({
-                    fileName: doc.fileName,
-                    similarity: doc.similarity,
-                    category: doc.category
-                }))
-            },
-            metadata: {
-                fileName: fileName,
-                processedAt: new Date().toISOString(),
-                webSearchEnabled: webSearchEnabled,
-                userPromptUsed: !!userPrompt,
-                ragEnabled: adminSettings.ragEnabled
-            }
+        console.log(`Re-embedding ${chunks.length} chunks in ${workspace.id} with ${targetModel}`);
+        reembedDocumentStore(workspace, run).catch(error => {
+            console.error('Re-embed error:', error);
+            run.status = 'failed';
+            run.lastError = error.message;
         });
         
-    } catch (error) {
-        console.error('❌ Analysis error:', error.response?.data || error.message);
-        console.error('Full error details:', {
-            status: error.response?.status,
-            statusText: error.response?.statusText,
-            data: error.response?.data,
-            message: error.message
-        });
+        res.status(202).json({ success: true, run: reembedSummary(run) });
         
-        if (error.response?.status === 401) {
-            console.error('🔑 Authentication failed - API key issue');
-            res.status(401).json({ 
-                error: 'Invalid API key. Please check your Anthropic API key.',
-                details: error.response?.data || 'Authentication failed',
-                debug: {
-                    apiKeyExists: !!ANTHROPIC_API_KEY,
-                    apiKeyLength: ANTHROPIC_API_KEY ? ANTHROPIC_API_KEY.length : 0
-                }
-            });
-        } else if (error.response?.status === 429) {
-            res.status(429).json({ error: 'Rate limit exceeded. Please try again later.' });
-        } else {
-            res.status(500).json({ 
-                error: 'Analysis failed. Please try again.',
-                details: error.message
-            });
-        }
+    } catch (error) {
+        console.error('Re-embed start error:', error);
+        res.status(500).json({ error: 'Failed to start re-embedding' });
     }
 });
 
-// ===========================
-// ENHANCED CHAT ENDPOINT
-// ===========================
+app.delete('/admin/re-embed', (req, res) => {
+    const run = reembedRuns.get(req.workspace.id);
+    if (!run || run.status !== 'running') {
+        return res.status(409).json({ error: 'No re-embed is running for this workspace' });
+    }
+    
+    run.status = 'cancelled';
+    res.json({ success: true, run: reembedSummary(run) });
+});
 
-app.post('/api/chat', async (req, res) => {
+// Test vector search endpoint
+app.post('/admin/test-vector-search', async (req, res) => {
+    const workspace = req.workspace;
+    
     try {
-        const { question, analysis, fileName } = req.body;
+        const { query, threshold = 0.7, maxResults = 3 } = req.body;
         
-        if (!ANTHROPIC_API_KEY) {
-            return res.status(500).json({ error: 'API key not configured' });
+        if (!query) {
+            return res.status(400).json({
+                success: false,
+                error: 'Query is required'
+            });
         }
         
-        if (!question || !analysis) {
-            return res.status(400).json({ error: 'Question and analysis are required' });
-        }
+        const matches = await retrieveRelevantContext(workspace, query, maxResults);
         
-        console.log(`Processing ${adminSettings.ragEnabled ? 'RAG-enhanced' : 'standard'} chat question: ${question.substring(0, 50)}...`);
+        res.json({
+            success: true,
+            query: query,
+            matches: matches.map(match => ({
+                id: match.id,
+                fileName: match.fileName,
+                title: match.title || null,
+                content: match.content.substring(0, 200) + '...',
+                similarity: match.similarity,
+                chunkIndex: match.chunkIndex,
+                sectionTitle: match.sectionTitle || null,
+                pages: chunkPages(match),
+                retrieval: match.retrieval
+            })),
+            retrievalMode: workspace.ragSettings.retrievalMode,
+            rerank: workspace.ragSettings.rerank,
+            matchCount: matches.length,
+            threshold: threshold
+        });
         
-        let contextualPrompt = `Based on this pharmaceutical survey analysis, please answer the user's question concisely and professionally:
-
-CURRENT ANALYSIS:
-${analysis}`;
-
-        // RAG Enhancement for chat (if enabled)
-        if (adminSettings.ragEnabled) {
-            const relevantContext = await retrieveRelevantContext(question, 2);
-            
-            if (relevantContext.length > 0) {
-                contextualPrompt += `\n\nRELEVANT REFERENCE CONTEXT:`;
-                relevantContext.forEach((doc, index) => {
-                    contextualPrompt += `\n--- Reference ${index + 1} ---\n${doc.content}`;
-                });
-            }
-        }
+    } catch (error) {
+        console.error('Vector search test error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Vector search test failed'
+        });
+    }
+});
 
-        contextualPrompt += `\n\nUSER QUESTION: ${question}
+// Learning progress endpoint
+app.get('/admin/learning-progress', (req, res) => {
+    const workspace = req.workspace;
+    
+    const progressPercent = Math.min((workspace.learningData.queryCount / workspace.learningData.targetQueries) * 100, 100);
+    
+    res.json({
+        queryCount: workspace.learningData.queryCount,
+        exampleCount: workspace.learningData.exampleCount,
+        targetQueries: workspace.learningData.targetQueries,
+        progressPercent: Math.round(progressPercent),
+        readyForFineTuning: workspace.learningData.queryCount >= workspace.learningData.targetQueries,
+        review: learningReviewCounts(workspace),
+        fineTunedModel: workspace.settings.fineTunedModel
+    });
+});
 
-Please provide a helpful, specific answer based on the analysis data${adminSettings.ragEnabled ? ' and reference materials' : ''}. Keep your response focused and under 250 words.`;
+// Captured learning-mode pairs awaiting review. The pairs hold raw prompts
+// and answers, so reading them is admin-only like the export below.
+app.get('/admin/learning-queries', requireRole('admin'), (req, res) => {
+    const workspace = req.workspace;
+    
+    const { status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = parseInt(req.query.offset) || 0;
+    
+    if (status && !LEARNING_REVIEW_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${LEARNING_REVIEW_STATUSES.join(', ')}` });
+    }
+    
+    const matching = workspace.learningData.queries.filter(entry => !status || entry.status === status);
+    
+    res.json({
+        queries: matching.slice(offset, offset + limit).map(learningQuerySummary),
+        total: matching.length,
+        counts: learningReviewCounts(workspace)
+    });
+});
 
-        const response = await axios.post('https://api.anthropic.com/v1/messages', {
-            model: adminSettings.claudeModel,
-            max_tokens: 350,
-            temperature: 0.3,
-            messages: [{
-                role: 'user',
-                content: contextualPrompt
-            }]
-        }, {
-            headers: {
-                'Authorization': `Bearer ${ANTHROPIC_API_KEY}`,
-                'Content-Type': 'application/json',
-                'anthropic-version': '2023-06-01'
-            }
-        });
+app.get('/admin/learning-queries/:id', requireRole('admin'), (req, res) => {
+    const workspace = req.workspace;
+    
+    const entry = workspace.learningData.queries.find(candidate => candidate.id === req.params.id);
+    if (!entry) {
+        return res.status(404).json({ error: 'Learning query not found' });
+    }
+    
+    res.json({ query: entry });
+});
 
-        const chatResponse = response.data.content[0].text;
+// Approve, reject or edit a captured pair. An edited response replaces the
+// original in exports; sending `response: null` reverts the edit.
+app.post('/admin/learning-queries/:id/review', async (req, res) => {
+    const workspace = req.workspace;
+    
+    try {
+        const { status, response, note } = req.body;
+        const entry = workspace.learningData.queries.find(candidate => candidate.id === req.params.id);
         
-        res.json({ 
-            response: chatResponse,
-            ragEnabled: adminSettings.ragEnabled,
-            timestamp: new Date().toISOString()
+        if (!entry) {
+            return res.status(404).json({ success: false, error: 'Learning query not found' });
+        }
+        if (status !== undefined && !LEARNING_REVIEW_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: `status must be one of: ${LEARNING_REVIEW_STATUSES.join(', ')}`
+            });
+        }
+        if (response !== undefined && response !== null && (typeof response !== 'string' || !response.trim())) {
+            return res.status(400).json({ success: false, error: 'response must be a non-empty string or null' });
+        }
+        if (status === undefined && response === undefined) {
+            return res.status(400).json({ success: false, error: 'Provide a status and/or an edited response' });
+        }
+        
+        if (response !== undefined) entry.editedResponse = response;
+        if (status !== undefined) entry.status = status;
+        entry.review = {
+            reviewedBy: req.user.id,
+            reviewedAt: new Date().toISOString(),
+            note: note || null
+        };
+        await persistState();
+        
+        console.log(`Learning query ${entry.id} reviewed by ${req.user.id}: ${entry.status}${entry.editedResponse ? ' (edited)' : ''}`);
+        
+        res.json({
+            success: true,
+            query: learningQuerySummary(entry),
+            counts: learningReviewCounts(workspace)
         });
         
     } catch (error) {
-        console.error('Chat error:', error.response?.data || error.message);
-        res.status(500).json({ 
-            error: 'Chat failed. Please try again.',
-            details: error.message
+        console.error('Learning review error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to review learning query'
         });
     }
 });
 
-// ===========================
-// CHART GENERATION HELPERS
-// ===========================
-
-function generateChartData(analysis) {
-    const treatmentPreferences = extractPercentages(analysis, ['combination', 'monotherapy', 'experimental']);
-    const confidenceLevels = extractPercentages(analysis, ['high confidence', 'moderate confidence', 'low confidence']);
+// Approved pairs as chat fine-tuning JSONL, one split per request
+app.get('/admin/fine-tune/export', requireRole('admin'), (req, res) => {
+    const workspace = req.workspace;
     
-    return {
-        treatments: {
-            labels: ['Combination Therapy', 'Monotherapy', 'Experimental', 'Standard Care'],
-            data: treatmentPreferences.length >= 3 ? treatmentPreferences : [41, 28, 18, 13],
-            colors: ['#3b82f6', '#10b981', '#f59e0b', '#ef4444']
-        },
-        comparison: {
-            labels: ['High Confidence', 'Moderate Confidence', 'Low Confidence'],
-            academic: confidenceLevels.academic || [72, 21, 7],
-            community: confidenceLevels.community || [44, 35, 21],
-            colors: ['#3b82f6', '#10b981']
-        },
-        regional: {
-            labels: ['Northeast', 'West Coast', 'Midwest', 'Southeast', 'Southwest'],
-            data: [68, 65, 52, 45, 58],
-            colors: ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6']
-        },
-        trends: {
-            labels: ['Q1 2024', 'Q2 2024', 'Q3 2024', 'Q4 2024'],
-            combination: [25, 31, 37, 41],
-            monotherapy: [65, 58, 52, 43],
-            colors: ['#3b82f6', '#ef4444']
+    try {
+        const format = req.query.format || 'openai';
+        const split = req.query.split || 'train';
+        const validationRatio = req.query.validationRatio !== undefined ? parseFloat(req.query.validationRatio) : 0.1;
+        const scrub = req.query.scrubPii !== 'false';
+        
+        if (!FINE_TUNE_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `format must be one of: ${FINE_TUNE_FORMATS.join(', ')}` });
         }
-    };
-}
+        if (!FINE_TUNE_SPLITS.includes(split)) {
+            return res.status(400).json({ error: `split must be one of: ${FINE_TUNE_SPLITS.join(', ')}` });
+        }
+        if (!(validationRatio >= 0 && validationRatio < 1)) {
+            return res.status(400).json({ error: 'validationRatio must be at least 0 and below 1' });
+        }
+        
+        const { examples, redactions } = buildFineTuneDataset(workspace, { format, split, validationRatio, scrub });
+        
+        console.log(`Fine-tuning export (${workspace.id}): ${examples.length} ${split} examples as ${format}${scrub ? `, redactions ${JSON.stringify(redactions)}` : ', unscrubbed'}`);
+        
+        res.setHeader('Content-Type', 'application/x-ndjson');
+        res.setHeader('Content-Disposition', `attachment; filename="${workspace.id}-${format}-${split}.jsonl"`);
+        res.setHeader('X-Example-Count', String(examples.length));
+        res.setHeader('X-PII-Redactions', scrub ? JSON.stringify(redactions) : 'disabled');
+        res.send(examples.map(example => JSON.stringify(example)).join('\n') + (examples.length ? '\n' : ''));
+        
+    } catch (error) {
+        console.error('Fine-tuning export error:', error);
+        res.status(500).json({ error: 'Failed to export fine-tuning dataset' });
+    }
+});
 
-function extractPercentages(text, keywords) {
-    const percentages = [];
-    const regex = /(\d+(?:\.\d+)?)\s*%/g;
-    let match;
+// Feedback aggregated per kind, prompt version and model
+app.get('/admin/feedback', (req, res) => {
+    const workspace = req.workspace;
     
-    while ((match = regex.exec(text)) !== null) {
-        percentages.push(parseFloat(match[1]));
-    }
+    const { kind, from, to } = req.query;
+    const results = workspace.results.filter(result =>
+        canAccessResult(req.user, result) &&
+        (!kind || result.kind === kind) &&
+        (!from || result.createdAt >= from) &&
+        (!to || result.createdAt <= endOfRange(to)));
     
-    return percentages.slice(0, 4);
-}
+    res.json({
+        groups: aggregateFeedback(results),
+        totals: {
+            results: results.length,
+            ratedResults: results.filter(result => result.feedback.length > 0).length,
+            feedbackCount: results.reduce((sum, result) => sum + result.feedback.length, 0)
+        },
+        promotionCandidates: results
+            .filter(result => result.kind === 'analysis' && !result.promotedAt && averageRating(result) >= PROMOTION_MIN_RATING)
+            .map(resultSummary),
+        minPromotionRating: PROMOTION_MIN_RATING
+    });
+});
 
-// ===========================
-// ADMIN ENDPOINTS
-// ===========================
-// RAG Settings endpoint
-app.post('/admin/rag-settings', async (req, res) => {
+// Copies a well-rated analysis into the training examples, preferring the
+// best-rated correction when one was submitted
+app.post('/admin/results/:id/promote', async (req, res) => {
+    const workspace = req.workspace;
+    
     try {
-        const { enabled, mode, similarityThreshold, maxExamples } = req.body;
+        const { useCorrection = true, category = 'promoted', force = false } = req.body;
+        const result = findResult(workspace, req.params.id);
         
-        // Update RAG settings
-        ragSettings = {
-            enabled: enabled !== undefined ? enabled : ragSettings.enabled,
-            mode: mode || ragSettings.mode,
-            similarityThreshold: similarityThreshold !== undefined ? similarityThreshold : ragSettings.similarityThreshold,
-            maxExamples: maxExamples !== undefined ? maxExamples : ragSettings.maxExamples
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'Result not found' });
+        }
+        if (result.kind !== 'analysis') {
+            return res.status(400).json({ success: false, error: 'Only analyses can be promoted to training examples' });
+        }
+        if (result.promotedAt) {
+            return res.status(409).json({ success: false, error: `Result was already promoted at ${result.promotedAt}` });
+        }
+        
+        const rating = averageRating(result);
+        if (!force && (rating === null || rating < PROMOTION_MIN_RATING)) {
+            return res.status(400).json({
+                success: false,
+                error: `Promotion needs an average rating of at least ${PROMOTION_MIN_RATING} (current: ${rating === null ? 'unrated' : rating}); pass force: true to override`
+            });
+        }
+        
+        const correction = useCorrection && result.feedback
+            .filter(entry => entry.correction)
+            .sort((a, b) => b.rating - a.rating || b.updatedAt.localeCompare(a.updatedAt))[0];
+        const content = stripCitationMarkers(correction ? correction.correction : result.text);
+        const fileName = `Promoted_${result.fileName || 'analysis'}_${result.id.substring(0, 8)}`;
+        
+        const trainingExample = {
+            content: content,
+            fileName: fileName,
+            uploadedAt: new Date().toISOString(),
+            category: category,
+            resultId: result.id,
+            keywords: extractKeywords(content)
         };
+        workspace.trainingExamples.push(trainingExample);
+        
+        let processedChunks = [];
+        if (workspace.settings.ragEnabled) {
+            processedChunks = await processDocument(workspace, content, fileName, category);
+        }
         
-        // Also update adminSettings for backward compatibility
-        adminSettings.ragEnabled = ragSettings.enabled;
-        adminSettings.similarityThreshold = ragSettings.similarityThreshold;
-        adminSettings.maxTrainingExamples = ragSettings.maxExamples;
+        result.promotedAt = trainingExample.uploadedAt;
+        workspace.learningData.exampleCount = workspace.trainingExamples.length;
+        await persistState();
         
-        console.log('RAG settings updated:', ragSettings);
+        console.log(`Result ${result.id} promoted to training examples by ${req.user.id} (rating ${rating}${correction ? ', corrected text' : ''})`);
         
         res.json({
             success: true,
-            settings: ragSettings,
-            learningProgress: {
-                queryCount: learningData.queryCount,
-                exampleCount: learningData.exampleCount,
-                targetQueries: learningData.targetQueries
-            }
+            fileName: fileName,
+            usedCorrection: !!correction,
+            averageRating: rating,
+            chunksProcessed: processedChunks.length,
+            totalExamples: workspace.trainingExamples.length
         });
         
     } catch (error) {
-        console.error('RAG settings update error:', error);
+        console.error('Promote result error:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to update RAG settings'
+            error: 'Failed to promote result'
         });
     }
 });
 
-// Initialize Vector DB endpoint
-app.post('/admin/initialize-vectordb', async (req, res) => {
+// Generated chunks in the store, grouped by analysis, plus the gate's queue
+app.get('/admin/generated-content', (req, res) => {
+    const workspace = req.workspace;
+    
+    const byFile = new Map();
+    workspace.documentStore.filter(isGeneratedChunk).forEach(doc => {
+        if (!byFile.has(doc.fileName)) {
+            byFile.set(doc.fileName, { fileName: doc.fileName, chunks: 0, processedAt: doc.processedAt });
+        }
+        const entry = byFile.get(doc.fileName);
+        entry.chunks++;
+        if (doc.processedAt < entry.processedAt) entry.processedAt = doc.processedAt;
+    });
+    
+    const resultsByIndex = new Map(workspace.results.filter(result => result.indexedAs).map(result => [result.indexedAs, result]));
+    const ingested = [...byFile.values()]
+        .map(entry => {
+            const result = resultsByIndex.get(entry.fileName);
+            return {
+                ...entry,
+                resultId: result ? result.id : null, // null for analyses ingested before results were kept
+                averageRating: result ? averageRating(result) : null,
+                ingestion: result ? result.ingestion : null
+            };
+        })
+        .sort((a, b) => b.processedAt.localeCompare(a.processedAt));
+    
+    res.json({
+        policy: {
+            generatedIngestion: workspace.ragSettings.generatedIngestion,
+            generatedMinRating: workspace.ragSettings.generatedMinRating,
+            generatedMinValidationScore: workspace.ragSettings.generatedMinValidationScore,
+            generatedWeight: workspace.ragSettings.generatedWeight
+        },
+        ingested: ingested,
+        totalChunks: ingested.reduce((sum, entry) => sum + entry.chunks, 0),
+        pending: workspace.results
+            .filter(result => result.ingestion && result.ingestion.status === 'pending')
+            .map(result => ({ ...resultSummary(result), ingestion: result.ingestion }))
+    });
+});
+
+// Admin decision on one analysis: approve ingests it, reject keeps it out
+// (removing its chunks if it was already in)
+app.post('/admin/results/:id/ingestion', async (req, res) => {
+    const workspace = req.workspace;
+    
     try {
-        console.log('Vector database re-initialized (in-memory)');
+        const { action, reason } = req.body;
+        const result = findResult(workspace, req.params.id);
+        
+        if (!result || result.kind !== 'analysis') {
+            return res.status(404).json({ success: false, error: 'Analysis not found' });
+        }
+        if (!['approve', 'reject'].includes(action)) {
+            return res.status(400).json({ success: false, error: 'action must be approve or reject' });
+        }
+        
+        const status = result.ingestion ? result.ingestion.status : null;
+        if (action === 'approve') {
+            if (status === 'ingested') {
+                return res.status(409).json({ success: false, error: `Analysis is already ingested as ${result.indexedAs}` });
+            }
+            if (!workspace.ragSettings.enabled) {
+                return res.status(400).json({ success: false, error: 'RAG is disabled for this workspace' });
+            }
+            await ingestGeneratedAnalysis(workspace, result, req.user.id, reason || 'approved by admin');
+        } else {
+            let removedChunks = 0;
+            if (result.indexedAs) {
+                removedChunks = removeGeneratedChunks(workspace, new Set([result.indexedAs]));
+                result.indexedAs = null;
+            }
+            setIngestion(result, 'rejected', req.user.id, reason || 'rejected by admin');
+            console.log(`Generated analysis ${result.id} rejected by ${req.user.id} (${removedChunks} chunks removed)`);
+        }
+        await persistState();
         
         res.json({
             success: true,
-            message: 'Vector database initialized',
-            documentCount: documentStore.length
+            resultId: result.id,
+            indexedAs: result.indexedAs,
+            ingestion: result.ingestion
         });
         
     } catch (error) {
-        console.error('Vector DB initialization error:', error);
+        console.error('Ingestion decision error:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to initialize vector database'
+            error: 'Failed to update ingestion'
         });
     }
 });
 
-// Test vector search endpoint
-app.post('/admin/test-vector-search', async (req, res) => {
+// Bulk purge of generated chunks. Needs a filter so nothing goes by
+// accident: fileNames, resultIds, before (ISO date) or all: true.
+app.post('/admin/generated-content/purge', async (req, res) => {
+    const workspace = req.workspace;
+    
     try {
-        const { query, threshold = 0.7, maxResults = 3 } = req.body;
+        const { fileNames, resultIds, before, all = false } = req.body;
         
-        if (!query) {
+        if (!all && !fileNames && !resultIds && !before) {
             return res.status(400).json({
                 success: false,
-                error: 'Query is required'
+                error: 'Provide fileNames, resultIds, before or all: true'
             });
         }
+        if ((fileNames && !Array.isArray(fileNames)) || (resultIds && !Array.isArray(resultIds))) {
+            return res.status(400).json({ success: false, error: 'fileNames and resultIds must be arrays' });
+        }
         
-        const matches = await retrieveRelevantContext(query, maxResults);
-        
-        res.json({
-            success: true,
-            query: query,
-            matches: matches.map(match => ({
-                id: match.id,
-                fileName: match.fileName,
-                content: match.content.substring(0, 200) + '...',
-                similarity: match.similarity,
-                chunkIndex: match.chunkIndex
-            })),
-            matchCount: matches.length,
-            threshold: threshold
+        const resultFiles = new Set(workspace.results
+            .filter(result => result.indexedAs && (resultIds || []).includes(result.id))
+            .map(result => result.indexedAs));
+        const targets = new Set(workspace.documentStore
+            .filter(isGeneratedChunk)
+            .filter(doc => all ||
+                (fileNames || []).includes(doc.fileName) ||
+                resultFiles.has(doc.fileName) ||
+                (before && doc.processedAt < before))
+            .map(doc => doc.fileName));
+        
+        const removedChunks = removeGeneratedChunks(workspace, targets);
+        workspace.results
+            .filter(result => result.indexedAs && targets.has(result.indexedAs))
+            .forEach(result => {
+                result.indexedAs = null;
+                setIngestion(result, 'purged', req.user.id, 'bulk purge');
+            });
+        await persistState();
+        
+        console.log(`Purged ${removedChunks} generated chunks from ${targets.size} analyses (${workspace.id})`);
+        
+        res.json({
+            success: true,
+            purgedAnalyses: targets.size,
+            purgedChunks: removedChunks,
+            remainingChunks: workspace.documentStore.length
         });
         
     } catch (error) {
-        console.error('Vector search test error:', error);
+        console.error('Generated content purge error:', error);
         res.status(500).json({
             success: false,
-            error: 'Vector search test failed'
+            error: 'Failed to purge generated content'
         });
     }
 });
 
-// Learning progress endpoint
-app.get('/admin/learning-progress', (req, res) => {
-    const progressPercent = Math.min((learningData.queryCount / learningData.targetQueries) * 100, 100);
-    
-    res.json({
-        queryCount: learningData.queryCount,
-        exampleCount: learningData.exampleCount,
-        targetQueries: learningData.targetQueries,
-        progressPercent: Math.round(progressPercent),
-        readyForFineTuning: learningData.queryCount >= learningData.targetQueries
-    });
-});
-
 // RAG statistics endpoint
-app.get('/admin/rag-stats', (req, res) => {
+app.get('/admin/rag-stats', requireRole('admin'), (req, res) => {
+    const workspace = req.workspace;
+    
     res.json({
-        totalQueries: learningData.queryCount,
-        ragMatches: systemStats.ragQueries,
-        last24hQueries: learningData.queryCount,
+        totalQueries: workspace.learningData.queryCount,
+        ragMatches: workspace.stats.ragQueries,
+        last24hQueries: workspace.learningData.queryCount,
         avgSimilarity: 'N/A',
         commonQueryType: 'Analysis requests',
-        currentMode: ragSettings.mode,
-        documentsInStore: documentStore.length,
-        learningProgress: learningData
+        currentMode: workspace.ragSettings.mode,
+        documentsInStore: workspace.documentStore.length,
+        learningProgress: {
+            queryCount: workspace.learningData.queryCount,
+            targetQueries: workspace.learningData.targetQueries
+        }
     });
 });
 
 // Upload with vectorization endpoint
-app.post('/admin/upload-training-vectorize', async (req, res) => {
+app.post('/admin/upload-training-vectorize', acceptDocumentUpload, async (req, res) => {
+    const workspace = req.workspace;
+    
     try {
-        const { trainingData, fileName, vectorize = true, ragMode } = req.body;
+        const { trainingData, fileName, source } = await resolveTrainingUpload(req);
+        // Multipart fields arrive as strings
+        const vectorize = req.body.vectorize === undefined || ![false, 'false'].includes(req.body.vectorize);
         
         if (!trainingData || !fileName) {
             return res.status(400).json({
@@ -752,17 +6061,18 @@ app.post('/admin/upload-training-vectorize', async (req, res) => {
             fileName: fileName,
             uploadedAt: new Date().toISOString(),
             category: 'training',
+            source: source,
             keywords: extractKeywords(trainingData)
         };
         
-        trainingExamples.push(trainingExample);
-        
         let processedChunks = [];
-        if (vectorize && ragSettings.enabled) {
-            processedChunks = await processDocument(trainingData, fileName, 'training');
+        if (vectorize && workspace.ragSettings.enabled) {
+            processedChunks = await processDocument(workspace, trainingData, fileName, 'training', source);
         }
         
-        learningData.exampleCount = trainingExamples.length;
+        workspace.trainingExamples.push(trainingExample);
+        workspace.learningData.exampleCount = workspace.trainingExamples.length;
+        await persistState();
         
         console.log(`Training document uploaded and vectorized: ${fileName} (${processedChunks.length} chunks)`);
         
@@ -770,12 +6080,17 @@ app.post('/admin/upload-training-vectorize', async (req, res) => {
             success: true,
             message: 'Training file uploaded and vectorized',
             fileName: fileName,
+            source: source,
             chunkCount: processedChunks.length,
-            totalExamples: trainingExamples.length
+            totalExamples: workspace.trainingExamples.length
         });
         
     } catch (error) {
         console.error('Upload and vectorization error:', error);
+        const status = extractionErrorStatus(error);
+        if (status) {
+            return res.status(status).json({ success: false, error: error.message });
+        }
         res.status(500).json({
             success: false,
             error: 'Failed to upload and vectorize training file'
@@ -784,6 +6099,8 @@ app.post('/admin/upload-training-vectorize', async (req, res) => {
 });
 
 app.get('/admin', (req, res) => {
+    const workspace = req.workspace;
+    
     res.send(`
     <!DOCTYPE html>
     <html>
@@ -793,15 +6110,16 @@ app.get('/admin', (req, res) => {
             body { font-family: Arial, sans-serif; text-align: center; padding: 50px; background: #0f172a; color: white; }
             .container { max-width: 600px; margin: 0 auto; }
             .btn { background: #3b82f6; color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; display: inline-block; margin: 10px; }
-            .rag-status { color: ${adminSettings.ragEnabled ? '#10b981' : '#ef4444'}; font-weight: bold; }
+            .rag-status { color: ${workspace.settings.ragEnabled ? '#10b981' : '#ef4444'}; font-weight: bold; }
         </style>
     </head>
     <body>
         <div class="container">
             <h1>🔧 Sagan Admin Dashboard</h1>
             <p>Enhanced backend with RAG capabilities!</p>
-            <p class="rag-status">RAG Status: ${adminSettings.ragEnabled ? 'ENABLED' : 'DISABLED'}</p>
-            <p>Documents in store: ${documentStore.length}</p>
+            <p>Workspace: ${workspace.name} (${workspace.id})</p>
+            <p class="rag-status">RAG Status: ${workspace.settings.ragEnabled ? 'ENABLED' : 'DISABLED'}</p>
+            <p>Documents in store: ${workspace.documentStore.length}</p>
             <a href="/admin/settings" class="btn">View Settings</a>
             <a href="/admin/stats" class="btn">View Stats</a>
             <a href="/admin/training-examples" class="btn">Training Data</a>
@@ -813,30 +6131,38 @@ app.get('/admin', (req, res) => {
 
 // Get current admin settings
 app.get('/admin/settings', (req, res) => {
+    const workspace = req.workspace;
+    
     res.json({
-        ...adminSettings,
-        trainingExamplesCount: trainingExamples.length,
-        documentChunksCount: documentStore.length,
+        ...workspace.settings,
+        workspace: workspace.id,
+        activePromptVersion: workspace.activePromptVersion,
+        trainingExamplesCount: workspace.trainingExamples.length,
+        documentChunksCount: workspace.documentStore.length,
         lastUpdated: new Date().toISOString()
     });
 });
 
 // Update system prompt
-app.post('/admin/update-prompt', (req, res) => {
+app.post('/admin/update-prompt', async (req, res) => {
+    const workspace = req.workspace;
+    
     try {
-        const { systemPrompt } = req.body;
+        const { systemPrompt, note } = req.body;
         
         if (!systemPrompt || typeof systemPrompt !== 'string') {
             return res.status(400).json({ error: 'Valid system prompt required' });
         }
         
-        adminSettings.systemPrompt = systemPrompt;
-        console.log('System prompt updated by admin');
+        const entry = addPromptVersion(workspace, systemPrompt, { author: req.user.name, note: note });
+        await persistState();
+        console.log(`System prompt updated by ${req.user.name} (v${entry.version})`);
         
         res.json({ 
             success: true, 
             message: 'System prompt updated successfully',
-            timestamp: new Date().toISOString()
+            version: entry.version,
+            timestamp: entry.createdAt
         });
         
     } catch (error) {
@@ -845,27 +6171,251 @@ app.post('/admin/update-prompt', (req, res) => {
     }
 });
 
+// List system prompt versions, newest first
+app.get('/admin/prompt-versions', (req, res) => {
+    const workspace = req.workspace;
+    
+    res.json({
+        activeVersion: workspace.activePromptVersion,
+        versions: [...workspace.promptVersions]
+            .reverse()
+            .map(entry => promptVersionSummary(workspace, entry))
+    });
+});
+
+// Diff two prompt versions (defaults: previous version -> active version)
+app.get('/admin/prompt-versions/diff', (req, res) => {
+    const workspace = req.workspace;
+    
+    const toVersion = req.query.to || workspace.activePromptVersion;
+    const to = findPromptVersion(workspace, toVersion);
+    const from = findPromptVersion(workspace, req.query.from || (to ? to.version - 1 : 0));
+    
+    if (!from || !to) {
+        return res.status(404).json({ error: 'Prompt version not found' });
+    }
+    
+    const changes = diffLines(from.text, to.text);
+    
+    res.json({
+        from: from.version,
+        to: to.version,
+        added: changes.filter(change => change.type === 'added').length,
+        removed: changes.filter(change => change.type === 'removed').length,
+        changes: changes,
+        unified: changes
+            .map(change => `${change.type === 'added' ? '+' : change.type === 'removed' ? '-' : ' '} ${change.line}`)
+            .join('\n')
+    });
+});
+
+app.get('/admin/prompt-versions/:version', (req, res) => {
+    const workspace = req.workspace;
+    const entry = findPromptVersion(workspace, req.params.version);
+    
+    if (!entry) {
+        return res.status(404).json({ error: 'Prompt version not found' });
+    }
+    
+    res.json({ ...promptVersionSummary(workspace, entry), text: entry.text });
+});
+
+// Roll back by re-activating an earlier version's text as a new version
+app.post('/admin/prompt-versions/:version/rollback', async (req, res) => {
+    const workspace = req.workspace;
+    
+    try {
+        const target = findPromptVersion(workspace, req.params.version);
+        
+        if (!target) {
+            return res.status(404).json({ error: 'Prompt version not found' });
+        }
+        
+        const entry = addPromptVersion(workspace, target.text, {
+            author: req.user.name,
+            note: req.body.note || `Rollback to v${target.version}`,
+            rolledBackFrom: target.version
+        });
+        await persistState();
+        
+        console.log(`System prompt rolled back to v${target.version} by ${req.user.name} (now v${entry.version})`);
+        
+        res.json({
+            success: true,
+            message: `System prompt rolled back to version ${target.version}`,
+            version: entry.version,
+            rolledBackFrom: target.version
+        });
+        
+    } catch (error) {
+        console.error('Prompt rollback error:', error);
+        res.status(500).json({ error: 'Failed to roll back system prompt' });
+    }
+});
+
+// List analysis templates with their full prompts and budgets
+app.get('/admin/templates', (req, res) => {
+    const workspace = req.workspace;
+    
+    res.json({
+        defaultTemplate: DEFAULT_TEMPLATE_ID,
+        templates: Object.values(workspace.analysisTemplates)
+    });
+});
+
+app.get('/admin/templates/:id', (req, res) => {
+    const template = findTemplate(req.workspace, req.params.id);
+    
+    if (!template) {
+        return res.status(404).json({ error: 'Analysis template not found' });
+    }
+    
+    res.json(template);
+});
+
+// Create or update an analysis template
+app.post('/admin/templates', async (req, res) => {
+    const workspace = req.workspace;
+    
+    try {
+        const { id, systemPrompt, maxTokens, temperature, outputSections } = req.body;
+        
+        if (!id || !/^[a-z0-9][a-z0-9_-]{0,63}$/.test(id)) {
+            return res.status(400).json({ error: 'Template id must be lowercase letters, digits, "-" or "_"' });
+        }
+        
+        const existing = findTemplate(workspace, id);
+        if (!existing && (!systemPrompt || typeof systemPrompt !== 'string')) {
+            return res.status(400).json({ error: 'New templates require a system prompt' });
+        }
+        
+        if (outputSections !== undefined && !Array.isArray(outputSections)) {
+            return res.status(400).json({ error: 'outputSections must be an array of section titles' });
+        }
+        
+        if (maxTokens !== undefined && maxTokens !== null && !(parseInt(maxTokens) > 0)) {
+            return res.status(400).json({ error: 'maxTokens must be a positive number' });
+        }
+        
+        if (temperature !== undefined && temperature !== null && !(parseFloat(temperature) >= 0 && parseFloat(temperature) <= 1)) {
+            return res.status(400).json({ error: 'temperature must be a number between 0 and 1' });
+        }
+        
+        const template = createTemplate({
+            ...(existing || {}),
+            ...req.body,
+            version: existing ? existing.version + 1 : 1
+        }, req.user.name);
+        
+        workspace.analysisTemplates[id] = template;
+        await persistState();
+        
+        console.log(`Analysis template ${existing ? 'updated' : 'created'}: ${id} (v${template.version}) by ${req.user.name}`);
+        
+        res.json({ success: true, template: template });
+        
+    } catch (error) {
+        console.error('Save template error:', error);
+        res.status(500).json({ error: 'Failed to save analysis template' });
+    }
+});
+
+app.delete('/admin/templates/:id', async (req, res) => {
+    const workspace = req.workspace;
+    
+    try {
+        const template = findTemplate(workspace, req.params.id);
+        
+        if (!template) {
+            return res.status(404).json({ error: 'Analysis template not found' });
+        }
+        
+        if (template.builtIn) {
+            return res.status(400).json({ error: 'Built-in templates can be edited but not deleted' });
+        }
+        
+        delete workspace.analysisTemplates[template.id];
+        await persistState();
+        
+        res.json({ success: true, message: 'Analysis template deleted', deletedTemplate: template.id });
+        
+    } catch (error) {
+        console.error('Delete template error:', error);
+        res.status(500).json({ error: 'Failed to delete analysis template' });
+    }
+});
+
 // Update API settings
-app.post('/admin/update-api-settings', (req, res) => {
+app.post('/admin/update-api-settings', async (req, res) => {
+    const workspace = req.workspace;
+    
     try {
-        const { claudeModel, maxTokens, temperature, ragEnabled, similarityThreshold, maxTrainingExamples } = req.body;
+        const { completionProvider, embeddingProvider, embeddingModel, claudeModel, fallbackModel, retryMaxAttempts, retryBaseDelayMs, retryMaxDelayMs, requestTimeoutMs, contextWindowTokens, budgetDailyUsd, budgetMonthlyUsd, userBudgetMonthlyUsd, fineTunedModel, maxTokens, temperature, ragEnabled, similarityThreshold, maxTrainingExamples, chatMaxTokens, chatTemperature, chatHistoryTokenBudget } = req.body;
+        
+        if (completionProvider && !COMPLETION_PROVIDERS.includes(completionProvider)) {
+            return res.status(400).json({ error: `Unknown completion provider: ${completionProvider}`, availableProviders: COMPLETION_PROVIDERS });
+        }
+        if (embeddingProvider && !EMBEDDING_PROVIDERS.includes(embeddingProvider)) {
+            return res.status(400).json({ error: `Unknown embedding provider: ${embeddingProvider}`, availableProviders: EMBEDDING_PROVIDERS });
+        }
+        
+        // Stored as NaN these would stop every attempt or timer from running
+        const resilienceMinimums = { retryMaxAttempts: 1, retryBaseDelayMs: 0, retryMaxDelayMs: 0, requestTimeoutMs: 1 };
+        const invalidSetting = Object.keys(resilienceMinimums).find(name => {
+            const value = req.body[name];
+            return value !== undefined &&
+                (value === null || value === '' || !Number.isInteger(Number(value)) || Number(value) < resilienceMinimums[name]);
+        });
+        if (invalidSetting) {
+            return res.status(400).json({ error: `${invalidSetting} must be a whole number of at least ${resilienceMinimums[invalidSetting]}` });
+        }
+        if (ragEnabled !== undefined && typeof ragEnabled !== 'boolean') {
+            return res.status(400).json({ error: 'ragEnabled must be true or false' });
+        }
         
-        if (claudeModel) adminSettings.claudeModel = claudeModel;
-        if (maxTokens) adminSettings.maxTokens = parseInt(maxTokens);
-        if (temperature !== undefined) adminSettings.temperature = parseFloat(temperature);
-        if (ragEnabled !== undefined) adminSettings.ragEnabled = ragEnabled;
-        if (similarityThreshold) adminSettings.similarityThreshold = parseFloat(similarityThreshold);
-        if (maxTrainingExamples) adminSettings.maxTrainingExamples = parseInt(maxTrainingExamples);
+        if (completionProvider) workspace.settings.completionProvider = completionProvider;
+        if (embeddingProvider) workspace.settings.embeddingProvider = embeddingProvider;
+        if (embeddingModel) workspace.settings.embeddingModel = embeddingModel;
+        if (claudeModel) workspace.settings.claudeModel = claudeModel;
+        if (fallbackModel !== undefined) workspace.settings.fallbackModel = fallbackModel || null;
+        if (retryMaxAttempts !== undefined) workspace.settings.retryMaxAttempts = Number(retryMaxAttempts);
+        if (retryBaseDelayMs !== undefined) workspace.settings.retryBaseDelayMs = Number(retryBaseDelayMs);
+        if (retryMaxDelayMs !== undefined) workspace.settings.retryMaxDelayMs = Number(retryMaxDelayMs);
+        if (requestTimeoutMs !== undefined) workspace.settings.requestTimeoutMs = Number(requestTimeoutMs);
+        if (contextWindowTokens !== undefined) workspace.settings.contextWindowTokens = parseInt(contextWindowTokens) || null;
+        if (budgetDailyUsd !== undefined) workspace.settings.budgetDailyUsd = budgetDailyUsd === null || budgetDailyUsd === '' ? null : parseFloat(budgetDailyUsd);
+        if (budgetMonthlyUsd !== undefined) workspace.settings.budgetMonthlyUsd = budgetMonthlyUsd === null || budgetMonthlyUsd === '' ? null : parseFloat(budgetMonthlyUsd);
+        if (userBudgetMonthlyUsd !== undefined) workspace.settings.userBudgetMonthlyUsd = userBudgetMonthlyUsd === null || userBudgetMonthlyUsd === '' ? null : parseFloat(userBudgetMonthlyUsd);
+        if (fineTunedModel !== undefined) workspace.settings.fineTunedModel = fineTunedModel || null;
+        if (maxTokens) workspace.settings.maxTokens = parseInt(maxTokens);
+        if (temperature !== undefined) workspace.settings.temperature = parseFloat(temperature);
+        // The ingestion gate and purge read ragSettings.enabled; keep it in step
+        // with the legacy flag, as POST /admin/rag-settings does
+        if (ragEnabled !== undefined) {
+            workspace.settings.ragEnabled = ragEnabled;
+            workspace.ragSettings.enabled = ragEnabled;
+        }
+        if (similarityThreshold) workspace.settings.similarityThreshold = parseFloat(similarityThreshold);
+        if (maxTrainingExamples) workspace.settings.maxTrainingExamples = parseInt(maxTrainingExamples);
+        if (chatMaxTokens) workspace.settings.chatMaxTokens = parseInt(chatMaxTokens);
+        if (chatTemperature !== undefined) workspace.settings.chatTemperature = parseFloat(chatTemperature);
+        if (chatHistoryTokenBudget) workspace.settings.chatHistoryTokenBudget = parseInt(chatHistoryTokenBudget);
+        await persistState();
         
         console.log('API settings updated by admin', {
-            ragEnabled: adminSettings.ragEnabled,
-            model: adminSettings.claudeModel
+            ragEnabled: workspace.settings.ragEnabled,
+            provider: workspace.settings.completionProvider,
+            model: workspace.settings.claudeModel,
+            embeddingProvider: workspace.settings.embeddingProvider
         });
         
         res.json({ 
             success: true, 
             message: 'API settings updated successfully',
-            settings: adminSettings
+            settings: workspace.settings,
+            providers: providerStatus(),
+            // Vectors from different models aren't comparable; POST /admin/re-embed migrates the store
+            reembedRequired: workspace.documentStore.some(doc => doc.embeddingModel !== targetEmbeddingModel(workspace))
         });
         
     } catch (error) {
@@ -875,9 +6425,12 @@ app.post('/admin/update-api-settings', (req, res) => {
 });
 
 // Enhanced training upload with RAG support
-app.post('/admin/upload-training', async (req, res) => {
+app.post('/admin/upload-training', acceptDocumentUpload, async (req, res) => {
+    const workspace = req.workspace;
+    
     try {
-        const { trainingData, fileName, category = 'training' } = req.body;
+        const { trainingData, fileName, source } = await resolveTrainingUpload(req);
+        const category = req.body.category || 'training';
         
         if (!trainingData || !fileName) {
             return res.status(400).json({ error: 'Training data and filename required' });
@@ -889,72 +6442,90 @@ app.post('/admin/upload-training', async (req, res) => {
             fileName: fileName,
             uploadedAt: new Date().toISOString(),
             category: category,
+            source: source,
             keywords: extractKeywords(trainingData)
         };
         
-        trainingExamples.push(trainingExample);
-        
-        // Process for RAG if enabled
+        // Process for RAG if enabled; an embedding failure keeps the example out too
         let processedChunks = [];
-        if (adminSettings.ragEnabled) {
-            processedChunks = await processDocument(trainingData, fileName, category);
+        if (workspace.settings.ragEnabled) {
+            processedChunks = await processDocument(workspace, trainingData, fileName, category, source);
         }
         
-        console.log(`Training document uploaded: ${fileName} ${adminSettings.ragEnabled ? `(${processedChunks.length} chunks processed)` : ''}`);
+        workspace.trainingExamples.push(trainingExample);
+        workspace.learningData.exampleCount = workspace.trainingExamples.length;
+        await persistState();
+        
+        console.log(`Training document uploaded: ${fileName} ${workspace.settings.ragEnabled ? `(${processedChunks.length} chunks processed)` : ''}`);
         
         res.json({ 
             success: true, 
             message: 'Training data uploaded successfully',
-            totalExamples: trainingExamples.length,
+            fileName: fileName,
+            source: source,
+            totalExamples: workspace.trainingExamples.length,
             chunksProcessed: processedChunks.length,
-            ragEnabled: adminSettings.ragEnabled
+            ragEnabled: workspace.settings.ragEnabled
         });
         
     } catch (error) {
         console.error('Upload training error:', error);
+        const status = extractionErrorStatus(error);
+        if (status) {
+            return res.status(status).json({ error: error.message });
+        }
         res.status(500).json({ error: 'Failed to upload training data' });
     }
 });
 
 // Get training examples
 app.get('/admin/training-examples', (req, res) => {
+    const workspace = req.workspace;
+    
     res.json({
-        examples: trainingExamples.map((ex, index) => ({
+        examples: workspace.trainingExamples.map((ex, index) => ({
             index: index,
             fileName: ex.fileName,
             uploadedAt: ex.uploadedAt,
             category: ex.category || 'general',
+            source: ex.source || {},
             keywords: ex.keywords || [],
             contentPreview: ex.content.substring(0, 200) + '...'
         })),
-        totalCount: trainingExamples.length,
-        documentChunks: documentStore.length,
-        ragEnabled: adminSettings.ragEnabled
+        totalCount: workspace.trainingExamples.length,
+        documentChunks: workspace.documentStore.length,
+        ragEnabled: workspace.settings.ragEnabled
     });
 });
 
 // Delete training example
-app.delete('/admin/training-examples/:index', (req, res) => {
+app.delete('/admin/training-examples/:index', async (req, res) => {
+    const workspace = req.workspace;
+    
     try {
         const index = parseInt(req.params.index);
         
-        if (index < 0 || index >= trainingExamples.length) {
+        if (index < 0 || index >= workspace.trainingExamples.length) {
             return res.status(404).json({ error: 'Training example not found' });
         }
         
-        const removed = trainingExamples.splice(index, 1)[0];
+        const removed = workspace.trainingExamples.splice(index, 1)[0];
         
         // Remove associated document chunks from RAG store
-        const originalLength = documentStore.length;
-        documentStore = documentStore.filter(doc => doc.fileName !== removed.fileName);
-        const removedChunks = originalLength - documentStore.length;
+        const originalLength = workspace.documentStore.length;
+        unindexChunks(workspace, workspace.documentStore.filter(doc => doc.fileName === removed.fileName));
+        workspace.documentStore = workspace.documentStore.filter(doc => doc.fileName !== removed.fileName);
+        const removedChunks = originalLength - workspace.documentStore.length;
+        
+        workspace.learningData.exampleCount = workspace.trainingExamples.length;
+        await persistState();
         
         res.json({ 
             success: true, 
             message: 'Training example deleted',
             deletedFile: removed.fileName,
             removedChunks: removedChunks,
-            remainingCount: trainingExamples.length
+            remainingCount: workspace.trainingExamples.length
         });
         
     } catch (error) {
@@ -964,14 +6535,19 @@ app.delete('/admin/training-examples/:index', (req, res) => {
 });
 
 // Clear all training data
-app.post('/admin/clear-training', (req, res) => {
+app.post('/admin/clear-training', async (req, res) => {
+    const workspace = req.workspace;
+    
     try {
-        const previousCount = trainingExamples.length;
-        const previousChunks = documentStore.length;
+        const previousCount = workspace.trainingExamples.length;
+        const previousChunks = workspace.documentStore.length;
         
-        trainingExamples = [];
-        documentStore = [];
-        conversationMemory = [];
+        workspace.trainingExamples = [];
+        workspace.documentStore = [];
+        workspace.conversationMemory = [];
+        rebuildVectorIndex(workspace);
+        workspace.learningData.exampleCount = 0;
+        await persistState();
         
         console.log('All training data cleared by admin');
         
@@ -988,33 +6564,340 @@ app.post('/admin/clear-training', (req, res) => {
     }
 });
 
+// List the workspaces the caller can access
+app.get('/admin/workspaces', (req, res) => {
+    res.json({
+        workspaces: Object.values(workspaces)
+            .filter(workspace => canAccessWorkspace(req.user, workspace.id))
+            .map(workspace => ({
+                id: workspace.id,
+                name: workspace.name,
+                createdAt: workspace.createdAt,
+                model: workspace.settings.claudeModel,
+                trainingExamples: workspace.trainingExamples.length,
+                documentChunks: workspace.documentStore.length,
+                totalAnalyses: workspace.stats.totalAnalyses
+            }))
+    });
+});
+
+// Create a workspace, optionally copying prompt and model settings from another
+app.post('/admin/workspaces', requireRole('admin'), async (req, res) => {
+    try {
+        const { id, name, copySettingsFrom } = req.body;
+        
+        if (!hasGlobalAccess(req.user)) {
+            return res.status(403).json({ error: 'Only admins with access to all workspaces can create workspaces' });
+        }
+        
+        if (!id || !/^[a-z0-9][a-z0-9_-]{0,63}$/.test(id)) {
+            return res.status(400).json({ error: 'Workspace id must be lowercase letters, digits, "-" or "_"' });
+        }
+        
+        if (findWorkspace(id)) {
+            return res.status(409).json({ error: `Workspace already exists: ${id}` });
+        }
+        
+        const source = copySettingsFrom && findWorkspace(copySettingsFrom);
+        if (copySettingsFrom && !source) {
+            return res.status(404).json({ error: `Workspace not found: ${copySettingsFrom}` });
+        }
+        
+        const workspace = createWorkspace(id, name, source ? source.settings : {});
+        workspaces[id] = workspace;
+        await persistState();
+        
+        console.log(`Workspace created: ${id} by ${req.user.name}`);
+        
+        res.json({ success: true, workspace: { id: workspace.id, name: workspace.name, createdAt: workspace.createdAt } });
+        
+    } catch (error) {
+        console.error('Create workspace error:', error);
+        res.status(500).json({ error: 'Failed to create workspace' });
+    }
+});
+
+app.delete('/admin/workspaces/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const workspace = findWorkspace(req.params.id);
+        
+        if (!hasGlobalAccess(req.user)) {
+            return res.status(403).json({ error: 'Only admins with access to all workspaces can delete workspaces' });
+        }
+        
+        if (!workspace) {
+            return res.status(404).json({ error: `Workspace not found: ${req.params.id}` });
+        }
+        
+        if (workspace.id === DEFAULT_WORKSPACE_ID) {
+            return res.status(400).json({ error: 'The default workspace cannot be deleted' });
+        }
+        
+        delete workspaces[workspace.id];
+        vectorIndexes.delete(workspace.id);
+        lexicalIndexes.delete(workspace.id);
+        const cancelledJobs = discardWorkspaceJobs(workspace.id);
+        
+        const reembedRun = reembedRuns.get(workspace.id);
+        if (reembedRun && reembedRun.status === 'running') reembedRun.status = 'cancelled';
+        reembedRuns.delete(workspace.id);
+        
+        // Issued tokens lose the workspace; tokens left with none are revoked
+        apiTokens.forEach(entry => {
+            if (entry.workspaces) entry.workspaces = entry.workspaces.filter(id => id !== workspace.id);
+        });
+        const revokedTokens = apiTokens.filter(entry => entry.workspaces && entry.workspaces.length === 0);
+        apiTokens = apiTokens.filter(entry => !revokedTokens.includes(entry));
+        
+        await persistState();
+        
+        console.log(`Workspace deleted: ${workspace.id} by ${req.user.name} (${revokedTokens.length} tokens revoked, ${cancelledJobs} jobs cancelled)`);
+        
+        res.json({
+            success: true,
+            message: 'Workspace deleted',
+            deletedWorkspace: workspace.id,
+            removedChunks: workspace.documentStore.length,
+            removedExamples: workspace.trainingExamples.length,
+            revokedTokens: revokedTokens.map(entry => entry.id),
+            cancelledJobs: cancelledJobs
+        });
+        
+    } catch (error) {
+        console.error('Delete workspace error:', error);
+        res.status(500).json({ error: 'Failed to delete workspace' });
+    }
+});
+
+// List API tokens (hashes are never returned)
+app.get('/admin/tokens', requireRole('admin'), (req, res) => {
+    res.json({
+        tokens: [...environmentTokens, ...apiTokens].filter(entry => canManageToken(req.user, entry)).map(entry => ({
+            id: entry.id,
+            user: entry.user,
+            role: entry.role,
+            workspaces: entry.workspaces || [ALL_WORKSPACES],
+            source: entry.source || 'admin',
+            createdAt: entry.createdAt,
+            lastUsedAt: entry.lastUsedAt
+        })),
+        authDisabled: AUTH_DISABLED
+    });
+});
+
+// Issue a new API token; the plaintext token is only shown once
+app.post('/admin/tokens', async (req, res) => {
+    try {
+        const { user, role = 'analyst', workspaces: tokenWorkspaces = [req.workspace.id] } = req.body;
+        
+        if (!user || !ROLES.includes(role)) {
+            return res.status(400).json({ error: `User and a role (${ROLES.join(', ')}) are required` });
+        }
+        
+        if (!Array.isArray(tokenWorkspaces) || tokenWorkspaces.length === 0 ||
+            !tokenWorkspaces.every(id => typeof id === 'string' && id)) {
+            return res.status(400).json({ error: `workspaces must be a non-empty array of workspace ids (or "${ALL_WORKSPACES}")` });
+        }
+        
+        // Admins can only grant access to workspaces they can reach themselves
+        const unknownWorkspace = tokenWorkspaces.find(id => id !== ALL_WORKSPACES && !findWorkspace(id));
+        if (unknownWorkspace) {
+            return res.status(400).json({ error: `Workspace not found: ${unknownWorkspace}` });
+        }
+        if (!tokenWorkspaces.every(id => id === ALL_WORKSPACES ? hasGlobalAccess(req.user) : canAccessWorkspace(req.user, id))) {
+            return res.status(403).json({ error: 'Cannot grant access to workspaces outside your own' });
+        }
+        
+        const token = `sagan_${crypto.randomBytes(24).toString('hex')}`;
+        const entry = {
+            id: crypto.randomUUID(),
+            user: user,
+            role: role,
+            workspaces: tokenWorkspaces,
+            tokenHash: hashToken(token),
+            createdAt: new Date().toISOString(),
+            createdBy: req.user.name
+        };
+        
+        apiTokens.push(entry);
+        await persistState();
+        
+        console.log(`API token issued for ${user} (${role}, ${tokenWorkspaces.join('|')}) by ${req.user.name}`);
+        
+        res.json({ success: true, id: entry.id, user: user, role: role, workspaces: tokenWorkspaces, token: token });
+        
+    } catch (error) {
+        console.error('Issue token error:', error);
+        res.status(500).json({ error: 'Failed to issue API token' });
+    }
+});
+
+app.delete('/admin/tokens/:id', async (req, res) => {
+    try {
+        const entry = apiTokens.find(candidate => candidate.id === req.params.id);
+        
+        if (!entry || !canManageToken(req.user, entry)) {
+            return res.status(404).json({ error: 'Token not found (environment tokens cannot be revoked here)' });
+        }
+        
+        apiTokens = apiTokens.filter(candidate => candidate.id !== entry.id);
+        await persistState();
+        
+        console.log(`API token for ${entry.user} revoked by ${req.user.name}`);
+        
+        res.json({ success: true, message: 'Token revoked', revokedId: entry.id });
+        
+    } catch (error) {
+        console.error('Revoke token error:', error);
+        res.status(500).json({ error: 'Failed to revoke API token' });
+    }
+});
+
+// Token usage and cost, grouped by any of day, workspace, user, endpoint,
+// kind, provider and model. format=csv downloads the same rows for finance;
+// allWorkspaces=true (global admins) reports across every workspace.
+app.get('/admin/usage', requireRole('admin'), (req, res) => {
+    const workspace = req.workspace;
+    
+    try {
+        const today = new Date().toISOString().slice(0, 10);
+        const { from = `${today.slice(0, 7)}-01`, to = today, format, allWorkspaces } = req.query;
+        const groupBy = (req.query.groupBy || 'day').split(',').map(field => field.trim()).filter(Boolean);
+        
+        const unknownFields = groupBy.filter(field => !USAGE_GROUP_FIELDS[field]);
+        if (unknownFields.length > 0) {
+            return res.status(400).json({ error: `Unknown groupBy field: ${unknownFields.join(', ')}`, availableFields: Object.keys(USAGE_GROUP_FIELDS) });
+        }
+        if (allWorkspaces === 'true' && !hasGlobalAccess(req.user)) {
+            return res.status(403).json({ error: 'Only global admins can report across workspaces' });
+        }
+        
+        const scope = allWorkspaces === 'true' ? Object.values(workspaces) : [workspace];
+        const rows = scope
+            .flatMap(candidate => candidate.usage.map(row => ({ ...row, workspace: candidate.id })))
+            .filter(row => row.day >= from && row.day <= to);
+        const grouped = aggregateUsage(rows, groupBy);
+        
+        if (format === 'csv') {
+            const columns = [...groupBy, 'calls', 'inputTokens', 'outputTokens', 'cost'];
+            const csv = [columns.join(','), ...grouped.map(row => columns.map(column => csvCell(row[column])).join(','))].join('\n');
+            res.setHeader('Content-Type', 'text/csv');
+            res.setHeader('Content-Disposition', `attachment; filename="usage-${allWorkspaces === 'true' ? 'all' : workspace.id}-${from}-${to}.csv"`);
+            return res.send(csv + '\n');
+        }
+        
+        const totals = sumUsage(rows);
+        res.json({
+            workspace: allWorkspaces === 'true' ? ALL_WORKSPACES : workspace.id,
+            from: from,
+            to: to,
+            groupBy: groupBy,
+            totals: { ...totals, cost: Number(totals.cost.toFixed(6)) },
+            unpricedModels: [...new Set(rows.filter(row => !row.priced).map(row => row.model))],
+            rows: grouped,
+            budget: allWorkspaces === 'true' ? null : budgetStatus(workspace, req.user.id)
+        });
+        
+    } catch (error) {
+        console.error('Usage report error:', error);
+        res.status(500).json({ error: 'Failed to build usage report' });
+    }
+});
+
+// Price table (USD per million tokens, keyed by model-name prefix)
+app.get('/admin/usage/prices', (req, res) => {
+    res.json({ prices: modelPrices, unit: 'USD per 1M tokens' });
+});
+
+// Merge prices into the table; a null entry removes that model
+app.post('/admin/usage/prices', async (req, res) => {
+    try {
+        const { prices } = req.body;
+        
+        if (!hasGlobalAccess(req.user)) {
+            return res.status(403).json({ error: 'Only global admins can change prices' });
+        }
+        if (!prices || typeof prices !== 'object' || Array.isArray(prices)) {
+            return res.status(400).json({ error: 'prices must map model prefixes to { input, output }' });
+        }
+        
+        // Validate every entry before applying any, so a bad one changes nothing
+        const isPrice = value => value !== null && value !== '' && typeof value !== 'boolean' &&
+            Number.isFinite(Number(value)) && Number(value) >= 0;
+        const entries = Object.entries(prices);
+        const invalid = entries.find(([model, price]) => !model.trim() || RESERVED_PRICE_KEYS.includes(model) ||
+            (price !== null && (typeof price !== 'object' || !isPrice(price.input) || (price.output !== undefined && !isPrice(price.output)))));
+        if (invalid) {
+            return res.status(400).json({ error: `Invalid price for "${invalid[0]}": prices must be numbers of at least 0 keyed by a model prefix` });
+        }
+        
+        for (const [model, price] of entries) {
+            if (price === null) {
+                delete modelPrices[model];
+            } else {
+                modelPrices[model] = { input: Number(price.input), output: Number(price.output || 0) };
+            }
+        }
+        await persistState();
+        
+        console.log(`Model prices updated by ${req.user.id}: ${Object.keys(prices).join(', ')}`);
+        res.json({ success: true, prices: modelPrices });
+        
+    } catch (error) {
+        console.error('Update prices error:', error);
+        res.status(500).json({ error: 'Failed to update prices' });
+    }
+});
+
 // Enhanced system stats
 app.get('/admin/stats', (req, res) => {
+    const workspace = req.workspace;
+    
     const uptime = Date.now() - systemStats.startTime.getTime();
     const uptimeHours = Math.floor(uptime / (1000 * 60 * 60));
     const uptimeMinutes = Math.floor((uptime % (1000 * 60 * 60)) / (1000 * 60));
     
     res.json({
-        totalAnalyses: systemStats.totalAnalyses,
+        workspace: workspace.id,
+        totalAnalyses: workspace.stats.totalAnalyses,
         activeUsers: systemStats.activeUsers,
-        trainingExamples: trainingExamples.length,
-        documentChunks: documentStore.length,
-        ragMatches: systemStats.ragQueries,
-        learningProgressPercent: Math.round(Math.min((learningData.queryCount / learningData.targetQueries) * 100, 100)),
-        documentsProcessed: systemStats.documentsProcessed,
-        conversationMemory: conversationMemory.length,
-        ragEnabled: ragSettings.enabled,
+        trainingExamples: workspace.trainingExamples.length,
+        documentChunks: workspace.documentStore.length,
+        ragMatches: workspace.stats.ragQueries,
+        learningProgressPercent: Math.round(Math.min((workspace.learningData.queryCount / workspace.learningData.targetQueries) * 100, 100)),
+        documentsProcessed: workspace.stats.documentsProcessed,
+        conversationMemory: workspace.conversationMemory.length,
+        chatSessions: workspace.chatSessions.length,
+        ragEnabled: workspace.ragSettings.enabled,
         uptime: `${uptimeHours}h ${uptimeMinutes}m`,
         systemHealth: 'healthy',
         lastRestart: systemStats.startTime.toISOString(),
         learningProgress: {
-            queryCount: learningData.queryCount,
-            exampleCount: learningData.exampleCount,
-            targetQueries: learningData.targetQueries
+            queryCount: workspace.learningData.queryCount,
+            exampleCount: workspace.learningData.exampleCount,
+            targetQueries: workspace.learningData.targetQueries
         },
         apiKeys: {
             anthropic: !!ANTHROPIC_API_KEY,
             openai: !!OPENAI_API_KEY
+        },
+        providers: {
+            completion: workspace.settings.completionProvider,
+            embedding: workspace.settings.embeddingProvider,
+            available: providerStatus()
+        },
+        upstream: {
+            retries: workspace.stats.upstreamRetries,
+            fallbacks: workspace.stats.upstreamFallbacks,
+            timeouts: workspace.stats.upstreamTimeouts,
+            failures: workspace.stats.upstreamFailures,
+            fallbackModel: workspace.settings.fallbackModel,
+            circuitBreakers: circuitBreakerStatus()
+        },
+        budget: budgetStatus(workspace, req.user.id),
+        storage: {
+            driver: storage.name,
+            location: storage.location
         }
     });
 });
@@ -1052,13 +6935,39 @@ app.use((req, res) => {
             'GET /',
             'GET /api/health',
             'POST /api/analyze',
+            'GET /api/templates',
+            'GET /api/jobs',
+            'GET /api/jobs/:id',
+            'GET /api/jobs/:id/events',
+            'DELETE /api/jobs/:id',
             'POST /api/chat',
+            'GET /api/chat/sessions',
+            'GET /api/chat/sessions/:id',
+            'DELETE /api/chat/sessions/:id',
+            'GET /api/analyses',
+            'GET /api/analyses/:id',
+            'POST /api/analyses/:id/chat',
+            'GET /api/results/:id',
+            'POST /api/results/:id/feedback',
             'GET /admin',
             'GET /admin/settings',
             'POST /admin/update-prompt',
             'POST /admin/upload-training',
             'GET /admin/training-examples',
-            'GET /admin/stats'
+            'GET /admin/stats',
+            'POST /admin/re-embed',
+            'GET /admin/learning-queries',
+            'POST /admin/learning-queries/:id/review',
+            'GET /admin/fine-tune/export',
+            'GET /admin/feedback',
+            'POST /admin/results/:id/promote',
+            'POST /admin/results/:id/ingestion',
+            'GET /admin/generated-content',
+            'POST /admin/generated-content/purge',
+            'GET /admin/usage',
+            'GET /admin/usage/prices',
+            'GET /admin/workspaces',
+            'POST /admin/workspaces'
         ]
     });
 });
@@ -1071,33 +6980,87 @@ app.use((req, res) => {
 async function initializeSystem() {
     console.log('🔧 Initializing Sagan Dashboard...');
     
-    if (adminSettings.ragEnabled && trainingExamples.length > 0) {
-        console.log('📚 Processing existing training examples for RAG...');
-        for (const example of trainingExamples) {
-            try {
-                await processDocument(example.content, example.fileName, example.category || 'training');
-            } catch (error) {
-                console.error(`Failed to process training example: ${example.fileName}`);
+    for (const workspace of Object.values(workspaces)) {
+        // Only re-vectorize examples whose chunks are missing from the loaded store
+        const indexedFiles = new Set(workspace.documentStore.map(doc => doc.fileName));
+        const unindexedExamples = workspace.trainingExamples.filter(example => !indexedFiles.has(example.fileName));
+
+        if (workspace.settings.ragEnabled && unindexedExamples.length > 0) {
+            console.log(`📚 Processing existing training examples for RAG (${workspace.id})...`);
+            for (const example of unindexedExamples) {
+                try {
+                    await processDocument(workspace, example.content, example.fileName, example.category || 'training', example.source);
+                } catch (error) {
+                    console.error(`Failed to process training example: ${example.fileName}`);
+                }
             }
+            await persistState();
         }
     }
     
     console.log(`✅ System initialized with:`);
-    console.log(`   - RAG: ${adminSettings.ragEnabled ? 'ENABLED' : 'DISABLED'}`);
-    console.log(`   - Training examples: ${trainingExamples.length}`);
-    console.log(`   - Document chunks: ${documentStore.length}`);
+    Object.values(workspaces).forEach(workspace => {
+        console.log(`   - Workspace ${workspace.id}: RAG ${workspace.settings.ragEnabled ? 'ENABLED' : 'DISABLED'}, ${workspace.trainingExamples.length} training examples, ${workspace.documentStore.length} document chunks`);
+    });
+    console.log(`   - Storage: ${storage.name} (${storage.location})`);
+    
+    if (AUTH_DISABLED) {
+        console.warn('⚠️  AUTH_DISABLED=true: every request is treated as an admin');
+    } else if (environmentTokens.length === 0 && apiTokens.length === 0) {
+        console.warn('⚠️  No API tokens configured: set API_TOKENS (user:role:token) to allow access');
+    }
 }
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`🚀 Sagan Dashboard Backend with RAG running on port ${PORT}`);
-    console.log(`📡 Claude API Key configured: ${!!ANTHROPIC_API_KEY}`);
-    console.log(`🔍 OpenAI API Key configured: ${!!OPENAI_API_KEY}`);
-    console.log(`📚 RAG System: ${adminSettings.ragEnabled ? 'ENABLED' : 'DISABLED'}`);
-    console.log(`🌐 Health check: http://localhost:${PORT}/api/health`);
-    
-    // Initialize system after server starts
-    initializeSystem();
-});
+// Starts listening once saved state has been loaded; resolves with the
+// http.Server. Port 0 picks a free port, which the test suite relies on.
+async function startServer(port = PORT) {
+    await loadState();
+    return new Promise(resolve => {
+        const server = app.listen(port, () => {
+            const { port: boundPort } = server.address();
+            console.log(`🚀 Sagan Dashboard Backend with RAG running on port ${boundPort}`);
+            console.log(`📡 Claude API Key configured: ${!!ANTHROPIC_API_KEY}`);
+            console.log(`🔍 OpenAI API Key configured: ${!!OPENAI_API_KEY}`);
+            console.log(`🤖 Default providers: ${LLM_PROVIDER} (completion), ${EMBEDDING_PROVIDER} (embedding)`);
+            console.log(`🗂️  Workspaces: ${Object.keys(workspaces).join(', ')}`);
+            console.log(`🌐 Health check: http://localhost:${boundPort}/api/health`);
+            
+            // Initialize system after server starts
+            initializeSystem().catch(error => console.error('Initialization error:', error));
+            resolve(server);
+        });
+    });
+}
+
+if (require.main === module) {
+    startServer().catch(error => {
+        console.error('Failed to load saved state:', error);
+        process.exit(1);
+    });
+
+    // Pending debounced writes go out before the process stops
+    ['SIGTERM', 'SIGINT'].forEach(signal => process.once(signal, () => {
+        flushState()
+            .catch(() => {})
+            .then(() => process.exit(0));
+    }));
+}
 
 module.exports = app;
+module.exports.startServer = startServer;
+
+// Pure building blocks, exported for the test suite
+module.exports.internals = {
+    createFileStorage,
+    llmProviders,
+    parseSurveyFile,
+    buildSurveyDigest,
+    chunkDocument,
+    createHnswIndex,
+    createBm25Index,
+    resolveCitations,
+    factCheckAnalysis,
+    estimateTokens,
+    allocateContext,
+    scrubPii
+};
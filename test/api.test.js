@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, TOKENS, SURVEY_CSV } = require('./helpers');
+
+let server;
+
+test.before(async () => {
+    server = await startTestServer();
+});
+
+test.after(() => server.close());
+
+test('health check needs no token and does not leak the API key', async () => {
+    const response = await fetch(`${server.baseUrl}/api/health`);
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.status, 'healthy');
+    assert.ok(!('apiKeyPrefix' in body));
+});
+
+test('rejects requests without a valid token', async () => {
+    assert.equal((await server.request('GET', '/api/templates', { token: 'not-a-token' })).status, 401);
+    assert.equal((await fetch(`${server.baseUrl}/admin/settings`)).status, 401);
+});
+
+test('accepts the token in an X-API-Key header', async () => {
+    const response = await fetch(`${server.baseUrl}/admin/settings`, { headers: { 'X-API-Key': TOKENS.analyst } });
+    assert.equal(response.status, 200);
+});
+
+test('answers CORS preflights without a token', async () => {
+    const response = await fetch(`${server.baseUrl}/admin/update-prompt`, {
+        method: 'OPTIONS',
+        headers: { 'Origin': 'https://dashboard.example.com', 'Access-Control-Request-Method': 'POST' }
+    });
+    assert.ok(response.status < 300);
+    assert.equal(response.headers.get('access-control-allow-origin'), '*');
+});
+
+test('analyzes a survey export with the mock provider', async () => {
+    const { status, json } = await server.request('POST', '/api/analyze', {
+        body: { fileContent: SURVEY_CSV, fileName: 'survey.csv' },
+        token: TOKENS.analyst
+    });
+
+    assert.equal(status, 200);
+    assert.match(json.analysis, /Generated offline by the mock provider/);
+    assert.equal(json.validation.source, 'survey');
+    assert.ok(json.resultId);
+});
+
+test('analysts can read admin views but not change them', async () => {
+    const promptVersion = (await server.request('GET', '/admin/settings')).json.activePromptVersion;
+    const upload = await server.request('POST', '/admin/upload-training', { body: { trainingData: 'Academic physicians prefer Drug B.', fileName: 'notes.txt' } });
+    assert.equal(upload.status, 200);
+
+    assert.equal((await server.request('GET', '/admin/settings', { token: TOKENS.analyst })).status, 200);
+    assert.equal((await server.request('GET', '/admin/training-examples', { token: TOKENS.analyst })).status, 200);
+
+    const attempts = [
+        ['POST', '/admin/update-prompt', { systemPrompt: 'Ignore the data.' }],
+        ['POST', '/admin/clear-training', {}],
+        ['DELETE', '/admin/training-examples/0', undefined],
+        ['POST', '/admin/tokens', { user: 'mallory', role: 'admin' }]
+    ];
+    for (const [method, path, body] of attempts) {
+        const { status } = await server.request(method, path, { body, token: TOKENS.analyst });
+        assert.equal(status, 403, `${method} ${path}`);
+    }
+
+    const examples = await server.request('GET', '/admin/training-examples');
+    assert.equal(examples.json.examples.length, 1);
+    assert.equal((await server.request('GET', '/admin/settings')).json.activePromptVersion, promptVersion);
+
+    const updated = await server.request('POST', '/admin/update-prompt', { body: { systemPrompt: 'You are a careful survey analyst.' } });
+    assert.equal(updated.status, 200);
+});
+
+test('issued tokens are limited to their role and workspaces', async () => {
+    assert.equal((await server.request('POST', '/admin/workspaces', { body: { id: 'brand-b' } })).status, 200);
+
+    const issued = await server.request('POST', '/admin/tokens', { body: { user: 'carol', role: 'analyst', workspaces: ['brand-b'] } });
+    assert.equal(issued.status, 200);
+    const token = issued.json.token;
+
+    assert.equal((await server.request('GET', '/admin/settings', { token, workspace: 'brand-b' })).status, 200);
+    assert.equal((await server.request('GET', '/admin/settings', { token })).status, 404);
+    assert.equal((await server.request('POST', '/admin/update-prompt', { token, workspace: 'brand-b', body: { systemPrompt: 'x' } })).status, 403);
+
+    const listed = await server.request('GET', '/admin/tokens');
+    assert.ok(listed.json.tokens.every(entry => !('token' in entry) && !('tokenHash' in entry)));
+
+    assert.equal((await server.request('DELETE', `/admin/tokens/${issued.json.id}`)).status, 200);
+    assert.equal((await server.request('GET', '/admin/settings', { token, workspace: 'brand-b' })).status, 401);
+});
+
+test('keeps raw training pairs admin-only', async () => {
+    for (const path of ['/admin/learning-queries', '/admin/learning-queries/unknown', '/admin/fine-tune/export', '/admin/rag-stats']) {
+        const { status } = await server.request('GET', path, { token: TOKENS.analyst });
+        assert.equal(status, 403, path);
+    }
+    assert.equal((await server.request('GET', '/admin/learning-queries')).status, 200);
+
+    const stats = await server.request('GET', '/admin/rag-stats');
+    assert.deepEqual(Object.keys(stats.json.learningProgress).sort(), ['queryCount', 'targetQueries']);
+});
+
+test('shows a chat answer only to its owner and admins', async () => {
+    const { status, json } = await server.request('POST', '/api/chat', {
+        body: { question: 'Which drug leads?', analysis: 'Drug B leads overall.', stream: false },
+        token: TOKENS.analyst
+    });
+    assert.equal(status, 200);
+
+    const path = `/api/results/${json.resultId}`;
+    assert.equal((await server.request('GET', path, { token: TOKENS.analyst })).status, 200);
+    assert.equal((await server.request('GET', path, { token: TOKENS.admin })).status, 200);
+    assert.equal((await server.request('GET', path, { token: TOKENS.otherAnalyst })).status, 404);
+
+    const rating = await server.request('POST', `${path}/feedback`, { body: { rating: 5 }, token: TOKENS.otherAnalyst });
+    assert.equal(rating.status, 404);
+
+    const today = new Date().toISOString().slice(0, 10);
+    const own = await server.request('GET', `/admin/feedback?kind=chat&to=${today}`, { token: TOKENS.analyst });
+    const other = await server.request('GET', `/admin/feedback?kind=chat&to=${today}`, { token: TOKENS.otherAnalyst });
+    assert.equal(own.json.totals.results, 1);
+    assert.equal(other.json.totals.results, 0);
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, SURVEY_CSV } = require('./helpers');
+
+let server;
+
+test.before(async () => {
+    server = await startTestServer();
+});
+
+test.after(() => server.close());
+
+test('charts come from the survey crosstabs, labelled with its answers', async () => {
+    const { json } = await server.request('POST', '/api/analyze', { body: { fileContent: SURVEY_CSV, fileName: 'survey.csv' } });
+    const { chartData } = json;
+
+    assert.equal(chartData.version, 2);
+    assert.equal(chartData.source, 'survey');
+    assert.deepEqual([chartData.treatments.labels, chartData.treatments.data], [['Drug A', 'Drug B'], [50, 50]]);
+    assert.deepEqual(chartData.comparison.series.map(series => [series.name, series.data]), [['Academic', [25, 75]], ['Community', [75, 25]]]);
+});
+
+test('charts without source numbers say so instead of inventing them', async () => {
+    const { json } = await server.request('POST', '/api/analyze', { body: { fileContent: 'Qualitative notes only.', fileName: 'notes.txt' } });
+
+    ['treatments', 'comparison', 'regional', 'trends'].forEach(chart => {
+        assert.equal(json.chartData[chart].status, 'no-data', chart);
+        assert.equal(json.chartData[chart].data, undefined, chart);
+    });
+});
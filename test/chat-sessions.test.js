@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, TOKENS } = require('./helpers');
+
+let server;
+
+test.before(async () => {
+    server = await startTestServer();
+});
+
+test.after(() => server.close());
+
+function chat(body, token) {
+    return server.request('POST', '/api/chat', { body, token });
+}
+
+test('rejects a missing or non-string question', async () => {
+    for (const question of [undefined, '', '   ', 42, { text: 'hi' }]) {
+        const { status } = await chat({ question, analysis: 'Drug B leads.' });
+        assert.equal(status, 400, JSON.stringify(question));
+    }
+});
+
+test('a session keeps its turns and sends them with the next question', async () => {
+    const first = await chat({ question: 'Which drug leads?', analysis: 'Drug B leads overall.' });
+    assert.equal(first.status, 200);
+    assert.match(first.json.response, /across 1 message\(s\)/);
+
+    const second = await chat({ question: 'And among academics?', sessionId: first.json.sessionId });
+    assert.equal(second.json.sessionId, first.json.sessionId);
+    assert.equal(second.json.turnCount, 4);
+    assert.match(second.json.response, /across 3 message\(s\)/);
+
+    const { json: session } = await server.request('GET', `/api/chat/sessions/${first.json.sessionId}`);
+    assert.equal(session.analysis, 'Drug B leads overall.');
+    assert.deepEqual(session.turns.map(turn => [turn.role, turn.role === 'user' ? turn.content : null]), [
+        ['user', 'Which drug leads?'], ['assistant', null], ['user', 'And among academics?'], ['assistant', null]
+    ]);
+});
+
+test('lists, hides and deletes sessions per user', async () => {
+    const { json } = await chat({ question: 'Mine?', analysis: 'Private notes.' }, TOKENS.analyst);
+
+    const own = await server.request('GET', '/api/chat/sessions', { token: TOKENS.analyst });
+    assert.ok(own.json.sessions.some(session => session.id === json.sessionId));
+    const other = await server.request('GET', '/api/chat/sessions', { token: TOKENS.otherAnalyst });
+    assert.ok(!other.json.sessions.some(session => session.id === json.sessionId));
+
+    const resumeByOther = await chat({ question: 'Peek?', sessionId: json.sessionId }, TOKENS.otherAnalyst);
+    assert.equal(resumeByOther.status, 404);
+
+    assert.equal((await server.request('DELETE', `/api/chat/sessions/${json.sessionId}`, { token: TOKENS.analyst })).status, 200);
+    assert.equal((await server.request('GET', `/api/chat/sessions/${json.sessionId}`, { token: TOKENS.analyst })).status, 404);
+});
+
+test('summarizes older turns once history exceeds its token budget', async t => {
+    await server.request('POST', '/admin/update-api-settings', { body: { chatHistoryTokenBudget: 60 } });
+    t.after(() => server.request('POST', '/admin/update-api-settings', { body: { chatHistoryTokenBudget: 4000 } }));
+
+    let sessionId;
+    for (const question of ['First question about Drug A?', 'Second question about Drug B?', 'Third question about dosing?']) {
+        const { json } = await chat(sessionId ? { question, sessionId } : { question, analysis: 'Drug B leads overall.' });
+        sessionId = json.sessionId;
+    }
+
+    // Compaction runs after the response is sent
+    let session;
+    for (let attempt = 0; attempt < 50; attempt++) {
+        session = (await server.request('GET', `/api/chat/sessions/${sessionId}`)).json;
+        if (session.summarizedTurns > 0) break;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.ok(session.summarizedTurns > 0);
+    assert.ok(session.summary);
+    assert.equal(session.turns[0].role, 'user');
+});
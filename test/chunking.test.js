@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { internals, startTestServer } = require('./helpers');
+
+const { chunkDocument, estimateTokens } = internals;
+
+test('splits at headings and records the section path and page', () => {
+    const text = [
+        '# Safety',
+        'Intro paragraph about safety.',
+        '## Adverse events',
+        'Nausea was reported by 12% of patients.',
+        '\f# Efficacy',
+        'Response rates improved.'
+    ].join('\n\n');
+
+    const chunks = chunkDocument(text);
+
+    assert.deepEqual(chunks.map(chunk => chunk.sectionPath), [['Safety'], ['Safety', 'Adverse events'], ['Efficacy']]);
+    assert.deepEqual(chunks.map(chunk => chunk.pageStart), [1, 1, 2]);
+    assert.equal(chunks[1].content, '## Adverse events\n\nNausea was reported by 12% of patients.');
+});
+
+test('leaves page numbers out of unpaginated text', () => {
+    const [chunk] = chunkDocument('# Notes\n\nOne paragraph.');
+    assert.equal(chunk.pageStart, null);
+    assert.equal(chunk.pageEnd, null);
+});
+
+test('keeps chunks within the size limit and carries an overlap forward', () => {
+    const sentences = Array.from({ length: 60 }, (_, i) => `Sentence number ${i} covers dosing and titration schedules in detail.`);
+    const chunks = chunkDocument(`# Dosing\n\n${sentences.join(' ')}`, { chunkSizeTokens: 120, chunkOverlapTokens: 20 });
+
+    assert.ok(chunks.length > 1);
+    chunks.forEach(chunk => assert.ok(estimateTokens(chunk.content) <= 120, `chunk has ${estimateTokens(chunk.content)} tokens`));
+    chunks.slice(1).forEach((chunk, index) => {
+        const previous = chunks[index].content;
+        const lastSentence = previous.slice(previous.lastIndexOf('Sentence number'));
+        assert.ok(chunk.content.startsWith(lastSentence), 'next chunk starts with the previous chunk\'s last sentence');
+    });
+    sentences.forEach(sentence => assert.ok(chunks.some(chunk => chunk.content.includes(sentence))));
+});
+
+test('keeps decimals, punctuation and tables intact', () => {
+    const table = [
+        '| Drug | Share |',
+        '| --- | --- |',
+        '| Drug A | 41.5% |',
+        '| Drug B | 38.2% |'
+    ].join('\n');
+    const chunks = chunkDocument(`# Share\n\nDrug A leads with 41.5% of prescriptions! Is that durable?\n\n${table}`, { chunkSizeTokens: 60, chunkOverlapTokens: 0 });
+
+    assert.ok(chunks.some(chunk => chunk.content.includes('Drug A leads with 41.5% of prescriptions! Is that durable?')));
+    assert.equal(chunks.filter(chunk => chunk.content.includes('| Drug')).length, 1);
+    assert.ok(chunks.some(chunk => chunk.content.includes(table)));
+});
+
+test('uploaded reports are chunked with the workspace settings and cited with their section', async t => {
+    const server = await startTestServer();
+    t.after(server.close);
+
+    assert.equal((await server.request('POST', '/admin/rag-settings', { body: { chunkSizeTokens: 20 } })).status, 400);
+    assert.equal((await server.request('POST', '/admin/rag-settings', { body: { chunkSizeTokens: 100, chunkOverlapTokens: 60 } })).status, 400);
+    await server.request('POST', '/admin/rag-settings', { body: { chunkSizeTokens: 80, chunkOverlapTokens: 10, retrievalMode: 'lexical' } });
+
+    const paragraphs = Array.from({ length: 12 }, (_, i) => `Finding ${i}: academic oncologists cite pembrolizumab survival data.`).join('\n\n');
+    const upload = await server.request('POST', '/admin/upload-training', { body: { trainingData: `# Oncology\n\n## Perceptions\n\n${paragraphs}`, fileName: 'report.md' } });
+    assert.ok(upload.json.chunksProcessed > 1, JSON.stringify(upload.json));
+
+    const { json } = await server.request('POST', '/admin/test-vector-search', { body: { query: 'pembrolizumab survival' } });
+    assert.equal(json.matches[0].sectionTitle, 'Perceptions');
+});
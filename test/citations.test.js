@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { internals, startTestServer, SURVEY_CSV } = require('./helpers');
+
+const { resolveCitations, parseSurveyFile, llmProviders } = internals;
+
+const REFERENCES = [
+    { id: 'chunk-1', fileName: 'label.pdf', title: 'Prescribing information', content: 'Dosing. Start at 5 mg daily. Nausea was the most common adverse event.', pageStart: 3, pageEnd: 3, pageUnit: 'page' }
+];
+
+test('maps valid markers to their sources and drops unknown keys', async () => {
+    const surveyData = await parseSurveyFile(SURVEY_CSV, 'survey.csv');
+    const text = 'Nausea was the most common adverse event [R1]. Academic physicians favour Drug B [T1.2, R4].';
+
+    const { text: cleaned, citations } = resolveCitations(text, REFERENCES, surveyData);
+
+    assert.equal(cleaned, 'Nausea was the most common adverse event [R1]. Academic physicians favour Drug B [T1.2].');
+    assert.deepEqual(citations.markers.map(marker => marker.marker), ['[R1]', '[T1.2]']);
+    assert.equal(citations.markers[0].sources[0].excerpt, 'Nausea was the most common adverse event.');
+    assert.equal(citations.sources.R1.pages, 'p. 3');
+    assert.equal(citations.sources['T1.2'].row.value, 'Academic');
+    assert.deepEqual(citations.invalid, [{ key: 'R4', marker: '[T1.2, R4]', reason: 'unknown reference' }]);
+    assert.deepEqual(citations.uncitedReferences, []);
+});
+
+test('removes a marker whose keys are all invalid', () => {
+    const { text, citations } = resolveCitations('Response improved [T7].', [], null);
+
+    assert.equal(text, 'Response improved.');
+    assert.equal(citations.summary.markerCount, 0);
+    assert.equal(citations.summary.invalidCitations, 1);
+});
+
+test('/api/analyze returns the citation map and fact-check for a cited answer', async t => {
+    const server = await startTestServer();
+    t.after(server.close);
+
+    // The mock never cites on its own, so script the model's answer
+    llmProviders.mock.scriptResponses('75% of academic physicians prefer Drug B [T1.2]. 75% of academic physicians prefer Drug A [T1.2]. See also [T9].');
+
+    const { status, json } = await server.request('POST', '/api/analyze', {
+        body: { fileContent: SURVEY_CSV, fileName: 'survey.csv' }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(json.analysis, '75% of academic physicians prefer Drug B [T1.2]. 75% of academic physicians prefer Drug A [T1.2]. See also.');
+    assert.equal(json.citations.summary.markerCount, 2);
+    assert.deepEqual(json.citations.invalid.map(entry => entry.key), ['T9']);
+    assert.deepEqual(json.validation.claims.map(claim => claim.status), ['supported', 'contradicted']);
+    assert.equal(json.validation.status, 'failed');
+});
+
+test('/api/analyze asks for reference markers and maps them to the retrieved chunk', async t => {
+    const server = await startTestServer();
+    t.after(server.close);
+    await server.request('POST', '/admin/rag-settings', { body: { retrievalMode: 'lexical' } });
+    await server.request('POST', '/admin/upload-training', { body: { trainingData: '# Safety\n\nNausea was the most common adverse event in academic practice.', fileName: 'label.md' } });
+
+    const complete = t.mock.method(llmProviders.mock, 'complete');
+    llmProviders.mock.scriptResponses('Nausea was the most common adverse event [R1].');
+
+    const { json } = await server.request('POST', '/api/analyze', {
+        body: { fileContent: 'Nausea was reported by academic respondents.', fileName: 'notes.txt', userPrompt: 'adverse event nausea' }
+    });
+
+    assert.match(complete.mock.calls[0].arguments[0].system, /--- Reference 1 \[R1\] \(label\.md, Safety/);
+    assert.equal(json.analysis, 'Nausea was the most common adverse event [R1].');
+    assert.equal(json.ragContext.contextSources[0].citationKey, 'R1');
+    assert.equal(json.citations.sources.R1.fileName, 'label.md');
+    assert.match(json.citations.markers[0].sources[0].excerpt, /Nausea was the most common adverse event/);
+});
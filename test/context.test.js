@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { internals, startTestServer } = require('./helpers');
+
+const { allocateContext, estimateTokens } = internals;
+
+// One estimated token per word
+const words = count => Array(count).fill('dose').join(' ');
+
+test('includes everything that fits and reports the usage', () => {
+    const { sections, report } = allocateContext({
+        contextWindow: 10000,
+        reservedForOutput: 1000,
+        fixed: { system: 'You are an analyst.' },
+        sections: [{ name: 'references', items: ['First reference.', 'Second reference.'] }]
+    });
+
+    assert.deepEqual(sections.references.map(item => item.text), ['First reference.', 'Second reference.']);
+    assert.equal(report.inputBudget, 8500);
+    assert.equal(report.sections.references.included, 2);
+    assert.equal(report.usedTokens, estimateTokens('You are an analyst.') + report.sections.references.tokens);
+});
+
+test('truncates the item that crosses the budget and drops what follows', () => {
+    const { sections, report } = allocateContext({
+        contextWindow: 2000,
+        reservedForOutput: 700,
+        fixed: { system: 'System prompt.' },
+        sections: [
+            { name: 'data', required: true, items: [words(600)] },
+            { name: 'references', items: [words(600), words(600), words(600)] }
+        ]
+    });
+
+    assert.equal(sections.data[0].text, words(600));
+    assert.equal(report.sections.references.truncated, 1);
+    assert.equal(report.sections.references.dropped, 2);
+    assert.ok(report.usedTokens <= report.inputBudget);
+});
+
+test('fails with CONTEXT_OVERFLOW when a required section cannot fit', () => {
+    assert.throws(() => allocateContext({
+        contextWindow: 1000,
+        reservedForOutput: 500,
+        fixed: { system: words(300) },
+        sections: [{ name: 'data', required: true, items: [words(600)] }]
+    }), error => error.code === 'CONTEXT_OVERFLOW' && error.contextBudget.inputBudget === 450);
+});
+
+test('analyze truncates oversized data to the context window and reports the budget', async t => {
+    const server = await startTestServer();
+    t.after(server.close);
+    await server.request('POST', '/admin/update-api-settings', { body: { contextWindowTokens: 8000, maxTokens: 2000 } });
+
+    const notes = Array.from({ length: 3000 }, (_, i) => `Respondent ${i} mentioned dosing convenience.`).join('\n');
+    const { status, json } = await server.request('POST', '/api/analyze', { body: { fileContent: notes, fileName: 'notes.txt' } });
+
+    assert.equal(status, 200);
+    const budget = json.metadata.contextBudget;
+    assert.equal(budget.contextWindow, 8000);
+    assert.ok(budget.sections.data.truncated, JSON.stringify(budget.sections.data));
+    assert.ok(budget.usedTokens <= budget.inputBudget);
+});
+
+test('analyze answers 413 when the fixed prompt alone overflows the window', async t => {
+    const server = await startTestServer();
+    t.after(server.close);
+    await server.request('POST', '/admin/update-api-settings', { body: { contextWindowTokens: 2500, maxTokens: 2000 } });
+
+    const { status, json } = await server.request('POST', '/api/analyze', { body: { fileContent: 'Drug A leads.', fileName: 'notes.txt', userPrompt: words(1000) } });
+
+    assert.equal(status, 413);
+    assert.equal(json.contextBudget.contextWindow, 2500);
+});
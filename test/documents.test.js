@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const { startTestServer, TOKENS } = require('./helpers');
+
+let server;
+
+test.before(async () => {
+    server = await startTestServer();
+    await server.request('POST', '/admin/rag-settings', { body: { retrievalMode: 'lexical' } });
+});
+
+test.after(() => server.close());
+
+async function upload(fileName, contents, route = '/admin/upload-training') {
+    const form = new FormData();
+    form.append('file', new Blob([contents]), fileName);
+    const response = await fetch(`${server.baseUrl}${route}`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${TOKENS.admin}` },
+        body: form
+    });
+    return { status: response.status, json: await response.json() };
+}
+
+async function topMatch(query) {
+    const { json } = await server.request('POST', '/admin/test-vector-search', { body: { query } });
+    return json.matches[0];
+}
+
+// A PDF with one Helvetica text line per page and byte-exact xref offsets
+function buildPdf(pageTexts, title) {
+    const pageIds = pageTexts.map((text, index) => 4 + index * 2);
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageTexts.length} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+    ];
+    pageTexts.forEach((text, index) => {
+        const stream = `BT /F1 12 Tf 72 720 Td (${text}) Tj ET`;
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents ${pageIds[index] + 1} 0 R /Resources << /Font << /F1 3 0 R >> >> >>`);
+        objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    });
+    objects.push(`<< /Title (${title}) >>`);
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+        const offset = pdf.length;
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(pdf, 'latin1');
+}
+
+function buildDocx(paragraphs, title) {
+    const zip = new JSZip();
+    zip.file('[Content_Types].xml', '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>');
+    zip.file('_rels/.rels', '<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>');
+    zip.file('word/_rels/document.xml.rels', '<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>');
+    zip.file('word/styles.xml', '<?xml version="1.0"?><w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/></w:style></w:styles>');
+    const body = paragraphs.map(({ text, heading }) =>
+        `<w:p>${heading ? '<w:pPr><w:pStyle w:val="Heading1"/></w:pPr>' : ''}<w:r><w:t>${text}</w:t></w:r></w:p>`).join('');
+    zip.file('word/document.xml', `<?xml version="1.0"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${body}</w:body></w:document>`);
+    if (title) {
+        zip.file('docProps/core.xml', `<?xml version="1.0"?><cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/"><dc:title>${title}</dc:title></cp:coreProperties>`);
+    }
+    return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+// Slides are listed in the given order but stored under reversed file names
+function buildPptx(slides) {
+    const zip = new JSZip();
+    const ns = 'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+    const fileNumber = index => slides.length - index;
+    zip.file('ppt/presentation.xml', `<?xml version="1.0"?><p:presentation ${ns}><p:sldIdLst>${slides.map((slide, index) => `<p:sldId id="${256 + index}" r:id="rId${fileNumber(index)}"/>`).join('')}</p:sldIdLst></p:presentation>`);
+    zip.file('ppt/_rels/presentation.xml.rels', `<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${slides.map((slide, index) => `<Relationship Id="rId${fileNumber(index)}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/slide" Target="slides/slide${fileNumber(index)}.xml"/>`).join('')}</Relationships>`);
+    slides.forEach(({ title, bullets }, index) => {
+        const shape = (placeholder, paragraphs) => `<p:sp><p:nvSpPr><p:cNvPr id="1" name="s"/><p:cNvSpPr/><p:nvPr>${placeholder}</p:nvPr></p:nvSpPr><p:txBody>${paragraphs.map(text => `<a:p><a:r><a:t>${text}</a:t></a:r></a:p>`).join('')}</p:txBody></p:sp>`;
+        zip.file(`ppt/slides/slide${fileNumber(index)}.xml`, `<?xml version="1.0"?><p:sld ${ns}><p:cSld><p:spTree>${shape('<p:ph type="title"/>', [title])}${shape('<p:ph idx="1"/>', bullets)}</p:spTree></p:cSld></p:sld>`);
+    });
+    return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+test('extracts PDF text page by page', async () => {
+    const pdf = buildPdf(['Methodology covers 120 oncologists.', 'Drug B leads among academic oncologists.'], 'Wave 3 Report');
+    const { status, json } = await upload('wave3.pdf', pdf);
+
+    assert.equal(status, 200, JSON.stringify(json));
+    assert.deepEqual(json.source, { fileType: 'pdf', title: 'Wave 3 Report', pageUnit: 'page', pageCount: 2 });
+
+    const match = await topMatch('academic oncologists Drug B');
+    assert.equal(match.fileName, 'wave3.pdf');
+    assert.equal(match.pages, 'pp. 1-2');
+});
+
+test('extracts Word documents with their headings', async () => {
+    const docx = await buildDocx([
+        { text: 'Payer Landscape', heading: true },
+        { text: 'Formulary restrictions slow nivolumab uptake.' }
+    ], 'Payer Summary');
+    const { status, json } = await upload('payers.docx', docx);
+
+    assert.equal(status, 200, JSON.stringify(json));
+    assert.equal(json.source.fileType, 'docx');
+    assert.equal(json.source.title, 'Payer Summary');
+
+    const match = await topMatch('formulary nivolumab');
+    assert.equal(match.sectionTitle, 'Payer Landscape');
+});
+
+test('extracts PowerPoint slides in presentation order', async () => {
+    const pptx = await buildPptx([
+        { title: 'Readout Overview', bullets: ['Message A tested best'] },
+        { title: 'Message Testing', bullets: ['Efficacy claims resonated', 'Safety claims lagged'] }
+    ]);
+    const { status, json } = await upload('readout.pptx', pptx);
+
+    assert.equal(status, 200, JSON.stringify(json));
+    assert.deepEqual(json.source, { fileType: 'pptx', title: 'Readout Overview', pageUnit: 'slide', pageCount: 2 });
+
+    const match = await topMatch('efficacy claims resonated');
+    assert.equal(match.sectionTitle, 'Message Testing');
+    assert.equal(match.pages, 'slide 2');
+});
+
+test('extracts HTML, decoding entities and keeping tables', async () => {
+    const html = '<html><head><title>KOL Notes</title><style>p { color: red; }</style></head><body><h2>Perceptions</h2><p>Dr &amp; nurse views differ &#8212; widely &#99999999;</p><table><tr><th>Segment</th><th>Share</th></tr><tr><td>Academic</td><td>41.5%</td></tr></table></body></html>';
+    const { status, json } = await upload('kol.html', html);
+
+    assert.equal(status, 200, JSON.stringify(json));
+    assert.equal(json.source.title, 'KOL Notes');
+
+    const { json: examples } = await server.request('GET', '/admin/training-examples');
+    const content = examples.examples.find(example => example.fileName === 'kol.html').contentPreview;
+    assert.match(content, /Dr & nurse views differ — widely �/);
+    assert.match(content, /\| Segment \| Share \|\n\|---\|---\|\n\| Academic \| 41\.5% \|/);
+    assert.doesNotMatch(content, /color: red/);
+});
+
+test('answers 422 for documents that cannot be read and 415 for unknown types', async () => {
+    const notPptx = new JSZip();
+    notPptx.file('hello.txt', 'not a presentation');
+    const unreadable = [
+        ['broken.pdf', 'not really a pdf'],
+        ['broken.docx', 'not a zip archive'],
+        ['broken.pptx', await notPptx.generateAsync({ type: 'nodebuffer' })],
+        ['blank.pdf', buildPdf([''], 'Scanned')],
+        ['empty.md', '   \n\n  ']
+    ];
+    for (const [fileName, contents] of unreadable) {
+        const { status, json } = await upload(fileName, contents);
+        assert.equal(status, 422, `${fileName}: ${JSON.stringify(json)}`);
+    }
+
+    assert.equal((await upload('broken.pdf', 'not really a pdf', '/admin/upload-training-vectorize')).status, 422);
+    assert.equal((await upload('tool.exe', 'MZ')).status, 415);
+    assert.ok(!(await server.request('GET', '/admin/training-examples')).json.examples.some(example => example.fileName.startsWith('broken')));
+});
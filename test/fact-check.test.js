@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { internals, startTestServer, SURVEY_CSV } = require('./helpers');
+
+const { factCheckAnalysis, llmProviders } = internals;
+
+const SURVEY = {
+    tables: [{
+        id: 'T1',
+        type: 'categorical',
+        question: 'Which drug do you prefer?',
+        groups: [
+            { segment: null, value: 'Overall', n: 100, answers: [{ value: 'Drug A', percent: 40 }, { value: 'Drug B', percent: 60 }] },
+            { segment: 'Practice Setting', value: 'Academic', n: 50, answers: [{ value: 'Drug A', percent: 28 }, { value: 'Drug B', percent: 72 }] },
+            { segment: 'Practice Setting', value: 'Community', n: 50, answers: [{ value: 'Drug A', percent: 52 }, { value: 'Drug B', percent: 48 }] }
+        ]
+    }]
+};
+
+function checkOne(analysis, source = { surveyData: SURVEY }) {
+    const report = factCheckAnalysis(analysis, source);
+    assert.equal(report.claims.length, 1);
+    return report.claims[0];
+}
+
+test('supports a figure that matches the answer the claim names', () => {
+    const claim = checkOne('72% of academic physicians prefer Drug B [T1.2].');
+    assert.equal(claim.status, 'supported');
+    assert.equal(claim.source.answer, 'Drug B');
+});
+
+test('contradicts a figure quoted for the other answer in the cited row', () => {
+    const claim = checkOne('72% of academic physicians prefer Drug A [T1.2].');
+    assert.equal(claim.status, 'contradicted');
+    assert.deepEqual([claim.source.key, claim.source.answer, claim.source.value], ['T1.2', 'Drug A', 28]);
+});
+
+test('finds the row from the segment named in the sentence', () => {
+    assert.equal(checkOne('28% of academic physicians prefer Drug A.').status, 'supported');
+    assert.equal(checkOne('52% of community physicians prefer Drug A.').status, 'supported');
+});
+
+test('needs the full answer label before a value counts', () => {
+    assert.equal(checkOne('About 72% of academic physicians chose it [T1.2].').status, 'unsupported');
+    assert.equal(checkOne('Drug AB reached 40%.').status, 'unsupported');
+});
+
+test('checks plain-text inputs against the sentence the figure came from', () => {
+    const source = { fileContent: 'In 2024, 45% of oncologists reported prescribing Drug A.' };
+    assert.equal(checkOne('45% of oncologists reported prescribing Drug A.', source).status, 'supported');
+    assert.equal(checkOne('55% of oncologists reported prescribing Drug A.', source).status, 'contradicted');
+});
+
+test('fails the report when anything is contradicted', () => {
+    const report = factCheckAnalysis('72% of academic physicians prefer Drug B. 60% prefer Drug A overall.', { surveyData: SURVEY });
+    assert.equal(report.status, 'failed');
+    assert.deepEqual(report.summary, { total: 2, supported: 1, unsupported: 0, contradicted: 1, score: 0.5 });
+});
+
+test('analyses carry the validation report, and only verified ones pass the gate on it', async t => {
+    const server = await startTestServer();
+    t.after(server.close);
+    const analyze = async text => {
+        llmProviders.mock.scriptResponses(text);
+        return (await server.request('POST', '/api/analyze', { body: { fileContent: SURVEY_CSV, fileName: 'survey.csv' } })).json;
+    };
+
+    const invented = await analyze('Drug A and Drug B split the market 50% each. Among academic physicians, 72% prefer Drug B.');
+    assert.deepEqual(invented.validation.claims.map(claim => claim.status), ['supported', 'contradicted']);
+    assert.equal(invented.validation.claims[1].reason, 'source shows 75%');
+    assert.deepEqual(invented.validation.summary, { total: 2, supported: 1, unsupported: 0, contradicted: 1, score: 0.5 });
+    assert.equal(invented.metadata.ingestion.status, 'pending');
+
+    const stored = await server.request('GET', `/api/analyses/${invented.resultId}`);
+    assert.deepEqual(stored.json.analysis.validation, invented.validation);
+
+    const verified = await analyze('Among academic physicians, 75% prefer Drug B.');
+    assert.equal(verified.validation.summary.score, 1);
+    assert.equal(verified.metadata.ingestion.status, 'ingested');
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, TOKENS, SURVEY_CSV } = require('./helpers');
+
+let server;
+
+function analyze() {
+    return server.request('POST', '/api/analyze', { body: { fileContent: SURVEY_CSV, fileName: 'survey.csv' } });
+}
+
+function rate(resultId, body, token = TOKENS.admin) {
+    return server.request('POST', `/api/results/${resultId}/feedback`, { body, token });
+}
+
+test.before(async () => {
+    server = await startTestServer();
+});
+
+test.after(() => server.close());
+
+test('gives each analysis a result that members can read', async () => {
+    const { json } = await analyze();
+
+    assert.ok(json.resultId);
+    const { status, json: fetched } = await server.request('GET', `/api/results/${json.resultId}`, { token: TOKENS.analyst });
+    assert.equal(status, 200);
+    assert.equal(fetched.result.kind, 'analysis');
+    assert.equal(fetched.result.text, json.analysis);
+    assert.equal(fetched.result.model, json.metadata.model);
+    assert.equal(fetched.result.promptVersion, json.metadata.promptVersion);
+
+    assert.equal((await server.request('GET', '/api/results/unknown')).status, 404);
+});
+
+test('validates feedback and keeps one entry per user', async () => {
+    const { json } = await analyze();
+
+    assert.equal((await rate(json.resultId, {})).status, 400);
+    assert.equal((await rate(json.resultId, { rating: 6 })).status, 400);
+    assert.equal((await rate(json.resultId, { rating: 3, tags: 'accurate' })).status, 400);
+    assert.equal((await rate(json.resultId, { rating: 3, correction: 42 })).status, 400);
+    assert.equal((await rate('unknown', { rating: 3 })).status, 404);
+
+    await rate(json.resultId, { rating: 2, tags: ['Too Long'] }, TOKENS.analyst);
+    const updated = await rate(json.resultId, { rating: 4, tags: [' Accurate ', 'accurate'] }, TOKENS.analyst);
+    assert.equal(updated.status, 200);
+    assert.deepEqual(updated.json.feedback.tags, ['accurate']);
+
+    const rated = await rate(json.resultId, { rating: 5 });
+    assert.equal(rated.json.result.feedbackCount, 2);
+    assert.equal(rated.json.result.averageRating, 4.5);
+});
+
+test('aggregates feedback per kind, prompt version and model', async () => {
+    const { json } = await server.request('GET', '/admin/feedback?kind=analysis');
+
+    assert.equal(json.totals.results, 2);
+    assert.equal(json.totals.ratedResults, 1);
+    assert.equal(json.totals.feedbackCount, 2);
+
+    const [group] = json.groups;
+    assert.equal(json.groups.length, 1);
+    assert.equal(group.kind, 'analysis');
+    assert.equal(group.averageRating, 4.5);
+    assert.deepEqual(group.ratingDistribution, { 1: 0, 2: 0, 3: 0, 4: 1, 5: 1 });
+    assert.deepEqual(group.tags, { accurate: 1 });
+    assert.equal(json.promotionCandidates.length, 1);
+});
+
+test('promotes a well-rated analysis once, preferring the best correction', async () => {
+    const low = await analyze();
+    await rate(low.json.resultId, { rating: 2 });
+    assert.equal((await server.request('POST', `/admin/results/${low.json.resultId}/promote`, { body: {} })).status, 400);
+
+    const good = await analyze();
+    await rate(good.json.resultId, { rating: 5, correction: 'Drug B leads among academic physicians.' });
+    await rate(good.json.resultId, { rating: 4, correction: 'Drug A leads overall.' }, TOKENS.analyst);
+
+    const promoted = await server.request('POST', `/admin/results/${good.json.resultId}/promote`, { body: {} });
+    assert.equal(promoted.status, 200);
+    assert.equal(promoted.json.usedCorrection, true);
+
+    const examples = await server.request('GET', '/admin/training-examples');
+    const example = examples.json.examples.find(candidate => candidate.fileName === promoted.json.fileName);
+    assert.ok(example.contentPreview.startsWith('Drug B leads among academic physicians.'));
+
+    assert.equal((await server.request('POST', `/admin/results/${good.json.resultId}/promote`, { body: {} })).status, 409);
+    assert.equal((await server.request('POST', `/admin/results/${low.json.resultId}/promote`, { body: { force: true } })).status, 200);
+});
+
+test('chat answers can be rated but not promoted', async () => {
+    const chat = await server.request('POST', '/api/chat', { body: { question: 'Which drug leads?', analysis: 'Drug B leads overall.', stream: false } });
+    await rate(chat.json.resultId, { rating: 5 });
+
+    const promoted = await server.request('POST', `/admin/results/${chat.json.resultId}/promote`, { body: {} });
+    assert.equal(promoted.status, 400);
+
+    const { json } = await server.request('GET', '/admin/feedback?kind=chat');
+    assert.equal(json.groups[0].kind, 'chat');
+    assert.equal(json.promotionCandidates.length, 0);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, SURVEY_CSV } = require('./helpers');
+
+let server;
+let captured;
+
+function analyze(userPrompt) {
+    return server.request('POST', '/api/analyze', { body: { fileContent: SURVEY_CSV, fileName: 'survey.csv', userPrompt } });
+}
+
+function parseJsonl(text) {
+    return text.trim() ? text.trim().split('\n').map(line => JSON.parse(line)) : [];
+}
+
+test.before(async () => {
+    server = await startTestServer();
+    await analyze('Send questions to jane.doe@example.com.');
+    await analyze('Focus on community practice.');
+    await analyze('Focus on academic practice.');
+    captured = (await server.request('GET', '/admin/learning-queries')).json.queries;
+});
+
+test.after(() => server.close());
+
+test('captures each analysis as a pending pair in learning mode', async () => {
+    assert.equal(captured.length, 3);
+    assert.ok(captured.every(entry => entry.status === 'pending' && entry.analysisId));
+
+    const full = await server.request('GET', `/admin/learning-queries/${captured[0].id}`);
+    assert.match(full.json.query.query, /jane\.doe@example\.com/);
+    assert.ok(full.json.query.response);
+
+    const progress = await server.request('GET', '/admin/learning-progress');
+    assert.deepEqual(progress.json.review, { pending: 3, approved: 0, rejected: 0 });
+});
+
+test('reviews pairs: approve with an edit, reject, and validate input', async () => {
+    const edited = await server.request('POST', `/admin/learning-queries/${captured[0].id}/review`, {
+        body: { status: 'approved', response: 'Reviewed summary. Contact Dr Smith at 555-123-4567.', note: 'tightened' }
+    });
+    assert.equal(edited.status, 200);
+    assert.equal(edited.json.query.edited, true);
+    assert.equal(edited.json.query.review.note, 'tightened');
+
+    await server.request('POST', `/admin/learning-queries/${captured[1].id}/review`, { body: { status: 'approved' } });
+    await server.request('POST', `/admin/learning-queries/${captured[2].id}/review`, { body: { status: 'rejected' } });
+
+    assert.equal((await server.request('POST', `/admin/learning-queries/${captured[2].id}/review`, { body: { status: 'maybe' } })).status, 400);
+    assert.equal((await server.request('POST', `/admin/learning-queries/${captured[2].id}/review`, { body: { response: '  ' } })).status, 400);
+    assert.equal((await server.request('POST', `/admin/learning-queries/${captured[2].id}/review`, { body: {} })).status, 400);
+    assert.equal((await server.request('POST', '/admin/learning-queries/unknown/review', { body: { status: 'approved' } })).status, 404);
+
+    const approved = await server.request('GET', '/admin/learning-queries?status=approved');
+    assert.equal(approved.json.total, 2);
+});
+
+test('exports approved pairs as scrubbed chat JSONL', async () => {
+    const { status, headers, text } = await server.request('GET', '/admin/fine-tune/export?validationRatio=0');
+
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /application\/x-ndjson/);
+    assert.equal(headers.get('x-example-count'), '2');
+    const redactions = JSON.parse(headers.get('x-pii-redactions'));
+    assert.ok(redactions.email >= 1 && redactions.phone === 1 && redactions.titledName === 1, JSON.stringify(redactions));
+
+    const examples = parseJsonl(text);
+    assert.deepEqual(examples[0].messages.map(message => message.role), ['system', 'user', 'assistant']);
+    assert.ok(examples.some(example => example.messages[2].content === 'Reviewed summary. Contact [NAME] at [PHONE].'));
+    assert.ok(!text.includes('jane.doe@example.com'));
+
+    const raw = await server.request('GET', '/admin/fine-tune/export?validationRatio=0&scrubPii=false');
+    assert.ok(raw.text.includes('jane.doe@example.com'));
+    assert.equal(raw.headers.get('x-pii-redactions'), 'disabled');
+});
+
+test('exports the Anthropic format and deterministic splits', async () => {
+    const anthropic = parseJsonl((await server.request('GET', '/admin/fine-tune/export?format=anthropic&validationRatio=0')).text);
+    assert.ok(anthropic.every(example => typeof example.system === 'string'));
+    assert.deepEqual(anthropic[0].messages.map(message => message.role), ['user', 'assistant']);
+
+    const split = async name => parseJsonl((await server.request('GET', `/admin/fine-tune/export?split=${name}&validationRatio=0.5`)).text);
+    const train = await split('train');
+    const validation = await split('validation');
+    assert.equal(train.length + validation.length, 2);
+    assert.deepEqual(await split('train'), train);
+
+    assert.equal((await server.request('GET', '/admin/fine-tune/export?format=csv')).status, 400);
+    assert.equal((await server.request('GET', '/admin/fine-tune/export?split=test')).status, 400);
+    assert.equal((await server.request('GET', '/admin/fine-tune/export?validationRatio=1')).status, 400);
+});
+
+test('finetuned mode routes analyses to the configured model', async () => {
+    await server.request('POST', '/admin/update-api-settings', { body: { fineTunedModel: null } });
+    assert.equal((await server.request('POST', '/admin/rag-settings', { body: { mode: 'finetuned' } })).status, 400);
+
+    await server.request('POST', '/admin/update-api-settings', { body: { fineTunedModel: 'ft:survey-analyst' } });
+    assert.equal((await server.request('POST', '/admin/rag-settings', { body: { mode: 'finetuned' } })).status, 200);
+
+    const { json } = await analyze();
+    assert.equal(json.metadata.model, 'mock:ft:survey-analyst');
+    assert.equal((await server.request('GET', '/admin/learning-queries')).json.total, 3, 'finetuned mode captures nothing');
+});
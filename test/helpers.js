@@ -0,0 +1,94 @@
+// Shared setup for the node:test suite. Every test file runs in its own
+// process, so the environment is fixed here before server.js is loaded:
+// the mock LLM provider, in-memory storage and tokens for an admin and two
+// analysts.
+process.env.LLM_PROVIDER = 'mock';
+process.env.STORAGE_DRIVER = 'memory';
+process.env.PERSIST_DEBOUNCE_MS = '0';
+process.env.API_TOKENS = 'ada:admin:admin-token,ana:analyst:analyst-token,ben:analyst:other-analyst-token';
+delete process.env.AUTH_DISABLED;
+
+// Node 20's test runner reports over the test file's stdout; server logging
+// interleaved with it can corrupt that stream, so it goes to stderr instead
+console.log = console.error;
+console.info = console.error;
+
+const server = require('../server');
+
+const TOKENS = {
+    admin: 'admin-token',
+    analyst: 'analyst-token',
+    otherAnalyst: 'other-analyst-token'
+};
+
+const SURVEY_CSV = [
+    'Respondent ID,Practice Setting,Which drug do you prefer?',
+    '1,Academic,Drug A',
+    '2,Academic,Drug B',
+    '3,Academic,Drug B',
+    '4,Academic,Drug B',
+    '5,Community,Drug A',
+    '6,Community,Drug A',
+    '7,Community,Drug A',
+    '8,Community,Drug B'
+].join('\n');
+
+// Boots the app on a free port; call the returned close() in an after hook
+async function startTestServer() {
+    const httpServer = await server.startServer(0);
+    const baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+
+    async function request(method, path, { body, token = TOKENS.admin, workspace } = {}) {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method: method,
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                ...(workspace ? { 'X-Workspace-Id': workspace } : {}),
+                ...(body !== undefined ? { 'Content-Type': 'application/json' } : {})
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+        const text = await response.text();
+        let json = null;
+        try {
+            json = JSON.parse(text);
+        } catch (error) {
+            // CSV and JSONL downloads stay as text
+        }
+        return { status: response.status, headers: response.headers, json, text };
+    }
+
+    // Reads a whole Server-Sent Events response into [{ event, data }]
+    async function stream(method, path, { body, token = TOKENS.admin, workspace } = {}) {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method: method,
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                ...(workspace ? { 'X-Workspace-Id': workspace } : {}),
+                'Accept': 'text/event-stream',
+                ...(body !== undefined ? { 'Content-Type': 'application/json' } : {})
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+        const text = await response.text();
+        const events = text.split('\n\n').filter(block => block.startsWith('event: ')).map(block => {
+            const [eventLine, dataLine] = block.split('\n');
+            return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+        });
+        return { status: response.status, contentType: response.headers.get('content-type'), events };
+    }
+
+    return {
+        baseUrl,
+        request,
+        stream,
+        close: () => new Promise(resolve => httpServer.close(resolve))
+    };
+}
+
+module.exports = {
+    internals: server.internals,
+    startTestServer,
+    TOKENS,
+    SURVEY_CSV
+};
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { internals, startTestServer, TOKENS, SURVEY_CSV } = require('./helpers');
+
+const { llmProviders } = internals;
+
+let server;
+let first;
+let second;
+
+function analyze(body, token) {
+    return server.request('POST', '/api/analyze', { body: { fileContent: SURVEY_CSV, ...body }, token });
+}
+
+function isoDate(offsetDays) {
+    return new Date(Date.now() + offsetDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+test.before(async () => {
+    server = await startTestServer();
+    llmProviders.mock.scriptResponses('Drug B leads among academic oncologists.', 'Community practices favour Drug A.');
+    first = (await analyze({ fileName: 'q1-oncology.csv', userPrompt: 'Focus on academics.' }, TOKENS.admin)).json;
+    second = (await analyze({ fileName: 'q2-community.csv' }, TOKENS.analyst)).json;
+});
+
+test.after(() => server.close());
+
+test('keeps each analysis with its input, prompt, output and charts', async () => {
+    const { status, json } = await server.request('GET', `/api/analyses/${first.resultId}`, { token: TOKENS.otherAnalyst });
+
+    assert.equal(status, 200);
+    assert.equal(json.analysis.fileName, 'q1-oncology.csv');
+    assert.equal(json.analysis.text, first.analysis);
+    assert.deepEqual(json.analysis.chartData, first.chartData);
+    assert.match(json.analysis.prompt, /Focus on academics\./);
+    assert.equal(json.analysis.template, first.metadata.template.id);
+    assert.ok(Array.isArray(json.analysis.ragSources));
+
+    assert.equal((await server.request('GET', '/api/analyses/unknown')).status, 404);
+});
+
+test('lists history newest first with file, user and full-text filters', async () => {
+    const all = await server.request('GET', '/api/analyses');
+    assert.deepEqual(all.json.analyses.map(entry => entry.id), [second.resultId, first.resultId]);
+
+    const byFile = await server.request('GET', '/api/analyses?fileName=ONCOLOGY');
+    assert.deepEqual(byFile.json.analyses.map(entry => entry.id), [first.resultId]);
+
+    const byUser = await server.request('GET', `/api/analyses?userId=${all.json.analyses[0].userId}`);
+    assert.deepEqual(byUser.json.analyses.map(entry => entry.id), [second.resultId]);
+
+    const byText = await server.request('GET', '/api/analyses?q=favour+drug');
+    assert.deepEqual(byText.json.analyses.map(entry => entry.id), [second.resultId]);
+    assert.match(byText.json.analyses[0].snippet, /favour Drug A/);
+
+    const paged = await server.request('GET', '/api/analyses?limit=1&offset=1');
+    assert.deepEqual(paged.json.analyses.map(entry => entry.id), [first.resultId]);
+    assert.equal(paged.json.total, 2);
+});
+
+test('a bare to date covers the whole day', async () => {
+    const count = async query => (await server.request('GET', `/api/analyses?${query}`)).json.total;
+
+    assert.equal(await count(`to=${isoDate(0)}`), 2);
+    assert.equal(await count(`to=${isoDate(-1)}`), 0);
+    assert.equal(await count(`from=${isoDate(0)}`), 2);
+    assert.equal(await count(`from=${isoDate(1)}`), 0);
+});
+
+test('re-opens an analysis into a chat session about it', async t => {
+    const complete = t.mock.method(llmProviders.mock, 'complete');
+
+    const opened = await server.request('POST', `/api/analyses/${first.resultId}/chat`, { body: {}, token: TOKENS.analyst });
+    assert.equal(opened.status, 201);
+    assert.equal(opened.json.session.analysisId, first.resultId);
+
+    const answer = await server.request('POST', '/api/chat', {
+        body: { sessionId: opened.json.session.id, question: 'Why academics?', stream: false },
+        token: TOKENS.analyst
+    });
+    assert.equal(answer.status, 200);
+    assert.equal(answer.json.sessionId, opened.json.session.id);
+    assert.ok(JSON.stringify(complete.mock.calls.at(-1).arguments[0]).includes('Drug B leads among academic oncologists.'));
+
+    const asOwner = await server.request('GET', `/api/analyses/${first.resultId}`, { token: TOKENS.analyst });
+    const asOther = await server.request('GET', `/api/analyses/${first.resultId}`, { token: TOKENS.otherAnalyst });
+    assert.deepEqual(asOwner.json.chatSessions.map(session => session.id), [opened.json.session.id]);
+    assert.deepEqual(asOther.json.chatSessions, []);
+
+    assert.equal((await server.request('POST', '/api/analyses/unknown/chat', { body: {} })).status, 404);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { internals, startTestServer } = require('./helpers');
+
+const { createBm25Index, llmProviders } = internals;
+
+let server;
+
+test.before(async () => {
+    server = await startTestServer();
+    await server.request('POST', '/admin/upload-training', { body: { trainingData: 'In KEYNOTE-189 the pembrolizumab arm showed longer survival.', fileName: 'trial.md' } });
+    await server.request('POST', '/admin/upload-training', { body: { trainingData: 'Community oncologists cite reimbursement as the main barrier.', fileName: 'access.md' } });
+    await server.request('POST', '/admin/upload-training', { body: { trainingData: 'Academic oncologists weigh survival data above cost.', fileName: 'academic.md' } });
+});
+
+test.after(() => server.close());
+
+async function search(query, settings) {
+    if (settings) await server.request('POST', '/admin/rag-settings', { body: settings });
+    const { json } = await server.request('POST', '/admin/test-vector-search', { body: { query } });
+    return json.matches;
+}
+
+test('BM25 ranks the chunk matching the rarer terms first', () => {
+    const index = createBm25Index();
+    const chunks = {
+        dosing: 'Titration starts at 5 mg and doubles weekly until the target dose.',
+        safety: 'Nausea and headache were the most common adverse events.',
+        efficacy: 'Response rates improved in patients on the target dose.'
+    };
+    Object.entries(chunks).forEach(([key, text]) => index.add(key, text));
+
+    const results = index.search('titration target dose', 3);
+    assert.equal(results[0].key, 'dosing');
+    assert.deepEqual(results[0].matchedTerms.sort(), ['dose', 'target', 'titration']);
+    assert.ok(!results.some(result => result.key === 'safety'));
+});
+
+test('BM25 forgets removed chunks', () => {
+    const index = createBm25Index();
+    index.add('a', 'adverse events were mild');
+    index.add('b', 'dosing schedule');
+
+    index.remove('a');
+    assert.deepEqual(index.search('adverse events', 5), []);
+    assert.equal(index.stats().documents, 1);
+});
+
+test('lexical matches survive a similarity threshold that filters every vector hit', async () => {
+    assert.deepEqual(await search('KEYNOTE-189 pembrolizumab', { retrievalMode: 'vector', similarityThreshold: 0.99 }), []);
+
+    const [lexical] = await search('KEYNOTE-189 pembrolizumab', { retrievalMode: 'lexical' });
+    assert.equal(lexical.fileName, 'trial.md');
+    assert.deepEqual(lexical.retrieval.matchedBy, ['lexical']);
+
+    const [hybrid] = await search('KEYNOTE-189 pembrolizumab', { retrievalMode: 'hybrid' });
+    assert.equal(hybrid.fileName, 'trial.md');
+    assert.equal(hybrid.retrieval.mode, 'hybrid');
+    assert.ok(hybrid.retrieval.fusedScore > 0);
+});
+
+test('hybrid retrieval fuses vector and lexical rankings', async () => {
+    const matches = await search('oncologists survival', { retrievalMode: 'hybrid', similarityThreshold: 0 });
+
+    assert.equal(matches[0].fileName, 'academic.md');
+    assert.deepEqual(matches[0].retrieval.matchedBy.sort(), ['lexical', 'vector']);
+    assert.ok(matches[0].retrieval.vectorSimilarity !== null && matches[0].retrieval.lexicalScore !== null);
+});
+
+test('the LLM reranker reorders the fused candidates', async t => {
+    t.after(() => server.request('POST', '/admin/rag-settings', { body: { rerank: 'none' } }));
+    const fused = await search('oncologists survival', { retrievalMode: 'hybrid', rerank: 'none' });
+
+    // Grade the fused runner-up highest
+    llmProviders.mock.scriptResponses(JSON.stringify(fused.map((match, index) => (index === 1 ? 10 : 1))));
+    const reranked = await search('oncologists survival', { rerank: 'llm', rerankCandidates: fused.length });
+
+    assert.equal(reranked[0].fileName, fused[1].fileName);
+    assert.equal(reranked[0].retrieval.rerankScore, 10);
+});
+
+test('rejects RAG settings that are not valid numbers or flags', async () => {
+    const before = (await server.request('POST', '/admin/rag-settings', { body: {} })).json.settings;
+    const invalid = [
+        { enabled: 'false' },
+        { similarityThreshold: 'high' },
+        { similarityThreshold: 1.5 },
+        { maxExamples: -1 },
+        { maxExamples: 2.5 },
+        { rerankCandidates: 'ten' },
+        { rerankCandidates: 0 },
+        { rerankCandidates: null },
+        { retrievalMode: 'semantic' },
+        { rerank: 'cross-encoder' }
+    ];
+    for (const body of invalid) {
+        const { status, json } = await server.request('POST', '/admin/rag-settings', { body });
+        assert.equal(status, 400, JSON.stringify(body));
+        assert.equal(json.success, false);
+    }
+
+    assert.deepEqual((await server.request('POST', '/admin/rag-settings', { body: {} })).json.settings, before);
+    const updated = await server.request('POST', '/admin/rag-settings', { body: { similarityThreshold: '0.4', maxExamples: 3, rerankCandidates: '8' } });
+    assert.equal(updated.json.settings.similarityThreshold, 0.4);
+    assert.equal(updated.json.settings.rerankCandidates, 8);
+});
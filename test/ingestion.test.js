@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { internals, startTestServer, SURVEY_CSV } = require('./helpers');
+
+const { llmProviders } = internals;
+
+let server;
+
+async function analyze(text = 'Drug B leads among academic physicians.') {
+    llmProviders.mock.scriptResponses(text);
+    const { json } = await server.request('POST', '/api/analyze', { body: { fileContent: SURVEY_CSV, fileName: 'survey.csv' } });
+    return json;
+}
+
+async function generatedContent() {
+    return (await server.request('GET', '/admin/generated-content')).json;
+}
+
+test.before(async () => {
+    server = await startTestServer();
+    // Only ratings and admin decisions admit analyses in these tests
+    await server.request('POST', '/admin/rag-settings', { body: { generatedMinValidationScore: null } });
+});
+
+test.after(() => server.close());
+
+test('gated analyses wait until feedback reaches the minimum rating', async () => {
+    const { resultId, metadata } = await analyze();
+
+    assert.equal(metadata.ingestion.status, 'pending');
+    let content = await generatedContent();
+    assert.deepEqual(content.pending.map(entry => entry.id), [resultId]);
+    assert.equal(content.totalChunks, 0);
+
+    const low = await server.request('POST', `/api/results/${resultId}/feedback`, { body: { rating: 3 } });
+    assert.equal(low.json.ingestion.status, 'pending');
+
+    const rated = await server.request('POST', `/api/results/${resultId}/feedback`, { body: { rating: 4 } });
+    assert.equal(rated.json.ingestion.status, 'ingested');
+    assert.equal(rated.json.ingestion.decidedBy, 'feedback');
+
+    content = await generatedContent();
+    assert.equal(content.pending.length, 0);
+    assert.equal(content.ingested[0].resultId, resultId);
+    assert.ok(content.totalChunks > 0);
+});
+
+test('admins approve or reject pending analyses', async () => {
+    const { resultId } = await analyze();
+    const decide = body => server.request('POST', `/admin/results/${resultId}/ingestion`, { body });
+
+    assert.equal((await decide({ action: 'maybe' })).status, 400);
+    assert.equal((await server.request('POST', '/admin/results/unknown/ingestion', { body: { action: 'approve' } })).status, 404);
+
+    const approved = await decide({ action: 'approve' });
+    assert.equal(approved.status, 200);
+    assert.equal(approved.json.ingestion.status, 'ingested');
+    assert.equal((await decide({ action: 'approve' })).status, 409);
+
+    const before = (await generatedContent()).totalChunks;
+    const rejected = await decide({ action: 'reject', reason: 'off-brand' });
+    assert.equal(rejected.json.ingestion.status, 'rejected');
+    assert.equal(rejected.json.indexedAs, null);
+    assert.ok((await generatedContent()).totalChunks < before);
+});
+
+test('the always and off policies skip the gate', async () => {
+    await server.request('POST', '/admin/rag-settings', { body: { generatedIngestion: 'always' } });
+    assert.equal((await analyze()).metadata.ingestion.status, 'ingested');
+
+    await server.request('POST', '/admin/rag-settings', { body: { generatedIngestion: 'off' } });
+    assert.equal((await analyze()).metadata.ingestion.reason, 'ingestion policy: off');
+
+    assert.equal((await server.request('POST', '/admin/rag-settings', { body: { generatedIngestion: 'sometimes' } })).status, 400);
+    await server.request('POST', '/admin/rag-settings', { body: { generatedIngestion: 'gated' } });
+});
+
+test('purges generated chunks by result or all at once', async () => {
+    assert.equal((await server.request('POST', '/admin/generated-content/purge', { body: {} })).status, 400);
+    assert.equal((await server.request('POST', '/admin/generated-content/purge', { body: { resultIds: 'x' } })).status, 400);
+
+    const [first, second] = (await generatedContent()).ingested;
+    const one = await server.request('POST', '/admin/generated-content/purge', { body: { resultIds: [first.resultId] } });
+    assert.equal(one.json.purgedAnalyses, 1);
+    assert.deepEqual((await generatedContent()).ingested.map(entry => entry.resultId), [second.resultId]);
+
+    // Later feedback does not bring purged content back
+    const rated = await server.request('POST', `/api/results/${first.resultId}/feedback`, { body: { rating: 5 } });
+    assert.equal(rated.json.ingestion.status, 'purged');
+
+    const rest = await server.request('POST', '/admin/generated-content/purge', { body: { all: true } });
+    assert.equal(rest.json.purgedAnalyses, 1);
+    assert.equal((await generatedContent()).totalChunks, 0);
+});
+
+test('turning RAG off through the API settings also closes the gate', async () => {
+    assert.equal((await server.request('POST', '/admin/update-api-settings', { body: { ragEnabled: 'no' } })).status, 400);
+
+    await server.request('POST', '/admin/update-api-settings', { body: { ragEnabled: false } });
+    const stats = await server.request('GET', '/admin/stats');
+    assert.equal(stats.json.ragEnabled, false);
+
+    const { resultId, metadata } = await analyze();
+    assert.equal(metadata.ingestion.reason, 'RAG disabled');
+    const approve = await server.request('POST', `/admin/results/${resultId}/ingestion`, { body: { action: 'approve' } });
+    assert.equal(approve.status, 400);
+
+    await server.request('POST', '/admin/update-api-settings', { body: { ragEnabled: true } });
+    assert.equal((await analyze()).metadata.ingestion.status, 'pending');
+});
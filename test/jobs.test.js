@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { internals, startTestServer, TOKENS, SURVEY_CSV } = require('./helpers');
+
+const { llmProviders } = internals;
+const { complete } = llmProviders.mock;
+const JOB_DONE = ['completed', 'failed', 'cancelled'];
+
+let server;
+
+test.before(async () => {
+    server = await startTestServer();
+});
+
+test.after(() => server.close());
+
+function submit(body = {}, token = TOKENS.analyst) {
+    return server.request('POST', '/api/analyze', { body: { fileContent: SURVEY_CSV, fileName: 'survey.csv', async: true, ...body }, token });
+}
+
+async function waitForJob(jobId, predicate, token = TOKENS.analyst) {
+    for (let i = 0; i < 200; i++) {
+        const { json } = await server.request('GET', `/api/jobs/${jobId}`, { token });
+        if (predicate(json)) return json;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`Job ${jobId} never reached the expected state`);
+}
+
+// Holds every completion until release() is called
+function holdCompletions(t) {
+    let release;
+    const released = new Promise(resolve => {
+        release = resolve;
+    });
+    t.mock.method(llmProviders.mock, 'complete', async request => {
+        await released;
+        return complete(request);
+    });
+    return release;
+}
+
+async function workspaceCounts() {
+    const [stats, progress] = await Promise.all([
+        server.request('GET', '/admin/stats'),
+        server.request('GET', '/admin/learning-progress')
+    ]);
+    return { conversations: stats.json.conversationMemory, learned: progress.json.queryCount, analyses: stats.json.totalAnalyses };
+}
+
+test('runs an async analysis as a job the submitter can poll', async () => {
+    const submitted = await submit();
+    assert.equal(submitted.status, 202);
+    assert.equal(submitted.json.statusUrl, `/api/jobs/${submitted.json.jobId}`);
+
+    const job = await waitForJob(submitted.json.jobId, json => json.status === 'completed');
+    assert.equal(job.phase, 'completed');
+    assert.equal(job.template, 'executive-summary');
+    assert.ok(job.result.resultId);
+    assert.match(job.result.analysis, /Mock Response/);
+
+    const listed = await server.request('GET', '/api/jobs?status=completed', { token: TOKENS.analyst });
+    assert.ok(listed.json.jobs.some(entry => entry.id === job.id));
+
+    const events = await server.stream('GET', `/api/jobs/${job.id}/events`, { token: TOKENS.analyst });
+    assert.deepEqual(events.events.map(event => event.event), ['done']);
+    assert.equal(events.events[0].data.result.resultId, job.result.resultId);
+});
+
+test('shows a job only to its submitter and admins', async () => {
+    const { json } = await submit();
+    await waitForJob(json.jobId, job => job.status === 'completed');
+
+    assert.equal((await server.request('GET', `/api/jobs/${json.jobId}`, { token: TOKENS.otherAnalyst })).status, 404);
+    assert.equal((await server.request('DELETE', `/api/jobs/${json.jobId}`, { token: TOKENS.otherAnalyst })).status, 404);
+    assert.equal((await server.request('GET', `/api/jobs/${json.jobId}`, { token: TOKENS.admin })).status, 200);
+    assert.ok(!(await server.request('GET', '/api/jobs', { token: TOKENS.otherAnalyst })).json.jobs.some(job => job.id === json.jobId));
+});
+
+test('cancels queued jobs', async t => {
+    const release = holdCompletions(t);
+    const running = [await submit(), await submit()];
+    const queued = await submit();
+
+    const waiting = await waitForJob(queued.json.jobId, job => job.status === 'queued');
+    assert.equal(waiting.queuePosition, 1);
+
+    const cancelled = await server.request('DELETE', `/api/jobs/${queued.json.jobId}`, { token: TOKENS.analyst });
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.json.job.status, 'cancelled');
+    assert.equal((await server.request('DELETE', `/api/jobs/${queued.json.jobId}`, { token: TOKENS.analyst })).status, 409);
+
+    release();
+    for (const { json } of running) {
+        await waitForJob(json.jobId, job => job.status === 'completed');
+    }
+});
+
+test('a job cancelled while the model answers leaves no trace', async t => {
+    const before = await workspaceCounts();
+    let jobId;
+    const submitted = new Promise(resolve => {
+        jobId = resolve;
+    });
+    // The answer arrives after the cancel, as if the provider ignored the abort
+    t.mock.method(llmProviders.mock, 'complete', async request => {
+        const id = await submitted;
+        await server.request('DELETE', `/api/jobs/${id}`, { token: TOKENS.analyst });
+        return complete(request);
+    });
+
+    const { json } = await submit();
+    jobId(json.jobId);
+
+    const job = await waitForJob(json.jobId, entry => entry.status === 'cancelled');
+    assert.equal(job.result, null);
+    assert.deepEqual(await workspaceCounts(), before);
+});
+
+test('a queued job keeps the template it was submitted with', async t => {
+    await server.request('POST', '/admin/templates', { body: { id: 'short-lived', systemPrompt: 'Answer in one line.' } });
+    const release = holdCompletions(t);
+
+    const running = [await submit(), await submit()];
+    const { json } = await submit({ template: 'short-lived' });
+    await waitForJob(json.jobId, job => job.status === 'queued');
+    assert.equal((await server.request('DELETE', '/admin/templates/short-lived')).status, 200);
+    release();
+
+    const job = await waitForJob(json.jobId, entry => JOB_DONE.includes(entry.status));
+    assert.equal(job.status, 'completed', JSON.stringify(job.error));
+    assert.equal(job.result.metadata.template.id, 'short-lived');
+    for (const { json: other } of running) {
+        await waitForJob(other.jobId, entry => entry.status === 'completed');
+    }
+});
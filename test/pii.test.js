@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { internals } = require('./helpers');
+
+const { scrubPii } = internals;
+
+test('redacts contact details, Luhn-valid card numbers and IP addresses', () => {
+    const counts = {};
+    const scrubbed = scrubPii('Mail jo@example.com or call (555) 123-4567. Card 4111 1111 1111 1111 from 192.168.10.4.', counts);
+
+    assert.equal(scrubbed, 'Mail [EMAIL] or call [PHONE]. Card [CARD] from [IP].');
+    assert.deepEqual(counts, { email: 1, card: 1, phone: 1, ip: 1 });
+});
+
+test('leaves survey figures alone', () => {
+    const text = 'Waves 2021 2022 2023 2024 covered 1200 1500 1800 2100 respondents; see section 1.2.3.4 and build 999.1.1.1.';
+    assert.equal(scrubPii(text), text);
+});
+
+test('only catches names that follow an honorific', () => {
+    const counts = {};
+    assert.equal(scrubPii('Dr. Jane Doe met Jane Doe.', counts), '[NAME] met Jane Doe.');
+    assert.deepEqual(counts, { titledName: 1 });
+});
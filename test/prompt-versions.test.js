@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, TOKENS, SURVEY_CSV } = require('./helpers');
+
+let server;
+
+test.before(async () => {
+    server = await startTestServer();
+});
+
+test.after(() => server.close());
+
+async function analyzedPromptVersion() {
+    const { json } = await server.request('POST', '/api/analyze', { body: { fileContent: SURVEY_CSV, fileName: 'survey.csv' } });
+    return json.metadata.promptVersion;
+}
+
+test('records every prompt change as a version with author and note', async () => {
+    const original = (await server.request('GET', '/admin/settings')).json.systemPrompt;
+    assert.equal(await analyzedPromptVersion(), 1);
+
+    const updated = await server.request('POST', '/admin/update-prompt', {
+        body: { systemPrompt: `${original}\nAlways lead with the sample size.`, note: 'Lead with n' }
+    });
+    assert.equal(updated.status, 200);
+
+    const { json } = await server.request('GET', '/admin/prompt-versions');
+    assert.equal(json.activeVersion, 2);
+    assert.deepEqual(json.versions.map(entry => entry.version), [2, 1]);
+    assert.equal(json.versions[0].author, 'ada');
+    assert.equal(json.versions[0].note, 'Lead with n');
+    assert.ok(json.versions[0].active && !json.versions[1].active);
+
+    const full = await server.request('GET', '/admin/prompt-versions/1');
+    assert.equal(full.json.text, original);
+    assert.equal(await analyzedPromptVersion(), 2);
+});
+
+test('diffs two versions line by line', async () => {
+    const { status, json } = await server.request('GET', '/admin/prompt-versions/diff?from=1&to=2');
+
+    assert.equal(status, 200);
+    assert.equal(json.added, 1);
+    assert.equal(json.removed, 0);
+    assert.match(json.unified, /^\+ Always lead with the sample size\.$/m);
+
+    const latest = await server.request('GET', '/admin/prompt-versions/diff');
+    assert.deepEqual([latest.json.from, latest.json.to], [1, 2]);
+});
+
+test('rolls back by activating a copy of an older version', async () => {
+    assert.equal((await server.request('POST', '/admin/prompt-versions/1/rollback', { body: {}, token: TOKENS.analyst })).status, 403);
+
+    const rolledBack = await server.request('POST', '/admin/prompt-versions/1/rollback', { body: {} });
+    assert.equal(rolledBack.status, 200);
+    assert.equal(rolledBack.json.version, 3);
+    assert.equal(rolledBack.json.rolledBackFrom, 1);
+
+    const settings = (await server.request('GET', '/admin/settings')).json;
+    assert.equal(settings.systemPrompt, (await server.request('GET', '/admin/prompt-versions/1')).json.text);
+    assert.equal(settings.activePromptVersion, 3);
+    assert.equal((await server.request('GET', '/admin/prompt-versions')).json.versions[0].note, 'Rollback to v1');
+    assert.equal(await analyzedPromptVersion(), 3);
+});
+
+test('answers 404 for unknown versions', async () => {
+    assert.equal((await server.request('GET', '/admin/prompt-versions/99')).status, 404);
+    assert.equal((await server.request('GET', '/admin/prompt-versions/diff?from=1&to=99')).status, 404);
+    assert.equal((await server.request('POST', '/admin/prompt-versions/99/rollback', { body: {} })).status, 404);
+});
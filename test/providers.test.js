@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { internals, startTestServer } = require('./helpers');
+
+const { llmProviders } = internals;
+
+function cosine(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    a.forEach((value, i) => {
+        dot += value * b[i];
+        normA += value * value;
+        normB += b[i] * b[i];
+    });
+    return dot / Math.sqrt(normA * normB);
+}
+
+test('the mock provider answers deterministically from the prompt', async () => {
+    const request = { model: 'any-model', system: 'System.', messages: [{ role: 'user', content: 'Summarize: 41% prefer Drug A' }] };
+
+    const first = await llmProviders.mock.complete(request);
+    const second = await llmProviders.mock.complete(request);
+
+    assert.equal(first.text, second.text);
+    assert.match(first.text, /- 41% of respondents/);
+    assert.equal(first.model, 'mock:any-model');
+    assert.ok(first.usage.inputTokens > 0 && first.usage.outputTokens > 0);
+});
+
+test('the mock provider streams the same text it would complete', async () => {
+    const request = { model: 'm', messages: [{ role: 'user', content: 'Stream this please' }] };
+    const pieces = [];
+
+    const streamed = await llmProviders.mock.stream(request, piece => pieces.push(piece));
+
+    assert.equal(pieces.join(''), streamed.text);
+    assert.equal(streamed.text, (await llmProviders.mock.complete(request)).text);
+});
+
+test('scripted replies are used once each, in order', async () => {
+    const request = { model: 'm', messages: [{ role: 'user', content: 'Question' }] };
+    llmProviders.mock.scriptResponses('first', 'second');
+
+    assert.equal((await llmProviders.mock.complete(request)).text, 'first');
+    assert.equal((await llmProviders.mock.complete(request)).text, 'second');
+    assert.match((await llmProviders.mock.complete(request)).text, /Mock Response/);
+});
+
+test('mock embeddings rank related text above unrelated text', async () => {
+    const embed = async text => (await llmProviders.mock.embed(text, { model: 'mock-embedding' })).embedding;
+    const query = await embed('oncology prescribing patterns among academic physicians');
+
+    const related = cosine(query, await embed('prescribing patterns of academic oncology physicians'));
+    const unrelated = cosine(query, await embed('quarterly revenue of the consumer electronics division'));
+    assert.ok(related > unrelated, `${related} <= ${unrelated}`);
+});
+
+test('providers are switched per workspace through the API settings', async t => {
+    const server = await startTestServer();
+    t.after(server.close);
+
+    const unknown = await server.request('POST', '/admin/update-api-settings', { body: { completionProvider: 'nope' } });
+    assert.equal(unknown.status, 400);
+    assert.ok(unknown.json.availableProviders.includes('mock'));
+
+    const updated = await server.request('POST', '/admin/update-api-settings', { body: { completionProvider: 'mock', embeddingProvider: 'keyword' } });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.json.settings.embeddingProvider, 'keyword');
+    assert.deepEqual(updated.json.providers.keyword, { configured: true, completion: false, embedding: true });
+
+    const analysis = await server.request('POST', '/api/analyze', { body: { fileContent: 'Notes: 30% prefer Drug A.', fileName: 'notes.txt' } });
+    assert.equal(analysis.status, 200);
+    assert.equal(analysis.json.metadata.provider, 'mock');
+});
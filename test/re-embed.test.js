@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { internals, startTestServer } = require('./helpers');
+
+const { llmProviders } = internals;
+const { embed } = llmProviders.mock;
+
+let server;
+
+test.before(async () => {
+    server = await startTestServer();
+    await server.request('POST', '/admin/rag-settings', { body: { vectorIndex: 'hnsw', retrievalMode: 'vector', similarityThreshold: 0 } });
+    await server.request('POST', '/admin/upload-training', { body: { trainingData: 'Academic oncologists prefer Drug B for survival.', fileName: 'academic.md' } });
+    await server.request('POST', '/admin/upload-training', { body: { trainingData: 'Community oncologists prefer Drug A for convenience.', fileName: 'community.md' } });
+});
+
+test.after(() => server.close());
+
+async function waitForRun(predicate) {
+    for (let i = 0; i < 200; i++) {
+        const { json } = await server.request('GET', '/admin/re-embed');
+        if (predicate(json)) return json;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error('Re-embed never reached the expected state');
+}
+
+// Holds every mock embedding until release() is called
+function holdEmbeddings(t) {
+    let release;
+    const released = new Promise(resolve => {
+        release = resolve;
+    });
+    t.mock.method(llmProviders.mock, 'embed', async (...args) => {
+        await released;
+        return embed(...args);
+    });
+    return release;
+}
+
+async function searchFiles(query) {
+    const { json } = await server.request('POST', '/admin/test-vector-search', { body: { query, maxResults: 5 } });
+    return json.matches.map(match => match.fileName);
+}
+
+test('re-embeds chunks left behind by an embedding model change', async () => {
+    const before = (await server.request('GET', '/admin/re-embed')).json.targetModel;
+    await server.request('POST', '/admin/update-api-settings', { body: { embeddingModel: 'mock-embedding-v2' } });
+    assert.deepEqual(await searchFiles('oncologists prefer'), []);
+
+    const pending = await server.request('GET', '/admin/re-embed');
+    assert.notEqual(pending.json.targetModel, before);
+    assert.match(pending.json.targetModel, /mock-embedding-v2/);
+    assert.equal(pending.json.staleChunks, 2);
+
+    const started = await server.request('POST', '/admin/re-embed', { body: {} });
+    assert.equal(started.status, 202);
+    assert.equal(started.json.run.total, 2);
+
+    const run = await waitForRun(json => json.status === 'completed');
+    assert.equal(run.done, 2);
+    assert.equal(run.staleChunks, 0);
+    assert.equal((await searchFiles('oncologists prefer')).length, 2);
+});
+
+test('allows one run at a time and can be cancelled', async t => {
+    const release = holdEmbeddings(t);
+
+    assert.equal((await server.request('POST', '/admin/re-embed', { body: { all: true } })).status, 202);
+    assert.equal((await server.request('POST', '/admin/re-embed', { body: { all: true } })).status, 409);
+
+    const cancelled = await server.request('DELETE', '/admin/re-embed');
+    assert.equal(cancelled.json.run.status, 'cancelled');
+    release();
+
+    const run = await waitForRun(json => json.finishedAt);
+    assert.equal(run.status, 'cancelled');
+    assert.ok(run.done < run.total);
+    assert.equal((await server.request('DELETE', '/admin/re-embed')).status, 409);
+});
+
+test('does not put chunks deleted during a run back into the index', async t => {
+    const release = holdEmbeddings(t);
+
+    await server.request('POST', '/admin/re-embed', { body: { all: true } });
+    const examples = (await server.request('GET', '/admin/training-examples')).json.examples;
+    const community = examples.findIndex(example => example.fileName === 'community.md');
+    assert.equal((await server.request('DELETE', `/admin/training-examples/${community}`)).status, 200);
+    release();
+
+    const run = await waitForRun(json => json.status === 'completed');
+    assert.equal(run.done, 1);
+    assert.equal(run.skipped, 1);
+    assert.deepEqual(await searchFiles('community oncologists convenience'), ['academic.md']);
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { internals, startTestServer, SURVEY_CSV } = require('./helpers');
+
+const { llmProviders } = internals;
+const { complete } = llmProviders.mock;
+
+let server;
+
+test.before(async () => {
+    server = await startTestServer();
+    await server.request('POST', '/admin/update-api-settings', { body: { retryMaxAttempts: 3, retryBaseDelayMs: 0, retryMaxDelayMs: 0 } });
+});
+
+test.after(() => server.close());
+
+function upstreamError(status, headers = {}) {
+    return Object.assign(new Error(`Upstream answered ${status}`), { response: { status, headers } });
+}
+
+// Lets the mock fail the first `failures` calls for the given models; a
+// function stands in for the upstream call instead of throwing
+function failModels(t, models, error, failures = Infinity) {
+    let failed = 0;
+    return t.mock.method(llmProviders.mock, 'complete', async request => {
+        if (models.includes(request.model) && failed < failures) {
+            failed++;
+            if (typeof error === 'function') return error(request);
+            throw error;
+        }
+        return complete(request);
+    });
+}
+
+async function useModels(claudeModel, fallbackModel = null) {
+    await server.request('POST', '/admin/update-api-settings', { body: { claudeModel, fallbackModel } });
+}
+
+function analyze() {
+    return server.request('POST', '/api/analyze', { body: { fileContent: SURVEY_CSV, fileName: 'survey.csv' } });
+}
+
+async function upstreamStats() {
+    return (await server.request('GET', '/admin/stats')).json.upstream;
+}
+
+test('retries retryable failures and reports them', async t => {
+    await useModels('retry-model');
+    const before = await upstreamStats();
+    failModels(t, ['retry-model'], upstreamError(503), 2);
+
+    const { status, json } = await analyze();
+
+    assert.equal(status, 200);
+    assert.equal(json.metadata.resilience.attempts, 3);
+    assert.equal(json.metadata.resilience.retries, 2);
+    assert.equal(json.metadata.resilience.fallbackUsed, false);
+    assert.deepEqual(json.metadata.resilience.errors.map(error => error.status), [503, 503]);
+    assert.equal((await upstreamStats()).retries, before.retries + 2);
+});
+
+test('does not retry errors a retry cannot fix', async t => {
+    await useModels('strict-model', 'spare-model');
+    const mock = failModels(t, ['strict-model'], upstreamError(400));
+
+    const { status, json } = await analyze();
+
+    assert.equal(status, 500);
+    assert.equal(json.resilience.attempts, 1);
+    assert.equal(mock.mock.callCount(), 1);
+});
+
+test('waits at least as long as retry-after asks', async t => {
+    await server.request('POST', '/admin/update-api-settings', { body: { retryMaxDelayMs: 1000 } });
+    t.after(() => server.request('POST', '/admin/update-api-settings', { body: { retryMaxDelayMs: 0 } }));
+    await useModels('limited-model');
+    failModels(t, ['limited-model'], upstreamError(429, { 'retry-after-ms': '150' }), 1);
+
+    const started = Date.now();
+    const { status } = await analyze();
+
+    assert.equal(status, 200);
+    assert.ok(Date.now() - started >= 150);
+});
+
+test('times out silent upstream calls and retries them', async t => {
+    await server.request('POST', '/admin/update-api-settings', { body: { requestTimeoutMs: 50 } });
+    t.after(() => server.request('POST', '/admin/update-api-settings', { body: { requestTimeoutMs: 120000 } }));
+    await useModels('slow-model');
+    const before = await upstreamStats();
+    failModels(t, ['slow-model'], request => new Promise((resolve, reject) => {
+        request.signal.addEventListener('abort', () => reject(new Error('aborted')));
+    }), 1);
+
+    const { status, json } = await analyze();
+
+    assert.equal(status, 200);
+    assert.equal(json.metadata.resilience.errors[0].code, 'UPSTREAM_TIMEOUT');
+    assert.equal((await upstreamStats()).timeouts, before.timeouts + 1);
+});
+
+test('falls back to the secondary model, then skips the primary once its circuit opens', async t => {
+    await useModels('flaky-model', 'steady-model');
+    const before = await upstreamStats();
+    failModels(t, ['flaky-model'], upstreamError(529));
+
+    const first = await analyze();
+    assert.equal(first.status, 200);
+    assert.equal(first.json.metadata.resilience.fallbackUsed, true);
+    assert.equal(first.json.metadata.resilience.model, 'mock:steady-model');
+    assert.equal(first.json.metadata.resilience.attempts, 4);
+
+    // Five consecutive failures open the circuit part way through this one
+    const second = await analyze();
+    assert.equal(second.json.metadata.resilience.attempts, 3);
+
+    const third = await analyze();
+    assert.deepEqual(third.json.metadata.resilience.skippedModels, ['flaky-model']);
+    assert.equal(third.json.metadata.resilience.attempts, 1);
+
+    const stats = await upstreamStats();
+    assert.equal(stats.fallbacks, before.fallbacks + 3);
+    assert.equal(stats.fallbackModel, 'steady-model');
+    assert.equal(stats.circuitBreakers.find(breaker => breaker.key === 'mock:flaky-model').state, 'open');
+});
+
+test('answers 503 when every model is behind an open circuit', async () => {
+    await useModels('flaky-model');
+    const before = await upstreamStats();
+
+    const { status, json } = await analyze();
+
+    assert.equal(status, 503);
+    assert.equal(json.resilience.attempts, 0);
+    assert.equal((await upstreamStats()).failures, before.failures + 1);
+});
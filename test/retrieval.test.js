@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { internals, startTestServer } = require('./helpers');
+
+const { createHnswIndex } = internals;
+
+// Seeded so a failure reproduces
+function randomVectors(count, dimensions, seed = 42) {
+    let state = seed;
+    const next = () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296 - 0.5;
+    };
+    return Array.from({ length: count }, () => Array.from({ length: dimensions }, next));
+}
+
+function cosine(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    a.forEach((value, i) => {
+        dot += value * b[i];
+        normA += value * value;
+        normB += b[i] * b[i];
+    });
+    return dot / Math.sqrt(normA * normB);
+}
+
+function exactTop(vectors, query, k) {
+    return vectors
+        .map((vector, key) => ({ key, similarity: cosine(query, vector) }))
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, k)
+        .map(entry => entry.key);
+}
+
+test('HNSW finds nearly all of the exact nearest neighbours', () => {
+    const vectors = randomVectors(400, 16);
+    const index = createHnswIndex();
+    vectors.forEach((vector, key) => index.add(key, vector));
+
+    const queries = randomVectors(20, 16, 7);
+    let found = 0;
+    queries.forEach(query => {
+        const exact = new Set(exactTop(vectors, query, 10));
+        found += index.search(query, 10).filter(result => exact.has(result.key)).length;
+    });
+
+    assert.ok(found / (queries.length * 10) >= 0.9, `recall ${found / (queries.length * 10)}`);
+});
+
+test('HNSW returns an indexed vector as its own best match and skips removed keys', () => {
+    const vectors = randomVectors(100, 8);
+    const index = createHnswIndex();
+    vectors.forEach((vector, key) => index.add(key, vector));
+
+    assert.equal(index.search(vectors[17], 1)[0].key, 17);
+
+    index.remove(17);
+    assert.ok(!index.search(vectors[17], 10).some(result => result.key === 17));
+    assert.equal(index.stats().size, 99);
+});
+
+test('HNSW re-adds replace a key without leaving a tombstone', () => {
+    const vectors = randomVectors(31, 8);
+    const replacement = vectors.pop();
+    const index = createHnswIndex();
+    vectors.forEach((vector, key) => index.add(key, vector));
+
+    index.add(5, replacement);
+    assert.deepEqual([index.stats().size, index.stats().tombstones], [30, 0]);
+    assert.equal(index.search(replacement, 1)[0].key, 5);
+    assert.equal(index.search(vectors[5], 30).filter(result => result.key === 5).length, 1);
+
+    index.remove(7);
+    index.add(7, vectors[7]);
+    assert.deepEqual([index.stats().size, index.stats().tombstones], [30, 0]);
+    assert.equal(index.search(vectors[7], 1)[0].key, 7);
+});
+
+test('vector search works on both index types and reports index stats', async t => {
+    const server = await startTestServer();
+    t.after(server.close);
+
+    await server.request('POST', '/admin/rag-settings', { body: { similarityThreshold: 0.1, retrievalMode: 'vector' } });
+    await server.request('POST', '/admin/upload-training', { body: { trainingData: 'Oncology prescribing patterns among academic physicians favour Drug B.', fileName: 'oncology.md' } });
+    await server.request('POST', '/admin/upload-training', { body: { trainingData: 'Quarterly revenue of the consumer electronics division grew.', fileName: 'revenue.md' } });
+
+    for (const vectorIndex of ['bruteforce', 'hnsw']) {
+        await server.request('POST', '/admin/rag-settings', { body: { vectorIndex } });
+
+        const { json: initialized } = await server.request('POST', '/admin/initialize-vectordb');
+        assert.equal(initialized.index.type, vectorIndex);
+        assert.equal(initialized.documentCount, 2);
+        // Brute force scans documentStore and builds no graph
+        assert.equal(initialized.index.indexedCount, vectorIndex === 'hnsw' ? 2 : 0);
+
+        const { json: search } = await server.request('POST', '/admin/test-vector-search', { body: { query: 'academic oncology prescribing' } });
+        assert.equal(search.matches[0].fileName, 'oncology.md', vectorIndex);
+    }
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { internals } = require('./helpers');
+
+const { createFileStorage } = internals;
+
+const tempDirs = [];
+
+function tempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sagan-test-'));
+    tempDirs.push(dir);
+    return dir;
+}
+
+test.after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+// A real `node server.js` process on file storage, so restarts are genuine
+function launchServer(dataDir) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+            env: { ...process.env, STORAGE_DRIVER: 'file', DATA_DIR: dataDir, PORT: '0', LLM_PROVIDER: 'mock', AUTH_DISABLED: 'true', PERSIST_DEBOUNCE_MS: '0' },
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+        let output = '';
+        child.stdout.on('data', chunk => {
+            output += chunk;
+            const match = output.match(/running on port (\d+)/);
+            if (match) resolve({ child, baseUrl: `http://127.0.0.1:${match[1]}` });
+        });
+        child.stderr.on('data', chunk => {
+            output += chunk;
+        });
+        child.on('exit', code => reject(new Error(`server exited with ${code}: ${output}`)));
+    });
+}
+
+function stopServer(child) {
+    return new Promise(resolve => {
+        child.removeAllListeners('exit');
+        child.on('exit', resolve);
+        child.kill('SIGTERM');
+    });
+}
+
+async function post(baseUrl, urlPath, body) {
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, json: await response.json() };
+}
+
+test('the file driver round-trips a snapshot and reports a missing file as null', async () => {
+    const filePath = path.join(tempDir(), 'nested', 'state.json');
+    const storage = createFileStorage(filePath);
+
+    assert.equal(await storage.load(), null);
+    await storage.save({ workspaces: { default: { id: 'default' } } });
+    assert.deepEqual(await storage.load(), { workspaces: { default: { id: 'default' } } });
+    assert.ok(!fs.existsSync(`${filePath}.tmp`));
+});
+
+test('the file driver moves a corrupt snapshot aside instead of overwriting it', async () => {
+    const dir = tempDir();
+    const filePath = path.join(dir, 'state.json');
+    fs.writeFileSync(filePath, '{"workspaces": ');
+
+    assert.equal(await createFileStorage(filePath).load(), null);
+
+    const [moved] = fs.readdirSync(dir).filter(name => name.startsWith('state.json.corrupt-'));
+    assert.ok(moved, 'corrupt file kept for recovery');
+    assert.equal(fs.readFileSync(path.join(dir, moved), 'utf8'), '{"workspaces": ');
+    assert.ok(!fs.existsSync(filePath));
+});
+
+test('the file driver fails loudly on read errors other than a missing file', async () => {
+    const dir = tempDir();
+    await assert.rejects(createFileStorage(dir).load(), { code: 'EISDIR' });
+});
+
+test('training data survives a restart', async () => {
+    const dataDir = tempDir();
+
+    let server = await launchServer(dataDir);
+    try {
+        assert.equal((await post(server.baseUrl, '/admin/upload-training', { trainingData: '# Report\n\nAcademic physicians prefer Drug B.', fileName: 'report.md' })).status, 200);
+        assert.equal((await post(server.baseUrl, '/admin/upload-training', { trainingData: 'Community physicians prefer Drug A.', fileName: 'notes.txt' })).status, 200);
+        const removed = await fetch(`${server.baseUrl}/admin/training-examples/1`, { method: 'DELETE' });
+        assert.equal(removed.status, 200);
+    } finally {
+        await stopServer(server.child);
+    }
+
+    server = await launchServer(dataDir);
+    try {
+        const listed = await (await fetch(`${server.baseUrl}/admin/training-examples`)).json();
+        assert.deepEqual(listed.examples.map(example => example.fileName), ['report.md']);
+        assert.ok(listed.documentChunks > 0);
+    } finally {
+        await stopServer(server.child);
+    }
+});
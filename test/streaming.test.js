@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, SURVEY_CSV } = require('./helpers');
+
+let server;
+
+test.before(async () => {
+    server = await startTestServer();
+});
+
+test.after(() => server.close());
+
+const deltaText = events => events.filter(entry => entry.event === 'delta').map(entry => entry.data.text).join('');
+
+test('/api/analyze streams context, text deltas and a final result', async () => {
+    const { status, contentType, events } = await server.stream('POST', '/api/analyze', {
+        body: { fileContent: SURVEY_CSV, fileName: 'survey.csv' }
+    });
+
+    assert.equal(status, 200);
+    assert.match(contentType, /^text\/event-stream/);
+    assert.equal(events[0].event, 'context');
+    assert.ok(Array.isArray(events[0].data.ragContext.contextSources));
+    assert.ok(events.filter(entry => entry.event === 'delta').length > 1);
+
+    const done = events[events.length - 1];
+    assert.equal(done.event, 'done');
+    assert.equal(deltaText(events), done.data.analysis);
+    assert.equal(done.data.chartData.source, 'survey');
+});
+
+test('post-processing still runs after a streamed analysis', async () => {
+    const before = (await server.request('GET', '/admin/learning-progress')).json.queryCount;
+
+    const { events } = await server.stream('POST', '/api/analyze', { body: { fileContent: SURVEY_CSV, fileName: 'survey.csv' } });
+    const done = events.find(entry => entry.event === 'done');
+
+    assert.equal((await server.request('GET', '/admin/learning-progress')).json.queryCount, before + 1);
+    assert.equal((await server.request('GET', `/api/results/${done.data.resultId}`)).status, 200);
+});
+
+test('/api/chat streams with stream: true as well as the Accept header', async () => {
+    const { events } = await server.stream('POST', '/api/chat', {
+        body: { question: 'Which drug leads?', analysis: 'Drug B leads overall.', stream: true }
+    });
+
+    assert.equal(events[0].event, 'context');
+    assert.ok(events[0].data.sessionId);
+    const done = events[events.length - 1];
+    assert.equal(done.event, 'done');
+    assert.equal(done.data.sessionId, events[0].data.sessionId);
+    assert.equal(deltaText(events), done.data.response);
+});
+
+test('validation errors are plain JSON, not a stream', async () => {
+    const { status, json } = await server.request('POST', '/api/analyze', { body: { fileName: 'survey.csv', stream: true } });
+    assert.equal(status, 400);
+    assert.equal(json.error, 'No file content provided');
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+const { internals, startTestServer, SURVEY_CSV } = require('./helpers');
+
+const { parseSurveyFile, buildSurveyDigest } = internals;
+
+test('parses a CSV export into schema, segments and crosstabs', async () => {
+    const survey = await parseSurveyFile(SURVEY_CSV, 'survey.csv');
+
+    assert.equal(survey.format, 'csv');
+    assert.equal(survey.respondentCount, 8);
+    assert.deepEqual(survey.columns.map(column => column.role), ['id', 'segment', 'question']);
+    assert.equal(survey.segments[0].type, 'practiceSetting');
+
+    const [table] = survey.tables;
+    assert.equal(table.id, 'T1');
+    assert.deepEqual(table.groups.map(group => [group.value, group.n]), [['Overall', 8], ['Academic', 4], ['Community', 4]]);
+    assert.deepEqual(table.groups[1].answers, [
+        { value: 'Drug B', count: 3, percent: 75 },
+        { value: 'Drug A', count: 1, percent: 25 }
+    ]);
+});
+
+test('detects tab-separated and base64-encoded delimited files', async () => {
+    const tsv = await parseSurveyFile(SURVEY_CSV.replace(/,/g, '\t'), 'survey.tsv');
+    assert.equal(tsv.format, 'tsv');
+
+    const encoded = await parseSurveyFile(Buffer.from(SURVEY_CSV).toString('base64'), 'survey.csv', 'base64');
+    assert.equal(encoded.format, 'csv');
+    assert.equal(encoded.respondentCount, 8);
+});
+
+test('reads the first sheet of an XLSX workbook', async () => {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(SURVEY_CSV.split('\n').map(line => line.split(','))), 'Responses');
+    const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+
+    const survey = await parseSurveyFile(buffer.toString('base64'), 'survey.xlsx', 'base64');
+
+    assert.equal(survey.format, 'xlsx');
+    assert.equal(survey.respondentCount, 8);
+    assert.equal(survey.tables[0].groups[2].answers[0].percent, 75);
+});
+
+test('reads SPSS value labels and drops user-missing codes', async () => {
+    const content = fs.readFileSync(path.join(__dirname, 'fixtures', 'survey.sav')).toString('base64');
+
+    const survey = await parseSurveyFile(content, 'wave3.sav', 'base64');
+
+    assert.equal(survey.format, 'sav');
+    assert.deepEqual(survey.segments.map(segment => segment.name), ['Practice setting', 'Region']);
+    const [table] = survey.tables;
+    assert.equal(table.question, 'Q1 Preferred treatment');
+    // Respondent 5 answered 9 (Refused), declared missing in the file
+    assert.deepEqual(table.groups[0].answers.map(answer => [answer.value, answer.count]), [['Drug A', 3], ['Drug B', 2]]);
+});
+
+test('matches segment columns on whole words only', async () => {
+    const csv = ['Region,Mission statement agreement', 'EU,Agree', 'US,Disagree', 'EU,Agree'].join('\n');
+
+    const survey = await parseSurveyFile(csv, 'survey.csv');
+
+    assert.deepEqual(survey.columns.map(column => column.role), ['segment', 'question']);
+});
+
+test('leaves free text to the raw-content path', async () => {
+    assert.equal(await parseSurveyFile('Notes from the advisory board meeting.', 'notes.txt'), null);
+});
+
+test('labels every crosstab row in the digest', async () => {
+    const digest = buildSurveyDigest(await parseSurveyFile(SURVEY_CSV, 'survey.csv'));
+
+    assert.match(digest, /\[T1\] Which drug do you prefer\?/);
+    assert.match(digest, /\[T1\.2\] Practice Setting = Academic \(n=4\): Drug B 75% \(3\); Drug A 25% \(1\)/);
+});
+
+test('/api/analyze rejects non-string file content and names', async t => {
+    const server = await startTestServer();
+    t.after(server.close);
+
+    const numeric = await server.request('POST', '/api/analyze', { body: { fileContent: 12345, fileName: 'survey.csv' } });
+    assert.equal(numeric.status, 400);
+
+    const objectName = await server.request('POST', '/api/analyze', { body: { fileContent: SURVEY_CSV, fileName: { name: 'survey.csv' } } });
+    assert.equal(objectName.status, 400);
+
+    const { status, json } = await server.request('POST', '/api/analyze', { body: { fileContent: SURVEY_CSV, fileName: 'survey.csv' } });
+    assert.equal(status, 200);
+    assert.equal(json.surveyData.tables[0].id, 'T1');
+    assert.equal(json.metadata.dataFormat, 'csv');
+});
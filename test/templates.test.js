@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { internals, startTestServer, TOKENS, SURVEY_CSV } = require('./helpers');
+
+const { llmProviders } = internals;
+
+let server;
+
+test.before(async () => {
+    server = await startTestServer();
+});
+
+test.after(() => server.close());
+
+test('lists the built-in templates with executive summary as the default', async () => {
+    const { status, json } = await server.request('GET', '/api/templates', { token: TOKENS.analyst });
+
+    assert.equal(status, 200);
+    assert.equal(json.defaultTemplate, 'executive-summary');
+    assert.deepEqual(json.templates.map(template => template.id), ['executive-summary', 'kol-perception', 'competitive-landscape', 'message-testing', 'slide-bullets']);
+    assert.ok(json.templates.every(template => template.builtIn));
+});
+
+test('analyzes with the template the caller selects', async t => {
+    const complete = t.mock.method(llmProviders.mock, 'complete');
+
+    const fallback = await server.request('POST', '/api/analyze', { body: { fileContent: SURVEY_CSV, fileName: 'survey.csv' } });
+    assert.equal(fallback.json.metadata.template.id, 'executive-summary');
+    assert.equal(fallback.json.metadata.promptVersion, 1);
+
+    const slides = await server.request('POST', '/api/analyze', { body: { fileContent: SURVEY_CSV, fileName: 'survey.csv', template: 'slide-bullets' } });
+    assert.equal(slides.status, 200);
+    assert.deepEqual(slides.json.metadata.template, { id: 'slide-bullets', version: 1 });
+    assert.equal(slides.json.metadata.promptVersion, null);
+
+    const [defaultCall, slidesCall] = complete.mock.calls.map(call => call.arguments[0]);
+    assert.notEqual(slidesCall.system, defaultCall.system);
+});
+
+test('rejects an unknown template', async () => {
+    const { status, json } = await server.request('POST', '/api/analyze', { body: { fileContent: SURVEY_CSV, template: 'nope' } });
+
+    assert.equal(status, 400);
+    assert.ok(json.availableTemplates.includes('kol-perception'));
+    assert.equal((await server.request('POST', '/api/analyze', { body: { fileContent: SURVEY_CSV, template: 'constructor' } })).status, 400);
+});
+
+test('custom templates carry their own prompt, budget, temperature and sections', async t => {
+    const created = await server.request('POST', '/admin/templates', {
+        body: { id: 'payer-brief', systemPrompt: 'You brief payer teams.', maxTokens: 900, temperature: 0.1, outputSections: ['Access', 'Pricing'] }
+    });
+    assert.equal(created.status, 200);
+    assert.equal(created.json.template.version, 1);
+    assert.equal(created.json.template.builtIn, false);
+
+    const complete = t.mock.method(llmProviders.mock, 'complete');
+    const analysis = await server.request('POST', '/api/analyze', { body: { fileContent: SURVEY_CSV, template: 'payer-brief' } });
+    assert.equal(analysis.status, 200);
+
+    const request = complete.mock.calls[0].arguments[0];
+    assert.match(request.system, /^You brief payer teams\./);
+    assert.match(request.system, /1\. Access\n2\. Pricing/);
+    assert.equal(request.maxTokens, 900);
+    assert.equal(request.temperature, 0.1);
+
+    const edited = await server.request('POST', '/admin/templates', { body: { id: 'payer-brief', temperature: 0.3 } });
+    assert.equal(edited.json.template.version, 2);
+    assert.equal(edited.json.template.systemPrompt, 'You brief payer teams.');
+});
+
+test('validates template fields', async () => {
+    const invalid = [
+        { id: 'Payer Brief', systemPrompt: 'x' },
+        { id: 'no-prompt' },
+        { id: 'too-hot', systemPrompt: 'x', temperature: 2 },
+        { id: 'no-budget', systemPrompt: 'x', maxTokens: 0 },
+        { id: 'sections', systemPrompt: 'x', outputSections: 'Access' }
+    ];
+    for (const body of invalid) {
+        const { status } = await server.request('POST', '/admin/templates', { body });
+        assert.equal(status, 400, body.id);
+    }
+    assert.equal((await server.request('POST', '/admin/templates', { body: { id: 'x', systemPrompt: 'x' }, token: TOKENS.analyst })).status, 403);
+});
+
+test('deletes custom templates but keeps built-in ones', async () => {
+    assert.equal((await server.request('DELETE', '/admin/templates/slide-bullets')).status, 400);
+    assert.equal((await server.request('DELETE', '/admin/templates/payer-brief')).status, 200);
+    assert.equal((await server.request('GET', '/admin/templates/payer-brief')).status, 404);
+});
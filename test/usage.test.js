@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, TOKENS, SURVEY_CSV } = require('./helpers');
+
+let server;
+
+test.before(async () => {
+    server = await startTestServer();
+});
+
+test.after(() => server.close());
+
+function analyze(token) {
+    return server.request('POST', '/api/analyze', { body: { fileContent: SURVEY_CSV, fileName: 'survey.csv' }, token });
+}
+
+function setBudgets(budgets) {
+    return server.request('POST', '/admin/update-api-settings', { body: budgets });
+}
+
+test('rejects invalid or reserved price entries without applying any', async () => {
+    const before = (await server.request('GET', '/admin/usage/prices')).json.prices;
+    const invalid = [
+        { 'claude-test': { input: -1, output: 1 } },
+        { 'claude-test': { input: 'cheap', output: 1 } },
+        { 'claude-test': { input: 'Infinity', output: 1 } },
+        { 'claude-test': { input: 1, output: true } },
+        { 'claude-test': 3 },
+        { '': { input: 1, output: 1 } },
+        { 'claude-test': { input: 1, output: 1 }, constructor: { input: 1, output: 1 } },
+        { ['__proto__']: { input: 1, output: 1 } },
+        [{ input: 1, output: 1 }]
+    ];
+    for (const prices of invalid) {
+        const { status } = await server.request('POST', '/admin/usage/prices', { body: { prices } });
+        assert.equal(status, 400, JSON.stringify(prices));
+    }
+
+    assert.deepEqual((await server.request('GET', '/admin/usage/prices')).json.prices, before);
+    assert.equal((await server.request('POST', '/admin/usage/prices', { body: { prices: { mock: { input: 1 } } }, token: TOKENS.analyst })).status, 403);
+});
+
+test('prices usage per model prefix and reports it by user and model', async () => {
+    const priced = await server.request('POST', '/admin/usage/prices', { body: { prices: { 'mock:': { input: 10, output: 20 }, 'gpt-4.1': null } } });
+    assert.equal(priced.status, 200);
+    assert.deepEqual(priced.json.prices['mock:'], { input: 10, output: 20 });
+    assert.ok(!('gpt-4.1' in priced.json.prices));
+
+    assert.equal((await analyze(TOKENS.analyst)).status, 200);
+
+    const { status, json } = await server.request('GET', '/admin/usage?groupBy=user,kind');
+    assert.equal(status, 200);
+    const completion = json.rows.find(row => row.user === 'env-2' && row.kind === 'completion');
+    assert.equal(completion.calls, 1);
+    assert.ok(completion.cost > 0);
+    assert.ok(json.totals.cost >= completion.cost);
+    assert.equal(json.budget.daily.limitUsd, null);
+
+    assert.equal((await server.request('GET', '/admin/usage?groupBy=colour')).status, 400);
+    assert.equal((await server.request('GET', '/admin/usage', { token: TOKENS.analyst })).status, 403);
+});
+
+test('exports usage as CSV', async () => {
+    const { status, headers, text } = await server.request('GET', '/admin/usage?groupBy=user,model&format=csv');
+
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /^text\/csv/);
+    assert.match(headers.get('content-disposition'), /filename="usage-default-\d{4}-\d{2}-01-\d{4}-\d{2}-\d{2}\.csv"/);
+
+    const [header, ...rows] = text.trim().split('\n');
+    assert.equal(header, 'user,model,calls,inputTokens,outputTokens,cost');
+    assert.ok(rows.some(row => row.startsWith('env-2,mock:')));
+});
+
+test('enforces the per-user and workspace budget caps', async t => {
+    t.after(() => setBudgets({ budgetDailyUsd: null, budgetMonthlyUsd: null, userBudgetMonthlyUsd: null }));
+
+    await setBudgets({ userBudgetMonthlyUsd: 0.000001 });
+    const capped = await analyze(TOKENS.analyst);
+    assert.equal(capped.status, 402);
+    assert.match(capped.json.error, /monthly per-user budget/);
+    assert.equal(capped.json.budget.userMonthly.exceeded, true);
+    assert.equal((await server.request('POST', '/api/chat', { body: { question: 'Which drug leads?', stream: false }, token: TOKENS.analyst })).status, 402);
+    assert.equal((await analyze(TOKENS.otherAnalyst)).status, 200);
+
+    await setBudgets({ userBudgetMonthlyUsd: null, budgetDailyUsd: 0.000001 });
+    const daily = await analyze(TOKENS.admin);
+    assert.equal(daily.status, 402);
+    assert.match(daily.json.error, /daily budget/);
+
+    await setBudgets({ budgetDailyUsd: null });
+    assert.equal((await analyze(TOKENS.analyst)).status, 200);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, TOKENS } = require('./helpers');
+
+let server;
+
+test.before(async () => {
+    server = await startTestServer();
+});
+
+test.after(() => server.close());
+
+test('validates new workspace ids', async () => {
+    assert.equal((await server.request('POST', '/admin/workspaces', { body: { id: 'Brand A' } })).status, 400);
+    assert.equal((await server.request('POST', '/admin/workspaces', { body: { id: 'brand-x', copySettingsFrom: 'nope' } })).status, 404);
+    assert.equal((await server.request('POST', '/admin/workspaces', { body: { id: 'default' } })).status, 409);
+    assert.equal((await server.request('POST', '/admin/workspaces', { body: { id: 'brand-x' }, token: TOKENS.analyst })).status, 403);
+});
+
+test('keeps corpora and prompts apart', async () => {
+    const created = await server.request('POST', '/admin/workspaces', { body: { id: 'oncology', name: 'Oncology brand' } });
+    assert.equal(created.status, 200);
+    assert.equal(created.json.workspace.name, 'Oncology brand');
+
+    const upload = await server.request('POST', '/admin/upload-training', {
+        body: { trainingData: 'Oncologists in academic centres prefer Drug B.', fileName: 'oncology.txt' },
+        workspace: 'oncology'
+    });
+    assert.equal(upload.status, 200);
+
+    const prompt = await server.request('POST', '/admin/update-prompt', { body: { systemPrompt: 'Oncology brand prompt.' }, workspace: 'oncology' });
+    assert.equal(prompt.status, 200);
+
+    const oncology = await server.request('GET', '/admin/settings', { workspace: 'oncology' });
+    const fallback = await server.request('GET', '/admin/settings');
+    assert.equal(oncology.json.workspace, 'oncology');
+    assert.equal(oncology.json.trainingExamplesCount, 1);
+    assert.equal(fallback.json.trainingExamplesCount, 0);
+    assert.notEqual(fallback.json.activePromptVersion, oncology.json.activePromptVersion);
+
+    const listed = await server.request('GET', '/admin/workspaces');
+    const byId = Object.fromEntries(listed.json.workspaces.map(workspace => [workspace.id, workspace]));
+    assert.ok(byId.oncology.documentChunks > 0);
+    assert.equal(byId.default.documentChunks, 0);
+});
+
+test('does not resolve Object builtins as workspaces', async () => {
+    for (const id of ['constructor', '__proto__', 'hasOwnProperty']) {
+        const { status } = await server.request('GET', '/admin/settings', { workspace: id });
+        assert.equal(status, 404, id);
+    }
+    assert.equal((await server.request('GET', '/admin/settings?workspace=__proto__')).status, 404);
+});
+
+test('deleting a workspace removes its data and the tokens confined to it', async () => {
+    assert.equal((await server.request('DELETE', '/admin/workspaces/default')).status, 400);
+    assert.equal((await server.request('POST', '/admin/workspaces', { body: { id: 'retired' } })).status, 200);
+    await server.request('POST', '/admin/upload-training', { body: { trainingData: 'Retired brand notes.', fileName: 'retired.txt' }, workspace: 'retired' });
+
+    const scoped = await server.request('POST', '/admin/tokens', { body: { user: 'dana', workspaces: ['retired'] }, workspace: 'retired' });
+    const shared = await server.request('POST', '/admin/tokens', { body: { user: 'eve', workspaces: ['retired', 'default'] } });
+
+    const deleted = await server.request('DELETE', '/admin/workspaces/retired');
+    assert.equal(deleted.status, 200);
+    assert.equal(deleted.json.removedExamples, 1);
+    assert.deepEqual(deleted.json.revokedTokens, [scoped.json.id]);
+
+    assert.equal((await server.request('GET', '/admin/settings', { workspace: 'retired' })).status, 404);
+    assert.equal((await server.request('GET', '/admin/settings', { token: scoped.json.token })).status, 401);
+    assert.equal((await server.request('GET', '/admin/settings', { token: shared.json.token })).status, 200);
+    assert.equal((await server.request('DELETE', '/admin/workspaces/retired')).status, 404);
+});